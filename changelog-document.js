@@ -0,0 +1,385 @@
+/**
+ * Keep a Changelog documents: changelog Markdown parsed into a header, `## ` releases,
+ * `### ` sections and the blocks inside them, and serialized back. Every line keeps its
+ * own text and line ending, so whatever is not edited round-trips byte for byte.
+ *
+ * Blocks are { type, lines } where type is 'entry' (a bullet with its continuation lines),
+ * 'blank', 'text' (any other line) or 'code' (a fenced code block), and lines are
+ * { text, eol }. Headings and bullets inside fenced code blocks are plain code.
+ */
+
+const RELEASE_HEADING = /^## /;
+const SECTION_HEADING = /^### /;
+const ANY_HEADING = /^ {0,3}#{1,6}(?:\s|$)/;
+const ENTRY_START = /^ {0,3}[-*+] /;
+const CODE_FENCE = /^\s*(`{3,}|~{3,})/;
+const NESTED_INDENT = /^(?: {2,}|\t)\S/;
+const HTML_COMMENT = /^ {0,3}<!--/;
+const BLOCK_TYPES = {
+  ENTRY: 'entry',
+  BLANK: 'blank',
+  TEXT: 'text',
+  CODE: 'code'
+};
+
+/**
+ * Split content into { text, eol } lines; only the last line can have an empty eol.
+ */
+function splitLines(content) {
+  if (!content) return [];
+  return content.split(/(?<=\n)/).map(chunk => {
+    const eol = chunk.endsWith('\r\n') ? '\r\n' : chunk.endsWith('\n') ? '\n' : '';
+    return { text: chunk.slice(0, chunk.length - eol.length), eol };
+  });
+}
+
+/**
+ * Whether a line closes the code fence opened with the given marker (e.g. '```').
+ */
+function closesFence(text, fence) {
+  const trimmed = text.trim();
+  return trimmed.length >= fence.length && trimmed === fence[0].repeat(trimmed.length);
+}
+
+/**
+ * Whether lines[index] continues the bullet above it: an indented line, a lazy paragraph
+ * line, or blank lines followed by an indented line.
+ */
+function continuesEntry(lines, index) {
+  const text = lines[index].text;
+  if (text.trim() === '') {
+    let next = index + 1;
+    while (next < lines.length && lines[next].text.trim() === '') next++;
+    return next < lines.length && NESTED_INDENT.test(lines[next].text);
+  }
+  if (NESTED_INDENT.test(text)) return true;
+  return !ANY_HEADING.test(text) && !ENTRY_START.test(text) && !CODE_FENCE.test(text) &&
+    !HTML_COMMENT.test(text) && lines[index - 1].text.trim() !== '';
+}
+
+/**
+ * Parse changelog content into { eol, header, releases }: header is the blocks before the
+ * first release, each release is { heading, body, sections } and each section is
+ * { heading, body }, with body the blocks under the heading. eol is the line ending used
+ * for new lines: the file's own, '\n' for an empty file.
+ */
+function parseChangelog(content) {
+  const lines = splitLines(content);
+  const doc = { eol: (lines.find(line => line.eol) || { eol: '\n' }).eol, header: [], releases: [] };
+
+  let body = doc.header;
+  let release = null;
+  let entry = null;
+  let fence = null;
+  let fenceBlock = null;
+  lines.forEach((line, index) => {
+    if (fence) {
+      (entry || fenceBlock).lines.push(line);
+      if (closesFence(line.text, fence)) fence = null;
+      return;
+    }
+    const fenceMatch = line.text.match(CODE_FENCE);
+
+    if (entry && continuesEntry(lines, index)) {
+      entry.lines.push(line);
+      if (fenceMatch) fence = fenceMatch[1];
+      return;
+    }
+    entry = null;
+
+    if (RELEASE_HEADING.test(line.text)) {
+      release = { heading: line, body: [], sections: [] };
+      doc.releases.push(release);
+      body = release.body;
+    } else if (release && SECTION_HEADING.test(line.text)) {
+      const section = { heading: line, body: [] };
+      release.sections.push(section);
+      body = section.body;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+      fenceBlock = { type: BLOCK_TYPES.CODE, lines: [line] };
+      body.push(fenceBlock);
+    } else if (ENTRY_START.test(line.text)) {
+      entry = { type: BLOCK_TYPES.ENTRY, lines: [line] };
+      body.push(entry);
+    } else {
+      body.push({ type: line.text.trim() === '' ? BLOCK_TYPES.BLANK : BLOCK_TYPES.TEXT, lines: [line] });
+    }
+  });
+  return doc;
+}
+
+/**
+ * Every line object of a document in file order.
+ */
+function documentLines(doc) {
+  const lines = [];
+  const addBlocks = blocks => blocks.forEach(block => lines.push(...block.lines));
+  addBlocks(doc.header);
+  for (const release of doc.releases) {
+    lines.push(release.heading);
+    addBlocks(release.body);
+    for (const section of release.sections) {
+      lines.push(section.heading);
+      addBlocks(section.body);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Serialize a document back to Markdown. Lines keep their line endings; a line that had
+ * none (the file's last line) gets the document's line ending once something follows it.
+ */
+function serializeChangelog(doc) {
+  const lines = documentLines(doc);
+  return lines.map((line, index) => line.text + (line.eol || (index < lines.length - 1 ? doc.eol : ''))).join('');
+}
+
+/**
+ * Create a line ending like the rest of the document.
+ */
+function createLine(doc, text) {
+  return { text, eol: doc.eol };
+}
+
+/**
+ * Create an entry block for a single-line bullet (text includes the `- ` prefix).
+ */
+function createEntry(doc, text) {
+  return { type: BLOCK_TYPES.ENTRY, lines: [createLine(doc, text)] };
+}
+
+/**
+ * Create a blank line block.
+ */
+function createBlank(doc) {
+  return { type: BLOCK_TYPES.BLANK, lines: [createLine(doc, '')] };
+}
+
+/**
+ * Text of a heading or block line without surrounding whitespace.
+ */
+function lineText(line) {
+  return line.text.trim();
+}
+
+/**
+ * The first release whose heading starts with the given text (e.g. `## [Unreleased]`).
+ */
+function findRelease(doc, heading) {
+  return doc.releases.find(release => lineText(release.heading).startsWith(heading)) || null;
+}
+
+/**
+ * The section of a release whose heading is exactly the given text.
+ */
+function findSection(release, heading) {
+  return release.sections.find(section => lineText(section.heading) === heading.trim()) || null;
+}
+
+/**
+ * The blocks at the end of a release: its last section's, or its own without sections.
+ */
+function lastBody(release) {
+  return release.sections.length > 0 ? release.sections[release.sections.length - 1].body : release.body;
+}
+
+/**
+ * End a block list with a blank line unless it already does.
+ */
+function padBody(doc, body) {
+  if (body.length === 0 || body[body.length - 1].type !== BLOCK_TYPES.BLANK) body.push(createBlank(doc));
+}
+
+/**
+ * Drop blank lines at the end of a block list.
+ */
+function trimTrailingBlanks(body) {
+  while (body.length > 0 && body[body.length - 1].type === BLOCK_TYPES.BLANK) body.pop();
+}
+
+/**
+ * Keep a blank line between a release and the next one.
+ */
+function padRelease(doc, release) {
+  const index = doc.releases.indexOf(release);
+  if (index !== -1 && index < doc.releases.length - 1) padBody(doc, lastBody(release));
+}
+
+/**
+ * Insert an empty release with the given heading at index of the releases (default: first),
+ * separated from what precedes it by a blank line. Returns the release.
+ */
+function insertRelease(doc, heading, index) {
+  const position = index === undefined || index < 0 ? 0 : Math.min(index, doc.releases.length);
+  const previous = position === 0 ? doc.header : lastBody(doc.releases[position - 1]);
+  if (previous.length > 0) padBody(doc, previous);
+
+  const release = { heading: createLine(doc, heading), body: [createBlank(doc)], sections: [] };
+  doc.releases.splice(position, 0, release);
+  return release;
+}
+
+/**
+ * Insert an empty section with the given heading before the section at index (appended
+ * when index is -1 or past the end), separated from what precedes it by a blank line.
+ * Returns the section.
+ */
+function insertSection(doc, release, heading, index) {
+  const position = index < 0 || index > release.sections.length ? release.sections.length : index;
+  padBody(doc, position === 0 ? release.body : release.sections[position - 1].body);
+
+  const section = { heading: createLine(doc, heading), body: [createBlank(doc)] };
+  release.sections.splice(position, 0, section);
+  return section;
+}
+
+/**
+ * Every entry block of a release in file order, including entries above its first section.
+ */
+function releaseEntries(release) {
+  return [release.body, ...release.sections.map(section => section.body)]
+    .flatMap(body => body.filter(block => block.type === BLOCK_TYPES.ENTRY));
+}
+
+/**
+ * Remove the entry blocks of a release for which predicate(block) is true.
+ * Returns the number removed.
+ */
+function removeEntries(release, predicate) {
+  let removed = 0;
+  for (const body of [release.body, ...release.sections.map(section => section.body)]) {
+    for (let index = body.length - 1; index >= 0; index--) {
+      if (body[index].type === BLOCK_TYPES.ENTRY && predicate(body[index])) {
+        body.splice(index, 1);
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * The sections of a release that hold something besides blank lines.
+ */
+function filledSections(release) {
+  return release.sections.filter(section => section.body.some(block => block.type !== BLOCK_TYPES.BLANK));
+}
+
+/**
+ * Remove the sections among filled (as returned by filledSections before an edit) that
+ * hold nothing but blank lines now, i.e. the ones the edit emptied. Sections that were
+ * empty already are kept.
+ */
+function removeEmptiedSections(release, filled) {
+  const stillFilled = new Set(filledSections(release));
+  release.sections = release.sections.filter(section => !filled.includes(section) || stillFilled.has(section));
+}
+
+/**
+ * Add entry blocks to a section after its last non-blank block (below a blank line after
+ * the heading for an empty section), keeping a blank line before whatever follows.
+ */
+function addEntries(doc, release, section, entries) {
+  const body = section.body;
+  let position = body.length;
+  while (position > 0 && body[position - 1].type === BLOCK_TYPES.BLANK) position--;
+  if (position === 0) {
+    if (body.length === 0) body.push(createBlank(doc));
+    position = 1;
+  }
+  body.splice(position, 0, ...entries);
+
+  if (position + entries.length === body.length && section !== release.sections[release.sections.length - 1]) {
+    padBody(doc, body);
+  }
+  padRelease(doc, release);
+}
+
+/**
+ * Blank line blocks that are stray: repeating the blank line above them, or sitting
+ * between two entries.
+ */
+function strayBlanks(blocks) {
+  return blocks.filter((block, index) => {
+    if (block.type !== BLOCK_TYPES.BLANK || index === 0) return false;
+    const previous = blocks[index - 1];
+    if (previous.type === BLOCK_TYPES.BLANK) return true;
+    const next = blocks.slice(index + 1).find(candidate => candidate.type !== BLOCK_TYPES.BLANK);
+    return previous.type === BLOCK_TYPES.ENTRY && Boolean(next) && next.type === BLOCK_TYPES.ENTRY;
+  });
+}
+
+/**
+ * Tidy blank lines in a list of blocks: none at either end, no runs of blank lines and
+ * none between two entries.
+ */
+function tidyBlanks(blocks) {
+  const stray = new Set(strayBlanks(blocks));
+  const result = blocks.filter(block => !stray.has(block));
+  while (result.length > 0 && result[0].type === BLOCK_TYPES.BLANK) result.shift();
+  trimTrailingBlanks(result);
+  return result;
+}
+
+/**
+ * Normalize the blank lines of a release: one below its heading and each section heading,
+ * one between sections and before the next release, and none between entries.
+ * Blank lines inside entries (between a bullet and its indented continuation) are kept.
+ */
+function normalizeSpacing(doc, release) {
+  const content = tidyBlanks(release.body);
+  release.body = content.length > 0 ? [createBlank(doc), ...content] : [];
+  if (release.sections.length > 0) padBody(doc, release.body);
+
+  release.sections.forEach((section, index) => {
+    section.body = [createBlank(doc), ...tidyBlanks(section.body)];
+    if (index < release.sections.length - 1) padBody(doc, section.body);
+  });
+  padRelease(doc, release);
+}
+
+/**
+ * Reorder the entry blocks of a section with compare(a, b), leaving every other block
+ * where it is. The sort is stable, so entries comparing equal keep their order.
+ */
+function sortEntries(section, compare) {
+  const sorted = section.body.filter(block => block.type === BLOCK_TYPES.ENTRY).sort(compare);
+  let next = 0;
+  section.body = section.body.map(block => (block.type === BLOCK_TYPES.ENTRY ? sorted[next++] : block));
+}
+
+/**
+ * Map every line object of a document to its 1-based line number in the serialized file.
+ */
+function numberLines(doc) {
+  return new Map(documentLines(doc).map((line, index) => [line, index + 1]));
+}
+
+module.exports = {
+  parseChangelog,
+  serializeChangelog,
+  createLine,
+  createEntry,
+  createBlank,
+  lineText,
+  findRelease,
+  findSection,
+  lastBody,
+  padBody,
+  padRelease,
+  trimTrailingBlanks,
+  insertRelease,
+  insertSection,
+  releaseEntries,
+  removeEntries,
+  filledSections,
+  removeEmptiedSections,
+  addEntries,
+  normalizeSpacing,
+  strayBlanks,
+  sortEntries,
+  numberLines,
+  BLOCK_TYPES
+};
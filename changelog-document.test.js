@@ -0,0 +1,140 @@
+const {
+  parseChangelog,
+  serializeChangelog,
+  createEntry,
+  findRelease,
+  findSection,
+  insertRelease,
+  insertSection,
+  releaseEntries,
+  removeEntries,
+  addEntries,
+  strayBlanks,
+  numberLines,
+  BLOCK_TYPES
+} = require('./changelog-document');
+
+const sample = [
+  '# Changelog',
+  '',
+  'All notable changes.',
+  '',
+  '## [Unreleased]',
+  '',
+  '### Features',
+  '',
+  '- add search ([#5](url5))',
+  '  with fuzzy matching',
+  '',
+  '  ```js',
+  '  search("x")',
+  '  ```',
+  '- add export ([#6](url6))',
+  '',
+  '### Features (beta)',
+  '- try ranking ([#7](url7))',
+  '',
+  '## [1.0.0] - 2024-01-01',
+  '',
+  '```markdown',
+  '## not a release',
+  '### not a section',
+  '- not an entry',
+  '```',
+  '',
+  '### Bug Fixes',
+  '- fix crash',
+  ''
+].join('\n');
+
+// ─── parseChangelog / serializeChangelog ────────────────────────────────────
+describe('parseChangelog', () => {
+  test('round-trips content byte for byte', () => {
+    const inputs = [
+      '',
+      '# Changelog\n',
+      '# Changelog',
+      sample,
+      sample.replace(/\n/g, '\r\n'),
+      '## [Unreleased]\r\n### Fixes\n- mixed endings\r\n\n\n\n',
+      '- entry before any heading\n  ```\n  unterminated fence'
+    ];
+    for (const input of inputs) {
+      expect(serializeChangelog(parseChangelog(input))).toBe(input);
+    }
+  });
+
+  test('splits the header, releases and sections', () => {
+    const doc = parseChangelog(sample);
+    expect(doc.header.map(block => block.lines[0].text)).toEqual(['# Changelog', '', 'All notable changes.', '']);
+    expect(doc.releases.map(release => release.heading.text)).toEqual(['## [Unreleased]', '## [1.0.0] - 2024-01-01']);
+    expect(doc.releases[0].sections.map(section => section.heading.text)).toEqual(['### Features', '### Features (beta)']);
+    expect(doc.releases[1].sections.map(section => section.heading.text)).toEqual(['### Bug Fixes']);
+  });
+
+  test('keeps continuation lines and indented code with their bullet', () => {
+    const entries = releaseEntries(parseChangelog(sample).releases[0]);
+    expect(entries.map(entry => entry.lines.map(line => line.text))).toEqual([
+      ['- add search ([#5](url5))', '  with fuzzy matching', '', '  ```js', '  search("x")', '  ```'],
+      ['- add export ([#6](url6))'],
+      ['- try ranking ([#7](url7))']
+    ]);
+  });
+
+  test('treats headings and bullets in code blocks as code', () => {
+    const release = parseChangelog(sample).releases[1];
+    expect(release.body.map(block => block.type)).toEqual([BLOCK_TYPES.BLANK, BLOCK_TYPES.CODE, BLOCK_TYPES.BLANK]);
+    expect(release.body[1].lines).toHaveLength(5);
+  });
+
+  test('keeps CRLF line endings apart from the text', () => {
+    const doc = parseChangelog('## [Unreleased]\r\n- a\r\n');
+    expect(doc.eol).toBe('\r\n');
+    expect(releaseEntries(doc.releases[0])[0].lines[0]).toEqual({ text: '- a', eol: '\r\n' });
+  });
+});
+
+// ─── Editing documents ──────────────────────────────────────────────────────
+describe('editing changelog documents', () => {
+  test('finds sections by their exact heading', () => {
+    const unreleased = findRelease(parseChangelog(sample), '## [Unreleased]');
+    expect(findSection(unreleased, '### Features').body).toHaveLength(4);
+    expect(findSection(unreleased, '### Features (beta)').body).toHaveLength(2);
+    expect(findSection(unreleased, '### Feat')).toBeNull();
+  });
+
+  test('removes multi-line entries whole', () => {
+    const doc = parseChangelog(sample);
+    const unreleased = findRelease(doc, '## [Unreleased]');
+    expect(removeEntries(unreleased, entry => entry.lines[0].text.includes('[#5]'))).toBe(1);
+    expect(serializeChangelog(doc)).toBe(sample.replace(/- add search[^]*?```\n(?=- add export)/, ''));
+  });
+
+  test('adds entries and sections with blank lines around them', () => {
+    const doc = parseChangelog('# Changelog\n\n## [Unreleased]\n### Features\n- a\n## [1.0.0]\n- old');
+    const unreleased = findRelease(doc, '## [Unreleased]');
+    addEntries(doc, unreleased, findSection(unreleased, '### Features'), [createEntry(doc, '- b')]);
+    const fixes = insertSection(doc, unreleased, '### Bug Fixes', -1);
+    addEntries(doc, unreleased, fixes, [createEntry(doc, '- c')]);
+    expect(serializeChangelog(doc)).toBe(
+      '# Changelog\n\n## [Unreleased]\n### Features\n- a\n- b\n\n### Bug Fixes\n\n- c\n\n## [1.0.0]\n- old'
+    );
+  });
+
+  test('writes new lines with the file line endings', () => {
+    const doc = parseChangelog('# Changelog\r\n\r\n## [1.0.0]\r\n- old');
+    const unreleased = insertRelease(doc, '## [Unreleased]', 0);
+    addEntries(doc, unreleased, insertSection(doc, unreleased, '### Features', -1), [createEntry(doc, '- new')]);
+    expect(serializeChangelog(doc)).toBe(
+      '# Changelog\r\n\r\n## [Unreleased]\r\n\r\n### Features\r\n\r\n- new\r\n\r\n## [1.0.0]\r\n- old'
+    );
+  });
+
+  test('finds stray blank lines and numbers lines', () => {
+    const doc = parseChangelog('## [Unreleased]\n\n### Features\n\n- a\n\n- b\n\n\n### Fixes\n');
+    const body = findSection(doc.releases[0], '### Features').body;
+    const numbers = numberLines(doc);
+    expect(strayBlanks(body).map(block => numbers.get(block.lines[0]))).toEqual([6, 9]);
+    expect(numbers.get(doc.releases[0].sections[1].heading)).toBe(10);
+  });
+});
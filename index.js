@@ -2,7 +2,11 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const exec = require('@actions/exec');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { createTwoFilesPatch } = require('diff');
+const changelogDocument = require('./changelog-document');
 
 // Constants for event types
 const EVENT_TYPES = {
@@ -22,7 +26,11 @@ const DEPENDABOT_USER = 'dependabot[bot]';
 const COMMIT_MESSAGES = {
   AUTO_CHANGELOG_PREFIX: '[AUTO-CHANGELOG]',
   UPDATE_TEMPLATE: '[AUTO-CHANGELOG] chore: update changelog with {count} new entries for PR #{prNumber}',
-  REMOVE_TEMPLATE: '[AUTO-CHANGELOG] chore: remove auto-generated changelog entries for PR #{prNumber}'
+  REMOVE_TEMPLATE: '[AUTO-CHANGELOG] chore: remove auto-generated changelog entries for PR #{prNumber}',
+  RELEASE_TEMPLATE: '[AUTO-CHANGELOG] chore: release {version}',
+  ASSEMBLE_TEMPLATE: '[AUTO-CHANGELOG] chore: assemble {count} changelog fragments',
+  VALIDATE_TEMPLATE: '[AUTO-CHANGELOG] chore: fix {count} changelog problems',
+  BACKFILL_TEMPLATE: '[AUTO-CHANGELOG] chore: backfill changelog entries for {count} merged PRs'
 };
 
 // Constants for git configuration
@@ -31,15 +39,42 @@ const GIT_CONFIG = {
   USER_EMAIL: 'github-actions[bot]@users.noreply.github.com'
 };
 
+// Retry policy for pushes rejected because the PR branch moved in the meantime
+const PUSH_RETRY = {
+  MAX_ATTEMPTS: 4,
+  BASE_DELAY_MS: 1000, // Doubled after every rejected attempt
+  REJECTED_PATTERN: /\[rejected\]|non-fast-forward|fetch first/
+};
+
 // Constants for changelog structure
 const CHANGELOG_STRUCTURE = {
   HEADER: '# Changelog',
   UNRELEASED_SECTION: '## [Unreleased]',
   SECTION_PREFIX: '### ',
   ENTRY_PREFIX: '- ',
-  PR_LINK_PATTERN: '[#{prNumber}]({prUrl})'
+  PR_LINK_PATTERN: '[#{prNumber}]({prUrl})',
+  RELEASE_PREFIX: '## '
+};
+
+// Default rendering templates; {{name}} placeholders take the TEMPLATE_VARIABLES below
+const DEFAULT_TEMPLATES = {
+  ENTRY: '{{scope_bold}}{{description}}{{breaking_suffix}}{{credits}} ({{pr_link}}{{closes}})',
+  SECTION: '### {{section}}',
+  VERSION: '## [{{version}}] - {{date}}'
 };
 
+// Variables available to each template
+const TEMPLATE_VARIABLES = {
+  ENTRY: [
+    'description', 'type', 'scope', 'scope_bold', 'breaking_note', 'breaking_suffix', 'author', 'authors',
+    'credits', 'pr_number', 'pr_url', 'pr_link', 'issues', 'closes', 'commit_sha', 'short_sha', 'merge_date'
+  ],
+  SECTION: ['section'],
+  VERSION: ['version', 'date']
+};
+
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
 // Constants for changelog template
 const CHANGELOG_TEMPLATE = `# Changelog
 
@@ -55,7 +90,9 @@ and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0
 // Constants for output names
 const OUTPUT_NAMES = {
   CHANGELOG_UPDATED: 'changelog-updated',
-  CHANGES_ADDED: 'changes-added'
+  CHANGES_ADDED: 'changes-added',
+  RELEASE_VERSION: 'release-version',
+  PROBLEMS: 'problems'
 };
 
 // Constants for output values
@@ -65,19 +102,23 @@ const OUTPUT_VALUES = {
   CHANGES_ADDED_ZERO: '0'
 };
 
-
-
 // Constants for entry types
 const ENTRY_TYPES = {
   MANUAL: 'Manual',
-  CONVENTIONAL: 'Conventional'
+  CONVENTIONAL: 'Conventional',
+  LABEL: 'Label',
+  TITLE: 'Title'
 };
 
 // Constants for default sections
 const DEFAULT_SECTIONS = {
-  CHANGES: 'Changes'
+  CHANGES: 'Changes',
+  BREAKING: '⚠ BREAKING CHANGES'
 };
 
+// Footer tokens that mark a breaking change (Conventional Commits spec)
+const BREAKING_CHANGE_FOOTER = /^BREAKING[ -]CHANGE:\s*(.*)$/;
+
 // Entry state enum — tracks the origin/status of a changelog entry for a PR
 const ENTRY_STATE = {
   NONE: 'NONE',                 // No entry exists for this PR
@@ -93,12 +134,114 @@ const BEHAVIOR_MODES = {
   OPT_IN: 'opt-in'  // Legacy checkbox behavior
 };
 
+// Action modes
+const ACTION_MODES = {
+  UPDATE: 'update',   // Maintain this PR's entry in the Unreleased section
+  RELEASE: 'release', // Promote the Unreleased section into a versioned release
+  CHECK: 'check',     // Never write; fail when the PR has no resolvable entry
+  ASSEMBLE: 'assemble', // Render changelog fragments into the changelog and delete them
+  VALIDATE: 'validate', // Audit the changelog files; with `fix`, commit the safe repairs
+  BACKFILL: 'backfill'  // Write the missing entries of PRs merged since the last release
+};
+
+// Problems reported by validate mode
+const VALIDATION_PROBLEMS = {
+  MALFORMED_HEADING: 'malformed-heading',
+  MISSING_DATE: 'missing-date',
+  VERSION_ORDER: 'version-order',
+  ORPHAN_MARKER: 'orphan-marker',
+  RELEASED_MARKER: 'released-marker',
+  DUPLICATE_ENTRY: 'duplicate-entry',
+  STRAY_BLANK_LINE: 'stray-blank-line',
+  EMPTY_SECTION: 'empty-section'
+};
+
+// Release headings: a `x.y.z` version anywhere in them, and a YYYY-MM-DD date
+const HEADING_VERSION_PATTERN = /\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?/;
+const HEADING_DATE_PATTERN = /\b\d{4}-\d{2}-\d{2}\b/;
+
+// Headings missing the space after their hashes, and misspelled Unreleased headings
+const HEADING_WITHOUT_SPACE = /^(#{2,3})([^#\s].*)$/;
+const UNRELEASED_VARIANT = /^##\s*\[?\s*unreleased\s*\]?\s*$/i;
+
+// Where a PR's entries are stored
+const STORAGE_MODES = {
+  CHANGELOG: 'changelog', // Directly in the Unreleased section of the changelog
+  FRAGMENTS: 'fragments'  // One fragment file per entry, assembled later
+};
+
+// How entries are ordered within a section of Unreleased (`sort-entries`)
+const ENTRY_SORT = {
+  NONE: 'none',     // New entries go below the existing ones
+  PR: 'pr',         // By PR number
+  SCOPE: 'scope',   // Alphabetically by scope, unscoped entries last
+  MERGED: 'merged'  // By the time the PR was merged, unmerged PRs last
+};
+
+// Changelog fragment files: YAML front-matter followed by the entry description
+const FRAGMENTS = {
+  DEFAULT_DIR: '.changelog/unreleased',
+  EXTENSION: '.md',
+  FRONT_MATTER_DELIMITER: '---',
+  IGNORED_FILES: ['readme.md']
+};
+
+// How changelog changes are delivered
+const COMMIT_MODES = {
+  PUSH: 'push',       // Write the changelog and push a commit to the PR branch
+  COMMENT: 'comment'  // Preview the change in a sticky PR comment instead
+};
+
+// How changelog commits are created
+const COMMIT_METHODS = {
+  GIT: 'git', // git CLI in the checkout, pushed with the checkout's credentials
+  API: 'api'  // GitHub Git Data API; signed by GitHub and needs no checkout
+};
+
+// How backfill mode delivers the entries it writes (`backfill-delivery`)
+const BACKFILL_DELIVERY = {
+  PUSH: 'push',                // One commit pushed to the target branch
+  PULL_REQUEST: 'pull-request' // One commit on BACKFILL_PR.BRANCH, proposed to the target branch in a PR
+};
+
+// The pull request backfill mode opens (and updates on later runs)
+const BACKFILL_PR = {
+  BRANCH: 'auto-changelog/backfill',
+  TITLE: 'chore: backfill changelog entries'
+};
+
+// Hidden marker identifying the sticky preview comment
+const PREVIEW_COMMENT_MARKER = '<!-- pr-auto-changelog:preview -->';
+
+// Hidden marker identifying changelog suggestions posted on fork PRs
+const SUGGESTION_COMMENT_MARKER = '<!-- pr-auto-changelog:suggestion -->';
+
+// Where generated entries come from
+const ENTRY_SOURCES = {
+  TITLE: 'title',     // One entry from the PR title
+  COMMITS: 'commits'  // One entry per conventional commit in the PR
+};
+
+// Commits that never produce entries of their own
+const IGNORED_COMMIT_PATTERNS = [
+  /^(fixup|squash|amend)! /,
+  /^Merge (branch|pull request|remote-tracking branch) /
+];
+
+// Loose shape of a conventional title (any type), used to explain why a title did not parse
+const CONVENTIONAL_SHAPE_PATTERN = /^([a-z][a-z0-9-]*)(\([^)]*\))?!?:(.*)$/i;
+
+// Semantic version (without leading "v"), e.g. 1.2.3 or 2.0.0-rc.1
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
 // Hash marker pattern and template for tracking auto-generated entries
 const HASH_MARKER = {
-  // Matches <!-- ac:HEXHASH:PR# -->
-  PATTERN: /<!-- ac:([a-f0-9]+):(\d+) -->/,
-  // Template for building a marker
-  template: (hash, prNumber) => `<!-- ac:${hash}:${prNumber} -->`
+  // Matches <!-- ac:HEXHASH:PR# --> or <!-- ac:HEXHASH:PR#:INDEX --> (a PR's second and later entries)
+  PATTERN: /<!-- ac:([a-f0-9]+):(\d+)(?::(\d+))? -->/,
+  // Template for building a marker; entry index 0 keeps the original two-field form
+  template: (hash, prNumber, entryIndex) => (entryIndex
+    ? `<!-- ac:${hash}:${prNumber}:${entryIndex} -->`
+    : `<!-- ac:${hash}:${prNumber} -->`)
 };
 
 // Skip patterns recognized in PR description or comments
@@ -108,12 +251,64 @@ const SKIP_PATTERNS = {
   SKIP_COMMAND: '/changelog skip'
 };
 
+// Co-author trailers in commit messages: `Co-authored-by: Name <email>`
+const CO_AUTHOR_TRAILER = /^co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/gim;
+
+// GitHub noreply addresses carry the account login: `123+login@users.noreply.github.com`
+const NOREPLY_EMAIL = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+// Issues closed by a PR or commit: `Fixes #12`, `Closes org/repo#34` or a full issue URL
+const CLOSING_KEYWORD_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:([\w.-]+\/[\w.-]+)?#(\d+)|(https?:\/\/[^\s/]+)\/([\w.-]+\/[\w.-]+)\/issues\/(\d+))/gi;
+
+// Automation accounts that are never credited (besides any `[bot]` login)
+const BOT_LOGINS = ['dependabot', 'github-actions', 'renovate'];
+
+// The New Contributors subsection of Unreleased, and the marker tying each line to its PR
+const NEW_CONTRIBUTORS = {
+  SECTION: 'New Contributors',
+  MARKER_PATTERN: /<!-- ac:contributor:(\d+) -->/,
+  marker: prNumber => `<!-- ac:contributor:${prNumber} -->`
+};
+
 // Comment commands
 const COMMENT_COMMANDS = {
   SKIP: 'skip',
-  REGENERATE: 'regenerate'
+  REGENERATE: 'regenerate',
+  UNSKIP: 'unskip',
+  // Only entry modifiers were found, no command deciding the entry itself
+  MODIFY: 'modify'
+};
+
+// Comment commands that adjust the generated entry instead of replacing it
+const ENTRY_MODIFIERS = {
+  SECTION: 'section',
+  TYPE: 'type',
+  SCOPE: 'scope',
+  BREAKING: 'breaking'
+};
+
+// `/changelog <name> [argument]`; skip, regenerate and unskip also accept `/changelog: <name>`
+const COMMAND_LINE_PATTERN = /^\/changelog(:?)\s+([a-z]+)(?:\s+(.+))?$/i;
+
+// Prefix shared by every /changelog comment command, whatever the configured trigger
+const COMMAND_PREFIX = '/changelog';
+
+// Reactions left on the comment that triggered a run
+const COMMAND_REACTIONS = {
+  ACKNOWLEDGED: '+1',
+  APPLIED: 'rocket',
+  FAILED: 'confused'
 };
 
+// Comment authors whose /changelog commands are honored by default (GitHub author_association)
+const DEFAULT_ALLOWED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+// `allowed-associations` value that honors no association (e.g. to allow teams only)
+const NO_ASSOCIATIONS = 'none';
+
+// Repository permissions that may run /changelog commands
+const COMMAND_PERMISSIONS = ['admin', 'maintain', 'write'];
+
 // Conventional commit types mapping to changelog sections
 const COMMIT_TYPE_MAPPING = {
   'feat': 'Features',
@@ -130,6 +325,511 @@ const COMMIT_TYPE_MAPPING = {
   'revert': 'Reverts'
 };
 
+// PR labels mapping to changelog sections, used when a PR title is not conventional
+const LABEL_SECTION_MAPPING = {
+  'bug': 'Bug Fixes',
+  'enhancement': 'Features',
+  'feature': 'Features',
+  'documentation': 'Documentation',
+  'security': 'Security'
+};
+
+// Repository config files, checked in order when `config-path` is not set
+const CONFIG_FILE_CANDIDATES = [
+  '.github/changelog.yml',
+  '.github/changelog.yaml',
+  '.github/changelog.json'
+];
+
+// Keys accepted at the top level of the repository config file
+const CONFIG_KEYS = {
+  TYPES: 'types',
+  DEFAULT_SECTION: 'default-section',
+  BREAKING_SECTION: 'breaking-section',
+  SECTION_ORDER: 'section-order',
+  PACKAGES: 'packages',
+  LABELS: 'labels',
+  TITLE_FALLBACK: 'title-fallback',
+  CREDIT_AUTHORS: 'credit-authors',
+  LINK_ISSUES: 'link-issues',
+  SORT_ENTRIES: 'sort-entries',
+  NEW_CONTRIBUTORS: 'new-contributors',
+  ENTRY_TEMPLATE: 'entry-template',
+  SECTION_TEMPLATE: 'section-template',
+  VERSION_TEMPLATE: 'version-template'
+};
+
+// Commit types must be simple identifiers so they can be embedded in the title regex
+const COMMIT_TYPE_PATTERN = /^[a-z][a-z0-9-]*$/i;
+
+/**
+ * The section order used without `section-order`: the breaking section, then the sections
+ * of commit types in COMMIT_TYPE_MAPPING priority (custom types after the built-in ones),
+ * label sections and the default section.
+ */
+function defaultSectionOrder(config) {
+  const sections = [
+    config.breakingSection,
+    ...Object.values(config.typeMapping),
+    ...Object.values(config.labelMapping),
+    config.defaultSection
+  ];
+  return [...new Set(sections.filter(Boolean))];
+}
+
+/**
+ * Build the effective changelog config. With no argument this is the built-in default.
+ * typeMapping values are section names, or null for types that are hidden entirely.
+ * sectionOrder is always set, to place new sections; reorderSections is only true when
+ * `section-order` is configured, so hand-ordered changelogs are otherwise left as they are.
+ */
+function buildChangelogConfig(overrides) {
+  const config = {
+    typeMapping: { ...COMMIT_TYPE_MAPPING },
+    defaultSection: DEFAULT_SECTIONS.CHANGES,
+    breakingSection: DEFAULT_SECTIONS.BREAKING,
+    sectionOrder: null,
+    reorderSections: false,
+    sortEntries: ENTRY_SORT.NONE,
+    packages: [],
+    labelMapping: { ...LABEL_SECTION_MAPPING },
+    titleFallback: false,
+    creditAuthors: false,
+    newContributors: false,
+    linkIssues: false,
+    templates: { entry: DEFAULT_TEMPLATES.ENTRY, section: DEFAULT_TEMPLATES.SECTION, version: DEFAULT_TEMPLATES.VERSION }
+  };
+  if (!overrides) return { ...config, sectionOrder: defaultSectionOrder(config) };
+
+  const merged = {
+    typeMapping: { ...config.typeMapping, ...(overrides.typeMapping || {}) },
+    defaultSection: overrides.defaultSection || config.defaultSection,
+    breakingSection: overrides.breakingSection || config.breakingSection,
+    sectionOrder: overrides.sectionOrder || null,
+    reorderSections: Boolean(overrides.sectionOrder),
+    sortEntries: overrides.sortEntries || config.sortEntries,
+    packages: overrides.packages || config.packages,
+    labelMapping: { ...config.labelMapping, ...(overrides.labelMapping || {}) },
+    titleFallback: overrides.titleFallback !== undefined ? overrides.titleFallback : config.titleFallback,
+    creditAuthors: overrides.creditAuthors !== undefined ? overrides.creditAuthors : config.creditAuthors,
+    newContributors: overrides.newContributors !== undefined ? overrides.newContributors : config.newContributors,
+    linkIssues: overrides.linkIssues !== undefined ? overrides.linkIssues : config.linkIssues,
+    templates: { ...config.templates, ...(overrides.templates || {}) }
+  };
+  return { ...merged, sectionOrder: merged.sectionOrder || defaultSectionOrder(merged) };
+}
+
+/**
+ * Validate a parsed repository config object and merge it over the defaults.
+ * Throws a single Error listing every problem found.
+ */
+function validateChangelogConfig(raw, source) {
+  const errors = [];
+  const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+  if (raw === null || raw === undefined) return buildChangelogConfig();
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid changelog config in ${source}: expected a mapping at the top level`);
+  }
+
+  const knownKeys = Object.values(CONFIG_KEYS);
+  for (const key of Object.keys(raw)) {
+    if (!knownKeys.includes(key)) {
+      errors.push(`unknown key "${key}" (expected one of: ${knownKeys.join(', ')})`);
+    }
+  }
+
+  const overrides = {};
+
+  const types = raw[CONFIG_KEYS.TYPES];
+  if (types !== undefined) {
+    if (types === null || typeof types !== 'object' || Array.isArray(types)) {
+      errors.push(`"${CONFIG_KEYS.TYPES}" must be a mapping of commit type to section name`);
+    } else {
+      overrides.typeMapping = {};
+      for (const [type, section] of Object.entries(types)) {
+        if (!COMMIT_TYPE_PATTERN.test(type)) {
+          errors.push(`"${CONFIG_KEYS.TYPES}.${type}": commit type must contain only letters, digits and dashes`);
+        } else if (section === false) {
+          overrides.typeMapping[type.toLowerCase()] = null;
+        } else if (isNonEmptyString(section)) {
+          overrides.typeMapping[type.toLowerCase()] = section.trim();
+        } else {
+          errors.push(`"${CONFIG_KEYS.TYPES}.${type}": expected a section name or false to hide the type`);
+        }
+      }
+    }
+  }
+
+  for (const [key, field] of [
+    [CONFIG_KEYS.DEFAULT_SECTION, 'defaultSection'],
+    [CONFIG_KEYS.BREAKING_SECTION, 'breakingSection']
+  ]) {
+    if (raw[key] === undefined) continue;
+    if (isNonEmptyString(raw[key])) {
+      overrides[field] = raw[key].trim();
+    } else {
+      errors.push(`"${key}" must be a non-empty string`);
+    }
+  }
+
+  const order = raw[CONFIG_KEYS.SECTION_ORDER];
+  if (order !== undefined) {
+    if (!Array.isArray(order) || !order.every(isNonEmptyString)) {
+      errors.push(`"${CONFIG_KEYS.SECTION_ORDER}" must be a list of section names`);
+    } else {
+      const names = order.map(name => name.trim());
+      const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+      if (duplicates.length > 0) {
+        errors.push(`"${CONFIG_KEYS.SECTION_ORDER}" lists ${duplicates.join(', ')} more than once`);
+      }
+      overrides.sectionOrder = names;
+    }
+  }
+
+  const sortEntries = raw[CONFIG_KEYS.SORT_ENTRIES];
+  if (sortEntries !== undefined) {
+    if (Object.values(ENTRY_SORT).includes(sortEntries)) {
+      overrides.sortEntries = sortEntries;
+    } else {
+      errors.push(`"${CONFIG_KEYS.SORT_ENTRIES}" must be one of: ${Object.values(ENTRY_SORT).join(', ')}`);
+    }
+  }
+
+  const labels = raw[CONFIG_KEYS.LABELS];
+  if (labels !== undefined) {
+    if (labels === null || typeof labels !== 'object' || Array.isArray(labels)) {
+      errors.push(`"${CONFIG_KEYS.LABELS}" must be a mapping of PR label to section name`);
+    } else {
+      overrides.labelMapping = {};
+      for (const [label, section] of Object.entries(labels)) {
+        if (section === false) {
+          overrides.labelMapping[label.toLowerCase()] = null;
+        } else if (isNonEmptyString(section)) {
+          overrides.labelMapping[label.toLowerCase()] = section.trim();
+        } else {
+          errors.push(`"${CONFIG_KEYS.LABELS}.${label}": expected a section name or false to ignore the label`);
+        }
+      }
+    }
+  }
+
+  for (const [key, field] of [
+    [CONFIG_KEYS.TITLE_FALLBACK, 'titleFallback'],
+    [CONFIG_KEYS.CREDIT_AUTHORS, 'creditAuthors'],
+    [CONFIG_KEYS.NEW_CONTRIBUTORS, 'newContributors'],
+    [CONFIG_KEYS.LINK_ISSUES, 'linkIssues']
+  ]) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] === 'boolean') {
+      overrides[field] = raw[key];
+    } else {
+      errors.push(`"${key}" must be true or false`);
+    }
+  }
+
+  // Templates must be single lines using known variables; headings keep their level so
+  // sections and releases are still recognized
+  const templates = {};
+  for (const [key, field, variables, prefix, required] of [
+    [CONFIG_KEYS.ENTRY_TEMPLATE, 'entry', TEMPLATE_VARIABLES.ENTRY, null, 'description'],
+    [CONFIG_KEYS.SECTION_TEMPLATE, 'section', TEMPLATE_VARIABLES.SECTION, CHANGELOG_STRUCTURE.SECTION_PREFIX, 'section'],
+    [CONFIG_KEYS.VERSION_TEMPLATE, 'version', TEMPLATE_VARIABLES.VERSION, CHANGELOG_STRUCTURE.RELEASE_PREFIX, 'version']
+  ]) {
+    const template = raw[key];
+    if (template === undefined) continue;
+    if (!isNonEmptyString(template) || template.includes('\n')) {
+      errors.push(`"${key}" must be a single-line string`);
+      continue;
+    }
+    const names = [...template.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]);
+    const unknown = names.filter(name => !variables.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`"${key}" uses unknown variable(s) ${unknown.join(', ')} (expected: ${variables.join(', ')})`);
+    } else if (!names.includes(required)) {
+      errors.push(`"${key}" must use {{${required}}}`);
+    } else if (prefix && !template.startsWith(prefix)) {
+      errors.push(`"${key}" must start with "${prefix}"`);
+    } else {
+      templates[field] = template;
+    }
+  }
+  if (Object.keys(templates).length > 0) overrides.templates = templates;
+
+  const packages = raw[CONFIG_KEYS.PACKAGES];
+  if (packages !== undefined) {
+    if (!Array.isArray(packages)) {
+      errors.push(`"${CONFIG_KEYS.PACKAGES}" must be a list of packages`);
+    } else {
+      overrides.packages = [];
+      packages.forEach((pkg, i) => {
+        const label = `"${CONFIG_KEYS.PACKAGES}[${i}]"`;
+        if (pkg === null || typeof pkg !== 'object' || Array.isArray(pkg)) {
+          errors.push(`${label} must be a mapping with name, path and changelog`);
+          return;
+        }
+        const paths = typeof pkg.path === 'string' ? [pkg.path] : pkg.path;
+        const scopes = pkg.scopes === undefined ? [] : pkg.scopes;
+        const problems = [];
+        if (!isNonEmptyString(pkg.name)) problems.push(`${label}.name must be a non-empty string`);
+        if (!Array.isArray(paths) || paths.length === 0 || !paths.every(isNonEmptyString)) {
+          problems.push(`${label}.path must be a path glob or a list of globs`);
+        }
+        if (!isNonEmptyString(pkg.changelog)) problems.push(`${label}.changelog must be a non-empty string`);
+        if (!Array.isArray(scopes) || !scopes.every(isNonEmptyString)) {
+          problems.push(`${label}.scopes must be a list of conventional commit scopes`);
+        }
+        if (problems.length > 0) {
+          errors.push(...problems);
+          return;
+        }
+        if (overrides.packages.some(existing => existing.name === pkg.name.trim())) {
+          errors.push(`${label}.name "${pkg.name}" is used by more than one package`);
+        }
+        overrides.packages.push({
+          name: pkg.name.trim(),
+          paths: paths.map(glob => glob.trim()),
+          changelog: pkg.changelog.trim(),
+          scopes: scopes.map(scope => scope.trim().toLowerCase())
+        });
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid changelog config in ${source}:\n- ${errors.join('\n- ')}`);
+  }
+  return buildChangelogConfig(overrides);
+}
+
+/**
+ * Load the repository config (YAML or JSON). An explicit path must exist; otherwise the
+ * default locations are tried and the built-in config is used when none is present.
+ */
+function loadChangelogConfig(configPath) {
+  let source = configPath;
+  if (!source) {
+    source = CONFIG_FILE_CANDIDATES.find(candidate => fs.existsSync(candidate));
+    if (!source) return buildChangelogConfig();
+  } else if (!fs.existsSync(source)) {
+    throw new Error(`Changelog config not found at ${source}`);
+  }
+
+  const text = fs.readFileSync(source, 'utf8');
+  let raw;
+  try {
+    raw = source.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`Could not parse changelog config ${source}: ${error.message}`);
+  }
+  return validateChangelogConfig(raw, source);
+}
+
+/**
+ * Convert a path glob to a RegExp. `*` and `?` stay within one path segment, `**` spans
+ * segments, and a glob without wildcards matches that path and everything below it.
+ */
+function globToRegExp(glob) {
+  const normalized = glob.replace(/^\.\//, '').replace(/\/+$/, '');
+  const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+  if (!/[*?]/.test(normalized)) {
+    return new RegExp(`^${escape(normalized)}(?:/.*)?$`);
+  }
+
+  let pattern = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // "**/" matches zero or more directories, a trailing "**" matches anything
+      if (normalized[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += escape(char);
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Decide which changelog each entry belongs in. An entry whose scope is listed in a
+ * package's `scopes` goes to that package; otherwise it goes to every package touched by
+ * the PR's changed files, or to the root changelog when no package is touched.
+ * Returns an object mapping changelog path → entries.
+ */
+function routeEntriesToChangelogs(entries, changedFiles, packages, rootChangelogPath) {
+  const routes = {};
+  const addRoute = (changelogPath, entry) => {
+    if (!routes[changelogPath]) routes[changelogPath] = [];
+    routes[changelogPath].push(entry);
+  };
+
+  const touchedPackages = (packages || []).filter(pkg => {
+    const patterns = pkg.paths.map(globToRegExp);
+    return (changedFiles || []).some(file => patterns.some(pattern => pattern.test(file)));
+  });
+
+  for (const entry of entries) {
+    const scope = (entry.scope || '').toLowerCase();
+    const scopedPackages = scope ? (packages || []).filter(pkg => pkg.scopes.includes(scope)) : [];
+    const targets = scopedPackages.length > 0 ? scopedPackages : touchedPackages;
+
+    if (targets.length === 0) {
+      addRoute(rootChangelogPath, entry);
+    } else {
+      targets.forEach(pkg => addRoute(pkg.changelog, entry));
+    }
+  }
+  return routes;
+}
+
+/**
+ * The paths (and previous paths of renames) of a PR's changed files (as returned by
+ * pulls.listFiles), leaving out the changelogs and fragments the action writes itself:
+ * once it has written to a package changelog, that package would otherwise count as
+ * touched on every later run.
+ */
+function changedSourceFiles(files, changelogPaths, fragmentsDir) {
+  const changelogs = new Set(changelogPaths.map(toRepoPath));
+  const fragmentsPrefix = `${toRepoPath(fragmentsDir)}/`;
+  return files.flatMap(file => [file.filename, file.previous_filename].filter(Boolean))
+    .filter(filename => !changelogs.has(filename) && !filename.startsWith(fragmentsPrefix));
+}
+
+/**
+ * Rank section headings by sectionOrder (section names, headings rendered by
+ * sectionTemplate): listed sections in their order, then unlisted ones, then
+ * New Contributors, which always stays last. Returns heading => rank.
+ */
+function sectionRanker(sectionOrder, sectionTemplate) {
+  const headings = (sectionOrder || []).map(name => formatSectionHeading(name, sectionTemplate));
+  const contributors = formatSectionHeading(NEW_CONTRIBUTORS.SECTION, sectionTemplate);
+  return heading => {
+    if (heading === contributors) return headings.length + 1;
+    const rank = headings.indexOf(heading);
+    return rank === -1 ? headings.length : rank;
+  };
+}
+
+/**
+ * Find where a new sectionName section belongs among the sections of a parsed release
+ * according to sectionOrder, with headings rendered by sectionTemplate. Returns the index
+ * of the section it should precede, or -1 to append.
+ */
+function findSectionInsertIndex(release, sectionName, sectionOrder, sectionTemplate) {
+  const rankOf = sectionRanker(sectionOrder, sectionTemplate);
+  const rank = rankOf(formatSectionHeading(sectionName, sectionTemplate));
+  return release.sections.findIndex(section => rankOf(changelogDocument.lineText(section.heading)) > rank);
+}
+
+/**
+ * The PR number and scope of an entry line, from its hash marker or first PR link and its
+ * bold `**scope**: ` prefix; either is null when the line has none.
+ */
+function entrySortKeys(line) {
+  const marker = line.match(HASH_MARKER.PATTERN);
+  const link = line.match(/\[#(\d+)\]\(/);
+  const scope = line.match(/^\s*[-*+] \*\*([^*]+)\*\*:/);
+  return {
+    prNumber: marker ? Number(marker[2]) : link ? Number(link[1]) : null,
+    scope: scope ? scope[1].trim().toLowerCase() : null
+  };
+}
+
+/**
+ * Build a comparator of entry blocks for a `sort-entries` order, or null for none.
+ * mergeTimes maps PR numbers to their merge time; entries without a key sort last,
+ * and ties keep their order.
+ */
+function entryComparator(sortEntries, mergeTimes) {
+  const keyOf = {
+    [ENTRY_SORT.PR]: keys => keys.prNumber,
+    [ENTRY_SORT.SCOPE]: keys => keys.scope,
+    [ENTRY_SORT.MERGED]: keys => {
+      const mergedAt = keys.prNumber !== null && mergeTimes ? mergeTimes[keys.prNumber] : null;
+      return mergedAt ? Date.parse(mergedAt) : null;
+    }
+  }[sortEntries];
+  if (!keyOf) return null;
+
+  return (a, b) => {
+    const keyA = keyOf(entrySortKeys(a.lines[0].text));
+    const keyB = keyOf(entrySortKeys(b.lines[0].text));
+    if (keyA === null || keyB === null) return (keyA === null) - (keyB === null);
+    if (keyA === keyB) return 0;
+    return keyA < keyB ? -1 : 1;
+  };
+}
+
+/**
+ * PR numbers of the entries in the Unreleased section of changelog content.
+ */
+function unreleasedPrNumbers(changelogContent) {
+  if (!changelogContent) return [];
+  const unreleased = changelogDocument.findRelease(
+    changelogDocument.parseChangelog(changelogContent), CHANGELOG_STRUCTURE.UNRELEASED_SECTION
+  );
+  if (!unreleased) return [];
+  const numbers = changelogDocument.releaseEntries(unreleased).map(entry => entrySortKeys(entry.lines[0].text).prNumber);
+  return [...new Set(numbers.filter(number => number !== null))];
+}
+
+/**
+ * Fetch when each of the given PRs was merged, in batches of GraphQL aliases.
+ * Returns { prNumber: ISO time } for the merged ones.
+ */
+async function fetchMergeTimes(octokit, owner, repo, prNumbers) {
+  const mergeTimes = {};
+  for (let start = 0; start < prNumbers.length; start += 50) {
+    const batch = prNumbers.slice(start, start + 50);
+    const fields = batch.map(number => `pr${number}: pullRequest(number: ${Number(number)}) { mergedAt }`).join('\n');
+    let data;
+    try {
+      data = await octokit.graphql(`
+        query($owner: String!, $repo: String!) {
+          repository(owner: $owner, name: $repo) {
+            ${fields}
+          }
+        }`, { owner, repo });
+    } catch (error) {
+      // Numbers that are not PRs fail their own field only; keep the others
+      if (!error.data) throw error;
+      data = error.data;
+    }
+    for (const number of batch) {
+      const pullRequest = data.repository && data.repository[`pr${number}`];
+      if (pullRequest && pullRequest.mergedAt) mergeTimes[number] = pullRequest.mergedAt;
+    }
+  }
+  return mergeTimes;
+}
+
+/**
+ * Add the merge times of the PRs missing from mergeTimes. A failed lookup is only a
+ * warning: those entries then keep their order.
+ */
+async function addMergeTimes(octokit, owner, repo, prNumbers, mergeTimes) {
+  const missing = prNumbers.filter(number => !(number in mergeTimes));
+  if (missing.length === 0) return;
+  try {
+    Object.assign(mergeTimes, await fetchMergeTimes(octokit, owner, repo, missing));
+  } catch (error) {
+    core.warning(`Could not fetch PR merge times to sort entries: ${error.message}`);
+  }
+  missing.forEach(number => {
+    if (!(number in mergeTimes)) mergeTimes[number] = null;
+  });
+}
+
 /**
  * Compute an 8-char hex hash of entry text (stripped of any existing marker).
  * Uses MD5 for speed — this is not security-sensitive.
@@ -141,69 +841,158 @@ function computeEntryHash(entryText) {
 
 /**
  * Append an invisible HTML marker to an entry line for tracking.
+ * entryIndex distinguishes several entries written for the same PR.
  */
-function buildMarkedEntry(entryText, prNumber) {
+function buildMarkedEntry(entryText, prNumber, entryIndex) {
   const stripped = entryText.replace(HASH_MARKER.PATTERN, '').replace(/\r/g, '').trim();
   const hash = computeEntryHash(stripped);
-  return `${stripped} ${HASH_MARKER.template(hash, prNumber)}`;
+  return `${stripped} ${HASH_MARKER.template(hash, prNumber, entryIndex)}`;
 }
 
 /**
- * Scan the Unreleased section of a changelog for an entry matching the given PR number.
- * Returns { state, line, storedHash }.
+ * Check whether a trimmed changelog line is an entry for the given PR.
+ * Returns null if not, else { state, index, storedHash } where index is the entry's
+ * position within the PR (null for entries without a marker).
  */
-function detectEntryState(changelogContent, prNumber) {
-  const result = { state: ENTRY_STATE.NONE, line: null, storedHash: null };
+function matchPrEntry(trimmedLine, prNumber) {
+  if (!trimmedLine.startsWith(CHANGELOG_STRUCTURE.ENTRY_PREFIX)) return null;
+  // New Contributors lines link the PR too, but are not entries
+  if (NEW_CONTRIBUTORS.MARKER_PATTERN.test(trimmedLine)) return null;
 
-  if (!changelogContent) return result;
+  // Check if this line references our PR number
+  const hasPrLink = trimmedLine.includes(`[#${prNumber}]`);
+  const markerMatch = trimmedLine.match(HASH_MARKER.PATTERN);
+  const hasMarkerForPr = markerMatch && markerMatch[2] === String(prNumber);
 
-  const unreleasedIdx = changelogContent.indexOf(CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
-  if (unreleasedIdx === -1) return result;
+  if (!hasPrLink && !hasMarkerForPr) return null;
 
-  // Extract just the Unreleased section
-  let nextSectionIdx = changelogContent.indexOf('\n## ', unreleasedIdx + 1);
-  if (nextSectionIdx === -1) nextSectionIdx = changelogContent.length;
-  const unreleased = changelogContent.slice(unreleasedIdx, nextSectionIdx);
+  if (!hasMarkerForPr) {
+    // Entry exists but has no marker — manual or legacy
+    return { state: ENTRY_STATE.MANUAL, index: null, storedHash: null };
+  }
 
-  const lines = unreleased.split('\n');
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed.startsWith(CHANGELOG_STRUCTURE.ENTRY_PREFIX)) continue;
+  // Recompute hash of the visible text (without "- " prefix) to see if user edited it
+  const storedHash = markerMatch[1];
+  const currentHash = computeEntryHash(trimmedLine.replace(/^- /, ''));
+  return {
+    state: currentHash === storedHash ? ENTRY_STATE.AUTO_UNTOUCHED : ENTRY_STATE.AUTO_EDITED,
+    index: markerMatch[3] ? Number(markerMatch[3]) : 0,
+    storedHash
+  };
+}
+
+/**
+ * Scan the Unreleased section of a changelog for every entry matching the given PR number.
+ * Returns an array of { state, line, storedHash, index } in file order.
+ */
+function detectEntryStates(changelogContent, prNumber) {
+  if (!changelogContent) return [];
+
+  const unreleased = changelogDocument.findRelease(
+    changelogDocument.parseChangelog(changelogContent), CHANGELOG_STRUCTURE.UNRELEASED_SECTION
+  );
+  if (!unreleased) return [];
+
+  const results = [];
+  for (const entry of changelogDocument.releaseEntries(unreleased)) {
+    const trimmed = changelogDocument.lineText(entry.lines[0]);
+    const match = matchPrEntry(trimmed, prNumber);
+    if (match) {
+      results.push({ state: match.state, line: trimmed, storedHash: match.storedHash, index: match.index });
+    }
+  }
+  return results;
+}
 
-    // Check if this line references our PR number
-    const hasPrLink = trimmed.includes(`[#${prNumber}]`);
-    const markerMatch = trimmed.match(HASH_MARKER.PATTERN);
-    const hasMarkerForPr = markerMatch && markerMatch[2] === String(prNumber);
+/**
+ * Summarize the state of a PR's entries in the Unreleased section.
+ * Returns { state, line, storedHash } for the entry that decides the PR's state:
+ * any MANUAL entry wins, then any AUTO_UNTOUCHED entry (something to regenerate),
+ * and AUTO_EDITED only when every marked entry was edited.
+ */
+function detectEntryState(changelogContent, prNumber) {
+  return summarizeEntryStates(detectEntryStates(changelogContent, prNumber));
+}
 
-    if (!hasPrLink && !hasMarkerForPr) continue;
+/**
+ * Reduce per-entry results from detectEntryStates (possibly across several changelogs)
+ * to the single { state, line, storedHash } described by detectEntryState.
+ */
+function summarizeEntryStates(entries) {
+  const decisive = [ENTRY_STATE.MANUAL, ENTRY_STATE.AUTO_UNTOUCHED, ENTRY_STATE.AUTO_EDITED]
+    .map(state => entries.find(entry => entry.state === state))
+    .find(Boolean);
 
-    // Found an entry for this PR
-    result.line = trimmed;
+  if (!decisive) return { state: ENTRY_STATE.NONE, line: null, storedHash: null };
+  return { state: decisive.state, line: decisive.line, storedHash: decisive.storedHash };
+}
 
-    if (hasMarkerForPr) {
-      result.storedHash = markerMatch[1];
-      // Recompute hash of the visible text (without "- " prefix) to see if user edited it
-      const entryWithoutPrefix = trimmed.replace(/^- /, '');
-      const currentHash = computeEntryHash(entryWithoutPrefix);
-      if (currentHash === result.storedHash) {
-        result.state = ENTRY_STATE.AUTO_UNTOUCHED;
-      } else {
-        result.state = ENTRY_STATE.AUTO_EDITED;
-      }
-    } else {
-      // Entry exists but has no marker — manual or legacy
-      result.state = ENTRY_STATE.MANUAL;
+/**
+ * Collect the custom entry texts from every `/changelog: text` line of a comment or
+ * description, ignoring the skip, regenerate and unskip commands.
+ */
+function parseChangelogLines(text, trigger) {
+  const texts = [];
+  for (const line of (text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!startsWithCommand(trimmed, trigger)) continue;
+
+    const entryText = trimmed.replace(trigger, '').trim();
+    if (entryText && !parseCommandLine(trimmed)) {
+      texts.push(entryText);
     }
-    return result;
   }
+  return texts;
+}
+
+/**
+ * The command a PR description gives: { command: 'skip' } for a skip command, else
+ * { command: 'custom', text, texts } for its `/changelog:` lines, or null.
+ */
+function parseDescriptionCommand(body, trigger) {
+  if (!body) return null;
+  if (body.includes(SKIP_PATTERNS.SKIP_COMMAND_SLASH) || body.includes(SKIP_PATTERNS.SKIP_COMMAND)) {
+    return { command: COMMENT_COMMANDS.SKIP };
+  }
+  const texts = body.includes(trigger) ? parseChangelogLines(body, trigger) : [];
+  return texts.length > 0 ? { command: 'custom', text: texts[0], texts } : null;
+}
+
+/**
+ * Parse one comment line as a named /changelog command. Returns { name, argument } for
+ * skip, regenerate, unskip and the entry modifiers, or null for anything else (including
+ * custom `/changelog: text`). Modifiers only take the `/changelog <name>` form so that
+ * custom entries such as `/changelog: section headers render` keep working.
+ */
+function parseCommandLine(line) {
+  const match = line.match(COMMAND_LINE_PATTERN);
+  if (!match) return null;
+
+  const [, colon, rawName, rawArgument] = match;
+  const name = rawName.toLowerCase();
+  const argument = (rawArgument || '').trim();
+  const simple = [COMMENT_COMMANDS.SKIP, COMMENT_COMMANDS.REGENERATE, COMMENT_COMMANDS.UNSKIP];
+  if (simple.includes(name)) return argument ? null : { name };
+  if (colon) return null;
 
-  return result;
+  if (name === ENTRY_MODIFIERS.BREAKING) return argument ? null : { name, argument: true };
+  if (name === ENTRY_MODIFIERS.SECTION) return argument ? { name, argument } : null;
+  // Types and scopes are single words
+  if (name === ENTRY_MODIFIERS.TYPE || name === ENTRY_MODIFIERS.SCOPE) {
+    return /^\S+$/.test(argument) ? { name, argument } : null;
+  }
+  return null;
 }
 
 /**
  * Parse PR comments for /changelog commands. Returns the latest command found.
- * Returns { command, text } or null.
- * command is one of: 'skip', 'regenerate', 'custom'
+ * Returns { command, text, texts, modifiers, commentId, commentIds } or null.
+ * command is one of: 'skip', 'regenerate', 'unskip', 'custom', or 'modify' when only
+ * modifiers were found; for 'custom', texts holds every `/changelog:` line of that comment
+ * and text is the first of them. modifiers maps section, type, scope and breaking to the
+ * latest value given for each, ignoring those older than a regenerate. commentId is the
+ * comment holding the command (null for 'modify') and commentIds lists every comment the
+ * result was taken from.
  */
 function parseCommentCommands(comments, trigger) {
   if (!comments || comments.length === 0) return null;
@@ -213,34 +1002,48 @@ function parseCommentCommands(comments, trigger) {
     new Date(b.created_at) - new Date(a.created_at)
   );
 
+  let result = null;
+  const modifiers = {};
+  const commentIds = [];
   for (const comment of sorted) {
     const body = (comment.body || '').trim();
-    const lines = body.split('\n');
+    let command = null;
+    let modified = false;
 
-    for (const line of lines) {
+    for (const line of body.split('\n')) {
       const trimmed = line.trim();
+      const parsed = parseCommandLine(trimmed);
 
-      // /changelog skip
-      if (trimmed === '/changelog skip' || trimmed === '/changelog: skip') {
-        return { command: COMMENT_COMMANDS.SKIP, text: null };
-      }
-
-      // /changelog regenerate
-      if (trimmed === '/changelog regenerate' || trimmed === '/changelog: regenerate') {
-        return { command: COMMENT_COMMANDS.REGENERATE, text: null };
-      }
-
-      // /changelog: custom text
-      if (trimmed.startsWith(trigger)) {
-        const text = trimmed.replace(trigger, '').trim();
-        if (text && text !== 'skip' && text !== 'regenerate') {
-          return { command: 'custom', text };
+      if (parsed && Object.values(ENTRY_MODIFIERS).includes(parsed.name)) {
+        // Newer comments win; within a comment the last line wins
+        if (!(parsed.name in modifiers) || modifiers[parsed.name].commentId === comment.id) {
+          modifiers[parsed.name] = { value: parsed.argument, commentId: comment.id };
+          modified = true;
         }
+      } else if (command) {
+        continue;
+      } else if (parsed) {
+        // /changelog skip, regenerate or unskip
+        command = { command: parsed.name, text: null };
+      } else if (startsWithCommand(trimmed, trigger)) {
+        // /changelog: custom text — one entry per line in this comment
+        const texts = parseChangelogLines(body, trigger);
+        if (texts.length > 0) command = { command: 'custom', text: texts[0], texts };
       }
     }
+
+    if (modified || (command && !result)) commentIds.push(comment.id);
+    if (command && !result) result = { ...command, commentId: comment.id };
+    // Skip ignores modifiers and regenerate starts over, so older comments no longer matter
+    if (result && (result.command === COMMENT_COMMANDS.SKIP || result.command === COMMENT_COMMANDS.REGENERATE)) break;
   }
 
-  return null;
+  if (!result && commentIds.length === 0) return null;
+  return {
+    ...(result || { command: COMMENT_COMMANDS.MODIFY, text: null, commentId: null }),
+    modifiers: Object.fromEntries(Object.entries(modifiers).map(([name, { value }]) => [name, value])),
+    commentIds
+  };
 }
 
 /**
@@ -275,530 +1078,3100 @@ function shouldSkipChangelog(pr, defaultBehavior, skipLabels) {
 }
 
 /**
- * Implements the priority chain. Returns { action, reason, mark }.
- * action: 'skip' | 'preserve' | 'generate' | 'custom' | 'regenerate'
- * mark: true if the entry should get a hash marker
+ * Decide whether a comment's author may run /changelog commands: the PR author, an
+ * author_association in policy.allowedAssociations, a user with write access, or a member
+ * of one of policy.allowedTeams ("team" in the repo owner's org, or "org/team").
+ * policy.cache memoizes API lookups per user. Returns { allowed, reason }.
  */
-function resolveEntryAction(entryState, prDescCommand, commentCommand, preserveEdited) {
-  // Priority 1: /changelog skip command (comment or description)
-  if (commentCommand && commentCommand.command === COMMENT_COMMANDS.SKIP) {
-    return { action: 'skip', reason: 'Comment command: /changelog skip', mark: false };
-  }
-  if (prDescCommand && prDescCommand.command === COMMENT_COMMANDS.SKIP) {
-    return { action: 'skip', reason: 'Description command: /changelog skip', mark: false };
-  }
+async function authorizeCommenter(comment, pr, policy) {
+  const login = comment.user && comment.user.login;
+  if (!login) return { allowed: false, reason: 'comment has no author' };
+  if (pr.user && login === pr.user.login) return { allowed: true, reason: 'PR author' };
 
-  // Priority 2: /changelog regenerate (comment only)
-  if (commentCommand && commentCommand.command === COMMENT_COMMANDS.REGENERATE) {
-    return { action: 'regenerate', reason: 'Comment command: /changelog regenerate', mark: true };
+  const association = comment.author_association || 'NONE';
+  if ((policy.allowedAssociations || DEFAULT_ALLOWED_ASSOCIATIONS).includes(association)) {
+    return { allowed: true, reason: `author association ${association}` };
   }
 
-  // Priority 3: /changelog: custom text in PR description
-  if (prDescCommand && prDescCommand.command === 'custom') {
-    return { action: 'custom', reason: 'Custom entry from PR description', mark: false, text: prDescCommand.text };
-  }
+  const cache = policy.cache || {};
+  if (!cache[login]) {
+    cache[login] = (async () => {
+      const { octokit, owner, repo } = policy;
+      try {
+        const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username: login });
+        if (COMMAND_PERMISSIONS.includes(data.permission) || COMMAND_PERMISSIONS.includes(data.role_name)) {
+          return { allowed: true, reason: `${data.role_name || data.permission} permission` };
+        }
+      } catch (error) {
+        core.debug(`Could not read the permission of @${login}: ${error.message}`);
+      }
+
+      for (const team of policy.allowedTeams || []) {
+        const [org, teamSlug] = team.includes('/') ? team.split('/') : [owner, team];
+        try {
+          const { data } = await octokit.rest.teams.getMembershipForUserInOrg({ org, team_slug: teamSlug, username: login });
+          if (data.state === 'active') return { allowed: true, reason: `member of ${org}/${teamSlug}` };
+        } catch (error) {
+          // 404 means not a member; anything else is worth surfacing (e.g. a token without read:org)
+          if (error.status !== 404) core.warning(`Could not check membership of @${login} in ${org}/${teamSlug}: ${error.message}`);
+        }
+      }
+      return {
+        allowed: false,
+        reason: `author association ${association}, not the PR author, without write permission or an allowed team`
+      };
+    })();
+  }
+  return cache[login];
+}
+
+/**
+ * Keep the PR comments whose /changelog commands may be honored, dropping (with a logged
+ * reason) commands from anyone the policy does not authorize. Comments without commands
+ * are dropped too, so only command authors are looked up.
+ */
+async function filterAuthorizedComments(comments, pr, policy) {
+  const authorized = [];
+  const cache = policy.cache || {};
+  for (const comment of comments || []) {
+    if (!parseCommentCommands([comment], policy.trigger)) continue;
+
+    const { allowed, reason } = await authorizeCommenter(comment, pr, { ...policy, cache });
+    const login = comment.user ? comment.user.login : 'unknown';
+    if (allowed) {
+      authorized.push(comment);
+    } else {
+      core.info(`Ignoring /changelog command in comment ${comment.id} from @${login}: ${reason}`);
+    }
+  }
+  return authorized;
+}
+
+/**
+ * Whether a trimmed line starts with a command prefix as a whole word: a prefix ending in a
+ * letter or digit must be followed by whitespace, `:` or the end of the line, so that
+ * "/changelogs look good" is not read as `/changelog`.
+ */
+function startsWithCommand(text, prefix) {
+  if (!prefix || !text.startsWith(prefix)) return false;
+  return !/\w$/.test(prefix) || /^(?:[\s:]|$)/.test(text.slice(prefix.length));
+}
+
+/**
+ * Return the first line of a comment that looks like a /changelog command, or null.
+ */
+function findCommandLine(body, trigger) {
+  return (body || '').split('\n').map(text => text.trim())
+    .find(text => startsWithCommand(text, COMMAND_PREFIX) || startsWithCommand(text, trigger)) || null;
+}
+
+/**
+ * Whether a comment was written by a bot: a GitHub App or a `[bot]` account.
+ */
+function isBotComment(comment) {
+  const user = (comment && comment.user) || {};
+  return user.type === 'Bot' || isBotLogin(user.login);
+}
+
+/**
+ * Parse the `allowed-associations` input: unset gives DEFAULT_ALLOWED_ASSOCIATIONS and
+ * `none` gives no association at all, leaving the PR author, users with write access and
+ * `allowed-teams`.
+ */
+function parseAllowedAssociations(raw) {
+  const value = (raw || '').trim();
+  if (!value) return DEFAULT_ALLOWED_ASSOCIATIONS;
+  if (value.toLowerCase() === NO_ASSOCIATIONS) return [];
+  return value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Whether a login belongs to an automation account: any `[bot]` login or a BOT_LOGINS one.
+ */
+function isBotLogin(login) {
+  return /\[bot\]$/i.test(login || '') || BOT_LOGINS.includes((login || '').toLowerCase());
+}
+
+/**
+ * Whether an issue_comment event can change which /changelog commands apply: a created or
+ * deleted comment with a command line, or an edit that adds, changes or removes one.
+ */
+function commentEventHasCommand(payload, trigger) {
+  const comment = payload.comment || {};
+  if (findCommandLine(comment.body, trigger)) return true;
+  const previous = payload.changes && payload.changes.body;
+  return payload.action === 'edited' && Boolean(previous && findCommandLine(previous.from, trigger));
+}
+
+/**
+ * Bring the listed PR comments in line with the issue_comment event that triggered the
+ * run, in case the listing lags behind it: a deleted comment is dropped and an edited one
+ * carries its new body. Comments from bots are dropped too.
+ */
+function reconcileComments(comments, payload) {
+  const eventComment = payload && payload.comment;
+  const reconciled = [];
+  for (const comment of comments || []) {
+    if (isBotComment(comment)) continue;
+    if (eventComment && comment.id === eventComment.id) {
+      if (payload.action === 'deleted') continue;
+      if (payload.action === 'edited') {
+        reconciled.push({ ...comment, body: eventComment.body });
+        continue;
+      }
+    }
+    reconciled.push(comment);
+  }
+  return reconciled;
+}
+
+/**
+ * Classify the /changelog command in a single comment so the comment can be answered.
+ * Returns { kind, line, command, problem }: kind is 'none' (no /changelog line),
+ * 'unknown' (a /changelog line that is not a command) or 'command'. problem explains a
+ * custom entry that looks conventional but has an unknown type or no description, and
+ * so is added as written under the default section, or a type modifier naming an unknown
+ * type.
+ */
+function classifyCommentCommand(comment, trigger, config) {
+  const changelogConfig = config || buildChangelogConfig();
+  const line = findCommandLine(comment.body, trigger);
+  if (!line) return { kind: 'none' };
+
+  const command = parseCommentCommands([comment], trigger);
+  if (!command) return { kind: 'unknown', line };
+
+  let problem = null;
+  const knownTypes = Object.keys(changelogConfig.typeMapping);
+  const { type } = command.modifiers;
+  if (type && !knownTypes.includes(type.toLowerCase())) {
+    problem = `\`${type}\` is not a known type (expected one of: ${knownTypes.join(', ')}), ` +
+      `so \`/changelog type ${type}\` was ignored.`;
+  } else if (command.command === 'custom') {
+    for (const text of command.texts) {
+      const shape = text.match(CONVENTIONAL_SHAPE_PATTERN);
+      if (!shape) continue;
+      if (!knownTypes.includes(shape[1].toLowerCase())) {
+        problem = `\`${shape[1]}\` is not a known type (expected one of: ${knownTypes.join(', ')}), ` +
+          `so "${text}" was added as written under ${changelogConfig.defaultSection}.`;
+        break;
+      }
+      if (!shape[3].trim()) {
+        problem = `"${text}" has no description, so it was added as written under ${changelogConfig.defaultSection}.`;
+        break;
+      }
+    }
+  }
+  return { kind: 'command', line, command, problem };
+}
+
+/**
+ * Decide how to answer the comment that triggered the run. classification comes from
+ * classifyCommentCommand, authorization from authorizeCommenter, decision is the action
+ * the run resolved and error the failure that ended it. Returns { reaction, reply } (reply
+ * is null when the reaction says it all), or null when the comment holds no command.
+ */
+function buildCommandFeedback(comment, outcome) {
+  const { classification, authorization, decision, changed, error, trigger } = outcome;
+  if (!classification || classification.kind === 'none') return null;
+
+  const mention = comment.user ? `@${comment.user.login} ` : '';
+  const failed = reply => ({ reaction: COMMAND_REACTIONS.FAILED, reply: `${mention}${reply}` });
+
+  if (classification.kind === 'unknown') {
+    return failed(
+      `\`${classification.line}\` is not a changelog command. Use \`/changelog skip\`, \`unskip\`, ` +
+      `\`regenerate\`, \`section <name>\`, \`type <type>\`, \`scope <scope>\`, \`breaking\` ` +
+      `or \`${trigger} <entry text>\`.`
+    );
+  }
+  if (authorization && !authorization.allowed) {
+    return failed(
+      `\`${classification.line}\` was ignored: only the PR author and collaborators with write access ` +
+      `can run changelog commands (${authorization.reason}).`
+    );
+  }
+  if (error) return failed(`\`${classification.line}\` failed: ${error.message}`);
+  if (!decision) return null;
+  const appliedComments = decision.commentIds || [];
+  if (!appliedComments.includes(comment.id)) {
+    const winner = appliedComments.length ? 'another /changelog comment' : `a higher-priority rule (${decision.reason})`;
+    return failed(`\`${classification.line}\` was not applied: ${winner} takes precedence.`);
+  }
+  if (classification.problem) return failed(classification.problem);
+  return { reaction: changed ? COMMAND_REACTIONS.APPLIED : COMMAND_REACTIONS.ACKNOWLEDGED, reply: null };
+}
+
+/**
+ * React to a comment and post the feedback reply, if any. Failures only warn: feedback
+ * must never fail the run.
+ */
+async function sendCommandFeedback(octokit, owner, repo, prNumber, comment, feedback) {
+  if (!feedback) return;
+  try {
+    await octokit.rest.reactions.createForIssueComment({
+      owner, repo, comment_id: comment.id, content: feedback.reaction
+    });
+    if (feedback.reply) {
+      await octokit.rest.issues.createComment({ owner, repo, issue_number: prNumber, body: feedback.reply });
+    }
+  } catch (error) {
+    core.warning(`Could not answer comment ${comment.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Implements the priority chain. Returns { action, reason, mark, modifiers, commentIds }.
+ * action: 'skip' | 'preserve' | 'generate' | 'custom' | 'regenerate'
+ * mark: true if the entries should get hash markers
+ * For 'custom', text and texts carry the custom entry text(s). For the actions that build
+ * entries, modifiers holds the comment modifiers to apply to them. commentIds lists the
+ * comments whose commands the decision honors.
+ */
+function resolveEntryAction(entryState, prDescCommand, commentCommand, preserveEdited) {
+  const fromComments = {
+    modifiers: (commentCommand && commentCommand.modifiers) || {},
+    commentIds: (commentCommand && commentCommand.commentIds) || []
+  };
+  const unskipped = commentCommand && commentCommand.command === COMMENT_COMMANDS.UNSKIP;
+
+  // Priority 1: /changelog skip command (comment, or description unless a comment unskips)
+  if (commentCommand && commentCommand.command === COMMENT_COMMANDS.SKIP) {
+    return {
+      action: 'skip', reason: 'Comment command: /changelog skip', mark: false,
+      commentIds: [commentCommand.commentId].filter(id => id !== undefined)
+    };
+  }
+  if (prDescCommand && prDescCommand.command === COMMENT_COMMANDS.SKIP && !unskipped) {
+    return { action: 'skip', reason: 'Description command: /changelog skip', mark: false, commentIds: [] };
+  }
+
+  // Priority 2: /changelog regenerate (comment only)
+  if (commentCommand && commentCommand.command === COMMENT_COMMANDS.REGENERATE) {
+    return { action: 'regenerate', reason: 'Comment command: /changelog regenerate', mark: true, ...fromComments };
+  }
+
+  // Priority 3: /changelog: custom text in PR description
+  if (prDescCommand && prDescCommand.command === 'custom') {
+    // A custom comment entry is overridden, its modifiers still apply
+    const overridden = commentCommand && commentCommand.command === 'custom' ? commentCommand.commentId : undefined;
+    return {
+      action: 'custom', reason: 'Custom entry from PR description', mark: true,
+      text: prDescCommand.text, texts: prDescCommand.texts || [prDescCommand.text],
+      modifiers: fromComments.modifiers,
+      commentIds: fromComments.commentIds.filter(id => id !== overridden)
+    };
+  }
 
   // Priority 4: /changelog: custom text in latest PR comment
   if (commentCommand && commentCommand.command === 'custom') {
-    return { action: 'custom', reason: 'Custom entry from PR comment', mark: false, text: commentCommand.text };
+    return {
+      action: 'custom', reason: 'Custom entry from PR comment', mark: true,
+      text: commentCommand.text, texts: commentCommand.texts || [commentCommand.text],
+      ...fromComments
+    };
   }
 
   // Priority 5 & 6: Based on entry state
   if (entryState === ENTRY_STATE.NONE || entryState === ENTRY_STATE.AUTO_UNTOUCHED) {
-    return { action: 'generate', reason: `Entry state: ${entryState}`, mark: true };
+    return { action: 'generate', reason: `Entry state: ${entryState}`, mark: true, ...fromComments };
   }
 
   if (entryState === ENTRY_STATE.AUTO_EDITED || entryState === ENTRY_STATE.MANUAL) {
     if (preserveEdited) {
-      return { action: 'preserve', reason: `Entry state: ${entryState} (preserved)`, mark: false };
+      return { action: 'preserve', reason: `Entry state: ${entryState} (preserved)`, mark: false, commentIds: [] };
     }
     // If preserve is disabled, regenerate anyway
-    return { action: 'generate', reason: `Entry state: ${entryState} (preserve disabled)`, mark: true };
+    return { action: 'generate', reason: `Entry state: ${entryState} (preserve disabled)`, mark: true, ...fromComments };
   }
 
   // Default: generate
-  return { action: 'generate', reason: 'Default', mark: true };
+  return { action: 'generate', reason: 'Default', mark: true, ...fromComments };
 }
 
-async function run() {
-  try {
-    // Get inputs
-    const token = core.getInput('github-token');
-    const changelogPath = core.getInput('changelog-path');
-    const autoCategorize = core.getInput('auto-categorize') === 'true';
-    const commentTrigger = core.getInput('comment-trigger');
-    const skipDependabot = core.getInput('skip-dependabot') === 'true';
-    const defaultBehavior = core.getInput('default-behavior') || BEHAVIOR_MODES.AUTO;
-    const preserveEdited = core.getInput('preserve-edited') !== 'false';
-    const skipLabelsRaw = core.getInput('skip-labels') || '';
-    const skipLabels = skipLabelsRaw.split(',').map(s => s.trim()).filter(Boolean);
+/**
+ * Whether a comment command overrides a skip requested by the PR description, a skip
+ * label or the opt-in checkbox: regenerate, unskip and custom entries do, modifiers alone
+ * do not.
+ */
+function commandOverridesSkip(commentCommand) {
+  return Boolean(commentCommand) &&
+    commentCommand.command !== COMMENT_COMMANDS.SKIP &&
+    commentCommand.command !== COMMENT_COMMANDS.MODIFY;
+}
 
-    const octokit = github.getOctokit(token);
-    const context = github.context;
+/**
+ * The comments honored by a skip that happens before the priority chain runs: the
+ * /changelog skip comment, if that is what the latest command is.
+ */
+function skipCommentIds(commentCommand) {
+  return commentCommand && commentCommand.command === COMMENT_COMMANDS.SKIP ? [commentCommand.commentId] : [];
+}
 
-    core.info(`Event name: ${context.eventName}`);
-    core.info(`Default behavior: ${defaultBehavior}`);
+/**
+ * Whether comment modifiers pick the entry's section on their own: a section, or a known type.
+ */
+function modifiersCategorize(modifiers, config) {
+  const { typeMapping } = config || buildChangelogConfig();
+  if (!modifiers) return false;
+  return Boolean(modifiers.section) ||
+    (Boolean(modifiers.type) && Object.prototype.hasOwnProperty.call(typeMapping, modifiers.type.toLowerCase()));
+}
 
-    // Determine PR number and details based on event type
-    let prNumber, pr;
-    const { owner, repo } = context.repo;
+/**
+ * Apply /changelog section, type, scope and breaking modifiers to an entry. A type
+ * modifier re-files the entry under that type's section (ignored with a warning when the
+ * type is unknown), breaking moves it to the breaking section and an explicit section
+ * wins over both.
+ */
+function applyEntryModifiers(entry, modifiers, config) {
+  if (!modifiers || Object.keys(modifiers).length === 0) return entry;
+  const { typeMapping, defaultSection, breakingSection } = config || buildChangelogConfig();
+  const modified = { ...entry };
 
-    if (context.eventName === 'issue_comment') {
-      // Handle issue_comment event — validate it's on a PR
-      const issue = context.payload.issue;
-      if (!issue || !issue.pull_request) {
-        core.info('Comment is not on a pull request, skipping');
-        return;
+  if (modifiers.type) {
+    const type = modifiers.type.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(typeMapping, type)) {
+      modified.type = type;
+      modified.section = typeMapping[type] || defaultSection;
+      modified.hidden = typeMapping[type] === null;
+    } else {
+      core.warning(`Ignoring /changelog type ${modifiers.type}: not a known type (expected one of: ${Object.keys(typeMapping).join(', ')})`);
+    }
+  }
+  if (modifiers.scope) modified.scope = modifiers.scope;
+  if (modifiers.breaking) modified.breaking = true;
+  if (modified.breaking) {
+    modified.hidden = false;
+    modified.section = breakingSection;
+  }
+  if (modifiers.section) {
+    modified.hidden = false;
+    modified.section = modifiers.section;
+  }
+  return modified;
+}
+
+/**
+ * Lint how a PR's changelog entry resolves, for check mode. options holds the resolved
+ * decision, the PR's entry state and existing entries per changelog path ({ state, line,
+ * lineNumber }), any entries built from the PR's commits, the changelog config, the comment
+ * trigger and autoCategorize (false when `auto-categorize` is off, so only custom entries
+ * are generated). Returns a list of { message, file, line } problems; empty when the entry
+ * is valid.
+ */
+function lintChangelogEntry(pr, prNumber, options) {
+  const { decision, entryState, existingEntries, commitEntries } = options;
+  const changelogConfig = options.config || buildChangelogConfig();
+  const isKnownType = type => Object.prototype.hasOwnProperty.call(changelogConfig.typeMapping, type.toLowerCase());
+  const problems = [];
+
+  if (decision.action === 'skip') return problems;
+
+  const modifiers = decision.modifiers || {};
+  if (modifiers.type && !isKnownType(modifiers.type)) {
+    problems.push({
+      message: `/changelog type ${modifiers.type} uses an unknown type (expected one of: ${Object.keys(changelogConfig.typeMapping).join(', ')})`
+    });
+  }
+
+  // Preserved entries are kept as written, so they must still link back to the PR
+  if (decision.action === 'preserve') {
+    for (const [file, entries] of Object.entries(existingEntries || {})) {
+      for (const entry of entries) {
+        if (entry.state === ENTRY_STATE.MANUAL && !entry.line.includes(`[#${prNumber}](`)) {
+          problems.push({
+            message: `Manual changelog entry for PR #${prNumber} is missing its PR link ([#${prNumber}](url))`,
+            file,
+            line: entry.lineNumber
+          });
+        }
       }
-      prNumber = issue.number;
+    }
+    return problems;
+  }
 
-      // Fetch full PR details
-      const { data: prData } = await octokit.rest.pulls.get({
-        owner, repo, pull_number: prNumber
+  if (decision.action === 'custom') {
+    for (const text of decision.texts) {
+      const shape = text.match(CONVENTIONAL_SHAPE_PATTERN);
+      if (shape && isKnownType(shape[1]) && !shape[3].trim()) {
+        problems.push({ message: `Custom changelog entry "${text}" has an empty description` });
+      }
+    }
+    return problems;
+  }
+
+  // generate / regenerate: without auto-categorize nothing is generated, and existing entries stay
+  if (options.autoCategorize === false) {
+    if (!entryState || entryState === ENTRY_STATE.NONE) {
+      problems.push({
+        message: `auto-categorize is off and PR #${prNumber} has no ${options.trigger || '/changelog:'} entry`
       });
-      pr = prData;
-    } else if (context.eventName === EVENT_TYPES.PULL_REQUEST) {
-      prNumber = context.payload.pull_request.number;
-      const { data: prData } = await octokit.rest.pulls.get({
-        owner, repo, pull_number: prNumber
+    }
+    return problems;
+  }
+
+  // Otherwise the entries come from the PR's commits or its title
+  if (commitEntries && commitEntries.length > 0) return problems;
+
+  const title = (pr.title || '').trim();
+  if (title && modifiersCategorize(modifiers, changelogConfig)) return problems;
+  const shape = title.match(CONVENTIONAL_SHAPE_PATTERN);
+  if (shape && isKnownType(shape[1]) && !shape[3].trim()) {
+    problems.push({ message: `PR title "${title}" has an empty description` });
+  } else if (!buildTitleEntry(pr, prNumber, changelogConfig)) {
+    if (shape) {
+      problems.push({
+        message: `PR title uses unknown type "${shape[1]}" (expected one of: ${Object.keys(changelogConfig.typeMapping).join(', ')})`
       });
-      pr = prData;
     } else {
-      core.info('Action only runs on pull_request and issue_comment events');
-      return;
+      problems.push({
+        message: `PR title "${title}" is not in conventional commit format and there is no ${options.trigger || '/changelog:'} override`
+      });
     }
+  }
+  return problems;
+}
 
-    // Check if we should skip dependabot PRs
-    if (skipDependabot && pr.user.login === DEPENDABOT_USER) {
-      core.info('Skipping dependabot PR');
-      return;
+/**
+ * Resolve the version to release from the `release-version` input or, failing that,
+ * from a tag ref such as refs/tags/v1.2.3. Throws if no valid semver can be found.
+ */
+function resolveReleaseVersion(inputVersion, ref) {
+  let version = (inputVersion || '').trim();
+  if (!version && ref && ref.startsWith('refs/tags/')) {
+    version = ref.slice('refs/tags/'.length);
+  }
+  if (!version) {
+    throw new Error('Release mode requires a "release-version" input or a tag push');
+  }
+
+  version = version.replace(/^v/, '');
+  if (!SEMVER_PATTERN.test(version)) {
+    throw new Error(`Invalid release version "${version}" (expected x.y.z)`);
+  }
+  return version;
+}
+
+/**
+ * Rename the Unreleased section to `## [version] - date` (or the given version template),
+ * dropping empty subsections and hash markers, and open a fresh empty Unreleased section
+ * above it. Returns the new changelog content. Throws if there is nothing to release.
+ */
+function promoteUnreleased(changelogContent, version, date, versionTemplate) {
+  const doc = changelogDocument.parseChangelog(changelogContent);
+  const unreleased = changelogDocument.findRelease(doc, CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
+  if (!unreleased) {
+    throw new Error(`No "${CHANGELOG_STRUCTURE.UNRELEASED_SECTION}" section found in changelog`);
+  }
+  // Any release heading naming this exact version, whatever template wrote it
+  const escapedVersion = version.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const versionPattern = new RegExp(`^## .*(?<![\\w.+-])${escapedVersion}(?![\\w.+-])`);
+  if (doc.releases.some(release => versionPattern.test(release.heading.text))) {
+    throw new Error(`Changelog already contains a section for version ${version}`);
+  }
+
+  // Drop subsections that have no entries
+  const kept = unreleased.sections.filter(section =>
+    section.body.some(block => block.type === changelogDocument.BLOCK_TYPES.ENTRY)
+  );
+  if (kept.length === 0) {
+    throw new Error('Unreleased section has no entries to release');
+  }
+
+  // Released blocks lose their markers and surrounding blank lines
+  const releaseBlocks = blocks => {
+    const result = blocks.map(block => ({
+      ...block,
+      lines: block.lines.map(line => ({
+        ...line,
+        text: stripMarkers(line.text)
+      }))
+    }));
+    while (result.length > 0 && result[0].type === changelogDocument.BLOCK_TYPES.BLANK) result.shift();
+    changelogDocument.trimTrailingBlanks(result);
+    return result;
+  };
+
+  const releaseHeader = renderTemplate(versionTemplate || DEFAULT_TEMPLATES.VERSION, { version, date }).trim();
+  const release = changelogDocument.insertRelease(doc, releaseHeader, doc.releases.indexOf(unreleased) + 1);
+  const preamble = releaseBlocks(unreleased.body);
+  if (preamble.length > 0) release.body.push(...preamble, changelogDocument.createBlank(doc));
+  release.sections = kept.map(section => ({
+    heading: { ...section.heading, text: section.heading.text.trimEnd() },
+    body: releaseBlocks(section.body)
+  }));
+  release.sections.slice(0, -1).forEach(section => changelogDocument.padBody(doc, section.body));
+  changelogDocument.padRelease(doc, release);
+
+  // Open a fresh, empty Unreleased section
+  unreleased.body = [changelogDocument.createBlank(doc)];
+  unreleased.sections = [];
+  return changelogDocument.serializeChangelog(doc);
+}
+
+/**
+ * Remove hash and New Contributors markers from a changelog line.
+ */
+function stripMarkers(text) {
+  return text.replace(HASH_MARKER.PATTERN, '').replace(NEW_CONTRIBUTORS.MARKER_PATTERN, '').trimEnd();
+}
+
+/**
+ * Compare two semver versions by precedence: negative when a is older than b, positive
+ * when newer and 0 when equal (build metadata is ignored).
+ */
+function compareVersions(a, b) {
+  const split = version => {
+    const [main, ...pre] = version.split('+')[0].split('-');
+    return { main: main.split('.').map(Number), pre: pre.length > 0 ? pre.join('-').split('.') : null };
+  };
+  const left = split(a);
+  const right = split(b);
+  for (let i = 0; i < 3; i++) {
+    if (left.main[i] !== right.main[i]) return left.main[i] - right.main[i];
+  }
+  // A pre-release sorts before its release
+  if (!left.pre || !right.pre) return (left.pre ? -1 : 0) + (right.pre ? 1 : 0);
+  for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+    if (left.pre[i] === undefined) return -1;
+    if (right.pre[i] === undefined) return 1;
+    const numeric = /^\d+$/.test(left.pre[i]) && /^\d+$/.test(right.pre[i]);
+    const order = numeric ? Number(left.pre[i]) - Number(right.pre[i]) : left.pre[i].localeCompare(right.pre[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+/**
+ * Audit changelog content: malformed headings, release headings without a date or out of
+ * semver order, orphan markers (not on an entry, or on one linking another PR), markers
+ * in released sections, duplicate entries for a PR within a release, stray blank lines
+ * and empty sections. Returns { problems, fixed }: problems are { kind, line, message,
+ * fixable } in file order, and fixed is the content with every fixable problem repaired
+ * (missing heading spaces and Unreleased spelling fixed, stray markers, duplicate entries,
+ * stray blank lines and empty sections removed).
+ */
+function validateChangelog(changelogContent) {
+  const problems = [];
+
+  // First repair heading syntax, which decides how the rest of the file is read
+  const raw = changelogDocument.parseChangelog(changelogContent);
+  const rawNumbers = changelogDocument.numberLines(raw);
+  const headingLines = [
+    ...raw.header.filter(block => block.type === changelogDocument.BLOCK_TYPES.TEXT).map(block => block.lines[0]),
+    ...raw.releases.flatMap(release => [
+      release.heading,
+      ...[release.body, ...release.sections.map(section => section.body)].flatMap(body =>
+        body.filter(block => block.type === changelogDocument.BLOCK_TYPES.TEXT).map(block => block.lines[0]))
+    ])
+  ];
+  for (const line of headingLines) {
+    const text = line.text.trim();
+    let repaired = null;
+    if (UNRELEASED_VARIANT.test(text) && text !== CHANGELOG_STRUCTURE.UNRELEASED_SECTION) {
+      repaired = CHANGELOG_STRUCTURE.UNRELEASED_SECTION;
+    } else if (HEADING_WITHOUT_SPACE.test(text)) {
+      repaired = text.replace(HEADING_WITHOUT_SPACE, '$1 $2');
     }
+    if (repaired) {
+      problems.push({
+        kind: VALIDATION_PROBLEMS.MALFORMED_HEADING,
+        line: rawNumbers.get(line),
+        message: `Malformed heading "${text}" (should be "${repaired}")`,
+        fixable: true
+      });
+      line.text = repaired;
+    }
+  }
 
-    // --- Gather commands from PR description ---
-    let prDescCommand = null;
-    if (pr.body) {
-      // Check for /changelog: skip or /changelog skip in description
-      if (pr.body.includes(SKIP_PATTERNS.SKIP_COMMAND_SLASH) || pr.body.includes(SKIP_PATTERNS.SKIP_COMMAND)) {
-        prDescCommand = { command: COMMENT_COMMANDS.SKIP };
-      } else if (pr.body.includes(commentTrigger)) {
-        // Parse /changelog: custom text from description
-        const parsed = parseChangelogComment(pr.body, commentTrigger, pr, prNumber);
-        if (parsed) {
-          prDescCommand = { command: 'custom', text: parsed.description || parsed.scope ? null : null };
-          // Store full parsed entry for later use
-          prDescCommand._parsedEntry = parsed;
-          // Reconstruct the custom text from the parsed entry
-          const scopeText = parsed.scope ? `**${parsed.scope}**: ` : '';
-          prDescCommand.text = `${scopeText}${parsed.description}`;
+  const doc = changelogDocument.parseChangelog(changelogDocument.serializeChangelog(raw));
+  const numbers = changelogDocument.numberLines(doc);
+  const report = (kind, line, message, fixable) => problems.push({ kind, line: numbers.get(line), message, fixable });
+  const { BLOCK_TYPES } = changelogDocument;
+
+  const removeStrayBlanks = body => {
+    const stray = new Set(changelogDocument.strayBlanks(body));
+    stray.forEach(block => report(VALIDATION_PROBLEMS.STRAY_BLANK_LINE, block.lines[0], 'Stray blank line', true));
+    body.splice(0, body.length, ...body.filter(block => !stray.has(block)));
+  };
+
+  let previousVersion = null;
+  for (const release of doc.releases) {
+    const heading = changelogDocument.lineText(release.heading);
+    const unreleased = heading.startsWith(CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
+    if (!unreleased) {
+      const version = heading.match(HEADING_VERSION_PATTERN);
+      if (!version) {
+        report(VALIDATION_PROBLEMS.MALFORMED_HEADING, release.heading, `Release heading "${heading}" names no version`, false);
+      } else {
+        if (previousVersion && compareVersions(version[0], previousVersion) >= 0) {
+          report(VALIDATION_PROBLEMS.VERSION_ORDER, release.heading,
+            `Version ${version[0]} is listed below ${previousVersion}; releases must go from newest to oldest`, false);
         }
+        previousVersion = version[0];
+      }
+      if (!HEADING_DATE_PATTERN.test(heading)) {
+        report(VALIDATION_PROBLEMS.MISSING_DATE, release.heading, `Release heading "${heading}" has no YYYY-MM-DD date`, false);
       }
     }
 
-    // --- Gather commands from PR comments ---
-    let commentCommand = null;
-    try {
-      const { data: comments } = await octokit.rest.issues.listComments({
-        owner, repo, issue_number: prNumber
+    const bodies = [release.body, ...release.sections.map(section => section.body)];
+
+    // Markers only belong on the first line of an Unreleased entry linking their PR
+    for (const block of bodies.flat()) {
+      block.lines.forEach((line, index) => {
+        const marker = line.text.match(HASH_MARKER.PATTERN);
+        if (!unreleased) {
+          if (marker || NEW_CONTRIBUTORS.MARKER_PATTERN.test(line.text)) {
+            report(VALIDATION_PROBLEMS.RELEASED_MARKER, line, `Tracking marker left in released section "${heading}"`, true);
+            line.text = stripMarkers(line.text);
+          }
+          return;
+        }
+        if (!marker) return;
+        const links = [...line.text.matchAll(/\[#(\d+)\]\(/g)].map(match => match[1]);
+        const onEntry = block.type === BLOCK_TYPES.ENTRY && index === 0;
+        if (!onEntry || (links.length > 0 && !links.includes(marker[2]))) {
+          report(VALIDATION_PROBLEMS.ORPHAN_MARKER, line, onEntry
+            ? `Marker for PR #${marker[2]} is on an entry linking ${links.map(number => `#${number}`).join(', ')}`
+            : `Marker for PR #${marker[2]} is not on an entry line`, true);
+          line.text = stripMarkers(line.text);
+        }
       });
-      commentCommand = parseCommentCommands(comments, commentTrigger);
-    } catch (err) {
-      core.warning(`Could not fetch PR comments: ${err.message}`);
     }
 
-    // --- Check skip logic ---
-    if (defaultBehavior === BEHAVIOR_MODES.AUTO) {
-      // In auto mode, check skip patterns (but commands can override)
-      const skipRequested = shouldSkipChangelog(pr, defaultBehavior, skipLabels);
-
-      // If skip is requested AND no comment command overrides it, skip
-      if (skipRequested && (!commentCommand || commentCommand.command === COMMENT_COMMANDS.SKIP)) {
-        core.info('Skipping changelog (auto mode: skip detected)');
-        await removeAutoGeneratedEntries(changelogPath, prNumber);
-        core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
-        core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
-        core.setOutput('entry-state', ENTRY_STATE.SKIPPED);
-        return;
-      }
-    } else if (defaultBehavior === BEHAVIOR_MODES.OPT_IN) {
-      // In opt-in mode, use legacy checkbox behavior
-      const skipRequested = shouldSkipChangelog(pr, defaultBehavior, skipLabels);
-      if (skipRequested && (!commentCommand || commentCommand.command === COMMENT_COMMANDS.SKIP)) {
-        core.info('Skipping changelog (opt-in mode: checkbox not checked)');
-        const hasUncheckedCheckbox = pr.body && pr.body.includes(CHECKBOX_STATES.UNCHECKED);
-        if (hasUncheckedCheckbox) {
-          await removeAutoGeneratedEntries(changelogPath, prNumber);
-        }
-        core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
-        core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
-        core.setOutput('entry-state', ENTRY_STATE.SKIPPED);
-        return;
+    // The same PR entry twice in a release: the same marker index or the same text
+    const seen = new Map();
+    const duplicates = new Set();
+    for (const block of changelogDocument.releaseEntries(release)) {
+      const text = block.lines[0].text;
+      const { prNumber } = entrySortKeys(text);
+      if (prNumber === null || NEW_CONTRIBUTORS.MARKER_PATTERN.test(text)) continue;
+      const marker = text.match(HASH_MARKER.PATTERN);
+      const keys = [`${prNumber}:${stripMarkers(text).trim().toLowerCase()}`];
+      if (marker) keys.push(`${prNumber}#${marker[3] || 0}`);
+      const first = keys.map(key => seen.get(key)).find(Boolean);
+      if (first) {
+        report(VALIDATION_PROBLEMS.DUPLICATE_ENTRY, block.lines[0],
+          `Duplicate entry for PR #${prNumber} (first at line ${numbers.get(first)})`, true);
+        duplicates.add(block);
+      } else {
+        keys.forEach(key => seen.set(key, block.lines[0]));
       }
     }
+    changelogDocument.removeEntries(release, block => duplicates.has(block));
+
+    release.sections = release.sections.filter(section => {
+      if (section.body.some(block => block.type !== BLOCK_TYPES.BLANK)) return true;
+      report(VALIDATION_PROBLEMS.EMPTY_SECTION, section.heading,
+        `Section "${changelogDocument.lineText(section.heading)}" in "${heading}" is empty`, true);
+      return false;
+    });
+    [release.body, ...release.sections.map(section => section.body)].forEach(removeStrayBlanks);
+    changelogDocument.padRelease(doc, release);
+  }
+  removeStrayBlanks(doc.header);
+
+  problems.sort((a, b) => a.line - b.line);
+  return { problems, fixed: changelogDocument.serializeChangelog(doc) };
+}
+
+/**
+ * Resolve the branch the release, assemble, validate and backfill modes commit to: the
+ * `release-branch` input, else the pushed or dispatched branch, else the default branch.
+ */
+function resolveTargetBranch(inputBranch, context) {
+  let branchName = inputBranch;
+  if (!branchName && context.ref && context.ref.startsWith('refs/heads/')) {
+    branchName = context.ref.slice('refs/heads/'.length);
+  }
+  if (!branchName) {
+    branchName = context.payload.repository && context.payload.repository.default_branch;
+  }
+  if (!branchName) {
+    throw new Error('Could not determine the branch to commit to; set "release-branch"');
+  }
+  return branchName;
+}
+
+/**
+ * Release mode: promote Unreleased into a dated, versioned section and commit it to the
+ * release branch (the dispatched branch, or `release-branch`/the default branch for tags)
+ * with commitMethod.
+ */
+async function runRelease(changelogPath, inputVersion, inputDate, inputBranch, changelogConfig, octokit, commitMethod) {
+  const context = github.context;
+  const version = resolveReleaseVersion(inputVersion, context.ref);
+  const date = inputDate || new Date().toISOString().slice(0, 10);
+  const branchName = resolveTargetBranch(inputBranch, context);
+
+  core.info(`Releasing version ${version} (${date}) on branch ${branchName}`);
+
+  // Planned on the branch tip, never the checkout: tag pushes check out a detached HEAD
+  const versionTemplate = changelogConfig && changelogConfig.templates.version;
+  await commitToBranch(() => {
+    const before = readChangelog(changelogPath);
+    if (before === null) {
+      throw new Error(`Changelog not found at ${changelogPath}`);
+    }
+    return {
+      changes: [{ path: changelogPath, before, after: promoteUnreleased(before, version, date, versionTemplate) }],
+      message: COMMIT_MESSAGES.RELEASE_TEMPLATE.replace('{version}', version)
+    };
+  }, { commitMethod, octokit, owner: context.repo.owner, repo: context.repo.repo, branch: branchName, syncPaths: [changelogPath] });
+
+  core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
+  core.setOutput(OUTPUT_NAMES.RELEASE_VERSION, version);
+}
+
+/**
+ * Assemble mode: render every changelog fragment into its changelog, delete the
+ * fragments and commit the result to the target branch with commitMethod. changelogPaths
+ * are the changelogs fragments may target, read from the branch head with the API method.
+ */
+async function runAssemble(changelogPath, changelogPaths, fragmentsDir, changelogConfig, inputBranch, octokit, commitMethod) {
+  const context = github.context;
+  const { owner, repo } = context.repo;
+  const branchName = resolveTargetBranch(inputBranch, context);
+  const repoUrl = `${context.serverUrl || 'https://github.com'}/${owner}/${repo}`;
+
+  const plan = await commitToBranch(async () => {
+    const mergeTimes = {};
+    if (changelogConfig.sortEntries === ENTRY_SORT.MERGED) {
+      const fragments = readFragments(fragmentsDir, { config: changelogConfig, repoUrl });
+      const targets = new Set([changelogPath, ...fragments.map(fragment => fragment.entry.changelog).filter(Boolean)]);
+      const prNumbers = [
+        ...fragments.map(fragment => fragment.entry.prNumber),
+        ...[...targets].flatMap(target => unreleasedPrNumbers(readChangelog(target)))
+      ];
+      await addMergeTimes(octokit, owner, repo, [...new Set(prNumbers)], mergeTimes);
+    }
+    const { changes, count } = planFragmentAssembly(fragmentsDir, changelogPath, { config: changelogConfig, repoUrl, mergeTimes });
+    if (count > 0) core.info(`Assembling ${count} changelog fragments on branch ${branchName}`);
+    return { changes, count, message: COMMIT_MESSAGES.ASSEMBLE_TEMPLATE.replace('{count}', count) };
+  }, { commitMethod, octokit, owner, repo, branch: branchName, syncPaths: changelogPaths, syncDirs: [fragmentsDir] });
+
+  if (plan.count === 0) {
+    core.info(`No changelog fragments found in ${fragmentsDir}`);
+    core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+    core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+    return;
+  }
+
+  core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
+  core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, plan.count.toString());
+}
+
+/**
+ * Validate mode: audit every changelog and report each problem as an annotation, failing
+ * the job when any is left. With options.fix, the safe repairs are committed to the target
+ * branch with options.commitMethod (runs on pull requests only report, since they may not
+ * push to their base branch); with options.dryRun they are only logged as a diff.
+ */
+async function runValidate(changelogPaths, options) {
+  const { fix, inputBranch, dryRun, octokit, commitMethod } = options;
+  const context = github.context;
+  const { owner, repo } = context.repo;
+  const canFix = fix && !context.payload.pull_request;
+  if (fix && !canFix) {
+    core.info('Fixes are only committed on push, schedule and workflow_dispatch runs; reporting problems only');
+  }
+
+  // Planned again on the new head if the branch moves before the fixes are pushed
+  const audit = () => {
+    const results = [];
+    for (const changelogPath of changelogPaths) {
+      const content = readChangelog(changelogPath);
+      if (content === null) {
+        results.push({ changelogPath, missing: true, problems: [] });
+        continue;
+      }
+      const { problems, fixed } = validateChangelog(content);
+      results.push({ changelogPath, problems, change: fixed !== content ? { path: changelogPath, before: content, after: fixed } : null });
+    }
+    const fixedCount = results.reduce((total, result) => total + result.problems.filter(problem => problem.fixable).length, 0);
+    return {
+      results,
+      changes: results.filter(result => result.change).map(result => result.change),
+      message: COMMIT_MESSAGES.VALIDATE_TEMPLATE.replace('{count}', fixedCount)
+    };
+  };
+
+  let plan;
+  let committed = false;
+  if (canFix) {
+    const target = { commitMethod, octokit, owner, repo, branch: resolveTargetBranch(inputBranch, context), syncPaths: changelogPaths };
+    if (dryRun) {
+      await loadTargetBranch(target);
+      plan = audit();
+      plan.changes.forEach(change => core.info(buildChangeDiff(change)));
+    } else {
+      plan = await commitToBranch(audit, target);
+      committed = plan.changes.length > 0;
+    }
+  } else {
+    plan = audit();
+  }
+
+  let remaining = 0;
+  for (const { changelogPath, missing, problems } of plan.results) {
+    if (missing) {
+      core.info(`No changelog at ${changelogPath}, nothing to validate`);
+      continue;
+    }
+    for (const problem of problems) {
+      const annotation = { file: toRepoPath(changelogPath), startLine: problem.line };
+      if (committed && problem.fixable) {
+        core.notice(`Fixed: ${problem.message}`, annotation);
+      } else {
+        const hint = canFix && dryRun ? 'dry run, not fixed' : 'fixable with fix: true';
+        core.error(problem.fixable ? `${problem.message} (${hint})` : problem.message, annotation);
+        remaining++;
+      }
+    }
+    if (problems.length === 0) core.info(`${changelogPath} is valid`);
+  }
+
+  core.setOutput(OUTPUT_NAMES.PROBLEMS, remaining.toString());
+  core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, committed
+    ? OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE
+    : OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+
+  if (remaining > 0) {
+    core.setFailed(`Changelog validation found ${remaining} problem(s)`);
+  }
+}
+
+/**
+ * PR numbers linked by the entries of a changelog's released (non-Unreleased) sections.
+ */
+function releasedPrNumbers(changelogContent) {
+  if (!changelogContent) return [];
+  return changelogDocument.parseChangelog(changelogContent).releases
+    .filter(release => !changelogDocument.lineText(release.heading).startsWith(CHANGELOG_STRUCTURE.UNRELEASED_SECTION))
+    .flatMap(release => changelogDocument.releaseEntries(release))
+    .flatMap(entry => [...entry.lines[0].text.matchAll(/\[#(\d+)\]\(/g)].map(match => Number(match[1])));
+}
+
+/**
+ * The time of the commit a tag (or other ref) points to, or null when it does not exist.
+ */
+async function fetchRefTime(octokit, owner, repo, ref) {
+  try {
+    const { data } = await octokit.rest.repos.getCommit({ owner, repo, ref });
+    return data.commit.committer.date;
+  } catch (error) {
+    if (error.status === 404 || error.status === 422) return null;
+    throw error;
+  }
+}
+
+/**
+ * Resolve where backfill mode starts: `since` as a YYYY-MM-DD date (or ISO timestamp) or a
+ * tag, else the newest release heading of the changelog: its `v<version>`/`<version>` tag,
+ * else its date. Returns { time, source } with time an ISO timestamp.
+ */
+async function resolveBackfillSince(octokit, owner, repo, since, changelogContent) {
+  if (since) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(since)) return { time: `${since}T00:00:00Z`, source: since };
+    if (/^\d{4}-\d{2}-\d{2}T/.test(since) && !Number.isNaN(Date.parse(since))) return { time: since, source: since };
+    const time = await fetchRefTime(octokit, owner, repo, since);
+    if (!time) throw new Error(`"backfill-since" is neither a YYYY-MM-DD date nor a tag of ${owner}/${repo}: ${since}`);
+    return { time, source: `tag ${since}` };
+  }
+
+  const release = changelogContent && changelogDocument.parseChangelog(changelogContent).releases
+    .find(candidate => !changelogDocument.lineText(candidate.heading).startsWith(CHANGELOG_STRUCTURE.UNRELEASED_SECTION));
+  if (release) {
+    const heading = changelogDocument.lineText(release.heading);
+    const version = heading.match(HEADING_VERSION_PATTERN);
+    for (const tag of version ? [`v${version[0]}`, version[0]] : []) {
+      const time = await fetchRefTime(octokit, owner, repo, tag);
+      if (time) return { time, source: `tag ${tag}` };
+    }
+    const date = heading.match(HEADING_DATE_PATTERN);
+    if (date) return { time: `${date[0]}T00:00:00Z`, source: `"${heading}"` };
+  }
+  throw new Error('Could not tell when the last release was; set "backfill-since" to a tag or YYYY-MM-DD date');
+}
+
+/**
+ * List the PRs merged into base at or after since (an ISO timestamp), oldest first.
+ * Closed PRs are paged by last update, newest first, which stops at the first PR last
+ * updated before since: a PR is always updated when it is merged.
+ */
+async function listMergedPullRequests(octokit, owner, repo, base, since) {
+  const sinceTime = Date.parse(since);
+  const pullRequests = await octokit.paginate(
+    octokit.rest.pulls.list,
+    { owner, repo, base, state: 'closed', sort: 'updated', direction: 'desc', per_page: 100 },
+    (response, done) => {
+      if (response.data.some(pr => Date.parse(pr.updated_at) < sinceTime)) done();
+      return response.data.filter(pr => pr.merged_at && Date.parse(pr.merged_at) >= sinceTime);
+    }
+  );
+  return pullRequests.sort((a, b) => Date.parse(a.merged_at) - Date.parse(b.merged_at));
+}
+
+/**
+ * Open the backfill PR from BACKFILL_PR.BRANCH into base, or update the one already open.
+ * Returns its URL.
+ */
+async function openBackfillPullRequest(octokit, owner, repo, base, body) {
+  const { data: open } = await octokit.rest.pulls.list({
+    owner, repo, base, head: `${owner}:${BACKFILL_PR.BRANCH}`, state: 'open', per_page: 1
+  });
+  if (open.length > 0) {
+    await octokit.rest.pulls.update({ owner, repo, pull_number: open[0].number, body });
+    return open[0].html_url;
+  }
+  const { data: created } = await octokit.rest.pulls.create({
+    owner, repo, base, head: BACKFILL_PR.BRANCH, title: BACKFILL_PR.TITLE, body
+  });
+  return created.html_url;
+}
+
+/**
+ * Backfill mode: find the PRs merged into the target branch since the last release (or
+ * options.since) that have no changelog entry, build their entries like update mode would
+ * (skips, `/changelog` commands in the description and authorized comments, commits or
+ * conventional titles and label mapping) and write them all in one commit with
+ * options.commitMethod, pushed to the target branch or proposed in a PR.
+ * PRs with an entry in Unreleased or a released section are left alone.
+ */
+async function runBackfill(options) {
+  const {
+    octokit, changelogPath, changelogPaths, changelogConfig, since, inputBranch, delivery, dryRun, commitMethod,
+    defaultBehavior, skipLabels, skipDependabot, commentTrigger, allowedAssociations, allowedTeams,
+    autoCategorize, entrySource, storage, fragmentsDir
+  } = options;
+  const context = github.context;
+  const { owner, repo } = context.repo;
+
+  if (!Object.values(BACKFILL_DELIVERY).includes(delivery)) {
+    throw new Error(`Unknown backfill-delivery "${delivery}" (expected one of: ${Object.values(BACKFILL_DELIVERY).join(', ')})`);
+  }
+  const branchName = resolveTargetBranch(inputBranch, context);
+  const target = {
+    commitMethod, octokit, owner, repo, branch: branchName,
+    syncPaths: changelogPaths,
+    syncDirs: storage === STORAGE_MODES.FRAGMENTS ? [fragmentsDir] : []
+  };
+  await loadTargetBranch(target);
+
+  const start = await resolveBackfillSince(octokit, owner, repo, since, readChangelog(changelogPath));
+  const pullRequests = await listMergedPullRequests(octokit, owner, repo, branchName, start.time);
+  core.info(`Found ${pullRequests.length} PRs merged into ${branchName} since ${start.time} (${start.source})`);
+
+  const released = new Set(changelogPaths.flatMap(candidatePath => releasedPrNumbers(readChangelog(candidatePath))));
+  const commandPolicy = { octokit, owner, repo, trigger: commentTrigger, allowedAssociations, allowedTeams, cache: {} };
+  const backfilled = [];
+  for (const pr of pullRequests) {
+    const prNumber = pr.number;
+    if (skipDependabot && pr.user && pr.user.login === DEPENDABOT_USER) {
+      core.info(`PR #${prNumber}: skipped (dependabot)`);
+      continue;
+    }
+    const existing = storage === STORAGE_MODES.FRAGMENTS
+      ? detectFragmentStates(fragmentsDir, prNumber, { config: changelogConfig })
+      : changelogPaths.flatMap(candidatePath => detectEntryStates(readChangelog(candidatePath), prNumber));
+    const { state } = summarizeEntryStates(existing);
+    if (state !== ENTRY_STATE.NONE || released.has(prNumber)) {
+      core.info(`PR #${prNumber}: already in the changelog (${released.has(prNumber) ? 'released' : state})`);
+      continue;
+    }
+
+    // Without its comments a PR skipped or changed by comment commands would be re-added wrongly
+    let commentCommand;
+    try {
+      const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+        owner, repo, issue_number: prNumber, per_page: 100
+      });
+      // The action's own replies and previews quote commands, so bot comments are ignored as in update mode
+      const humanComments = comments.filter(comment => !isBotComment(comment));
+      commentCommand = parseCommentCommands(await filterAuthorizedComments(humanComments, pr, commandPolicy), commentTrigger);
+    } catch (error) {
+      core.warning(`PR #${prNumber}: could not fetch its comments, add its entry by hand: ${error.message}`);
+      continue;
+    }
+    if (shouldSkipChangelog(pr, defaultBehavior, skipLabels) && !commandOverridesSkip(commentCommand)) {
+      core.info(`PR #${prNumber}: skipped`);
+      continue;
+    }
+    const decision = resolveEntryAction(ENTRY_STATE.NONE, parseDescriptionCommand(pr.body, commentTrigger), commentCommand, true);
+    if (decision.action === 'skip') {
+      core.info(`PR #${prNumber}: skipped (${decision.reason})`);
+      continue;
+    }
+
+    let commits = null;
+    const listCommits = async () => {
+      if (!commits) {
+        commits = await octokit.paginate(octokit.rest.pulls.listCommits, { owner, repo, pull_number: prNumber, per_page: 100 });
+      }
+      return commits;
+    };
+    const entries = await buildDecisionEntries(decision, pr, prNumber, {
+      autoCategorize, entrySource, listCommits, config: changelogConfig
+    });
+    if (entries.length === 0) {
+      core.info(`PR #${prNumber}: no entries to add`);
+      continue;
+    }
+
+    const needsAuthors = changelogConfig.creditAuthors || changelogConfig.newContributors;
+    const authors = needsAuthors ? collectPrAuthors(pr, await listCommits()) : null;
+    let closingIssues = null;
+    if (changelogConfig.linkIssues) {
+      try {
+        closingIssues = await fetchClosingIssues(octokit, owner, repo, prNumber);
+      } catch (error) {
+        core.warning(`Could not fetch the issues PR #${prNumber} closes: ${error.message}`);
+      }
+    }
+    annotatePrEntries(entries, pr, { authors, closingIssues, config: changelogConfig });
+
+    let changedFiles = [];
+    if (changelogConfig.packages.length > 0) {
+      const files = await octokit.paginate(octokit.rest.pulls.listFiles, { owner, repo, pull_number: prNumber, per_page: 100 });
+      changedFiles = changedSourceFiles(files, changelogPaths, fragmentsDir);
+    }
+    core.info(`PR #${prNumber}: adding ${entries.length} entries (${decision.reason})`);
+    backfilled.push({ pr, entries, routes: routeEntriesToChangelogs(entries, changedFiles, changelogConfig.packages, changelogPath) });
+  }
+
+  const count = backfilled.reduce((total, item) => total + item.entries.length, 0);
+  if (backfilled.length === 0) {
+    core.info('Every merged PR already has a changelog entry');
+    core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+    core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+    return;
+  }
+
+  // Plan every PR's entries at once, so each file is written a single time; planned again
+  // on the new head if the branch moves before the push
+  const mergeTimes = {};
+  backfilled.forEach(({ pr }) => { mergeTimes[pr.number] = pr.merged_at; });
+  const planBackfill = async () => {
+    const changes = [];
+    if (storage === STORAGE_MODES.FRAGMENTS) {
+      for (const { pr, routes } of backfilled) {
+        const routedEntries = Object.entries(routes).flatMap(([targetPath, entries]) =>
+          entries.map(entry => ({ ...entry, changelog: targetPath }))
+        );
+        changes.push(...planFragmentChanges(fragmentsDir, pr.number, routedEntries, {
+          markEntries: true, rootChangelog: changelogPath, config: changelogConfig
+        }));
+      }
+    } else {
+      const entriesByChangelog = {};
+      for (const { routes } of backfilled) {
+        for (const [targetPath, entries] of Object.entries(routes)) {
+          entriesByChangelog[targetPath] = [...(entriesByChangelog[targetPath] || []), ...entries];
+        }
+      }
+      for (const [targetPath, entries] of Object.entries(entriesByChangelog)) {
+        const before = readChangelog(targetPath);
+        if (changelogConfig.sortEntries === ENTRY_SORT.MERGED) {
+          await addMergeTimes(octokit, owner, repo, unreleasedPrNumbers(before), mergeTimes);
+        }
+        const after = renderChangelog(before, entries, {
+          markEntries: true,
+          sectionOrder: changelogConfig.sectionOrder,
+          reorderSections: changelogConfig.reorderSections,
+          sortEntries: changelogConfig.sortEntries,
+          mergeTimes,
+          templates: changelogConfig.templates
+        });
+        if (after !== before) changes.push({ path: targetPath, before, after });
+      }
+    }
+    return { changes, message: COMMIT_MESSAGES.BACKFILL_TEMPLATE.replace('{count}', backfilled.length) };
+  };
+
+  const prList = backfilled.map(({ pr }) => `- #${pr.number} ${pr.title}`).join('\n');
+  let plan;
+  if (dryRun) {
+    plan = await planBackfill();
+    core.info(`Dry run: would add ${count} entries for ${backfilled.length} PRs:\n${prList}`);
+    plan.changes.forEach(change => core.info(buildChangeDiff(change)));
+  } else {
+    plan = await commitBackfill(planBackfill, {
+      ...target, delivery,
+      body: `Adds the missing changelog entries for ${backfilled.length} PRs merged since ${start.source}:\n\n${prList}\n`
+    });
+  }
+
+  core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, plan.changes.length > 0
+    ? OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE
+    : OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+  core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, count.toString());
+}
+
+/**
+ * Commit the backfill plan with options.commitMethod: on the target branch itself through
+ * commitToBranch (options are its options plus delivery and body), or as the head of the
+ * backfill PR. That branch is rebuilt on the target branch head every run, so it is
+ * force-updated and the PR opened or refreshed. Returns the committed plan.
+ */
+async function commitBackfill(planChanges, options) {
+  const { commitMethod, octokit, owner, repo, branch, syncPaths, syncDirs, delivery, body } = options;
+  if (delivery !== BACKFILL_DELIVERY.PULL_REQUEST) {
+    return commitToBranch(planChanges, options);
+  }
+
+  let plan;
+  if (commitMethod === COMMIT_METHODS.API) {
+    const { data: headRef } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    await syncFilesFromRef(octokit, owner, repo, headRef.object.sha, syncPaths || [], syncDirs || []);
+    plan = await planChanges();
+    if (plan.changes.length === 0) return plan;
+    const sha = await createApiCommit(octokit, owner, repo, headRef.object.sha, plan.changes, plan.message);
+    try {
+      await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${BACKFILL_PR.BRANCH}`, sha, force: true });
+    } catch (error) {
+      // 422: the branch does not exist yet
+      if (error.status !== 422) throw error;
+      await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${BACKFILL_PR.BRANCH}`, sha });
+    }
+    applyChanges(plan.changes);
+  } else {
+    await configureGitUser();
+    await exec.exec('git', ['fetch', 'origin', branch]);
+    await exec.exec('git', ['checkout', '-B', BACKFILL_PR.BRANCH, 'FETCH_HEAD']);
+    plan = await planChanges();
+    if (plan.changes.length === 0) return plan;
+    applyChanges(plan.changes);
+    await exec.exec('git', ['add', '--all', '--', ...plan.changes.map(change => change.path)]);
+    await exec.exec('git', ['commit', '-m', plan.message]);
+    await exec.exec('git', ['push', '--force', 'origin', BACKFILL_PR.BRANCH]);
+  }
+  core.info(`Backfill PR: ${await openBackfillPullRequest(octokit, owner, repo, branch, body)}`);
+  return plan;
+}
+
+/**
+ * Check mode: resolve the PR's entry exactly like update mode but never write. Each
+ * problem is reported as an error annotation and fails the job, so the action can
+ * serve as a required status check.
+ */
+async function runCheck(pr, prNumber, options) {
+  const {
+    octokit, owner, repo, defaultBehavior, skipLabels, preserveEdited, autoCategorize,
+    prDescCommand, commentCommand, changelogPaths, changelogConfig, entrySource, commentTrigger,
+    storage, fragmentsDir
+  } = options;
+
+  // Skip labels, the skip checkbox and skip commands exempt the PR, as in update mode
+  const skipRequested = shouldSkipChangelog(pr, defaultBehavior, skipLabels);
+  if (skipRequested && !commandOverridesSkip(commentCommand)) {
+    core.info(`Changelog check passed: PR #${prNumber} is exempt (skip requested)`);
+    core.setOutput('entry-state', ENTRY_STATE.SKIPPED);
+    return;
+  }
+
+  const existingEntries = {};
+  if (storage === STORAGE_MODES.FRAGMENTS) {
+    for (const entry of detectFragmentStates(fragmentsDir, prNumber, { config: changelogConfig })) {
+      existingEntries[entry.path] = [{ ...entry, lineNumber: 1 }];
+    }
+  } else {
+    for (const candidatePath of changelogPaths) {
+      const content = readChangelog(candidatePath);
+      const lines = content ? content.split('\n') : [];
+      existingEntries[candidatePath] = detectEntryStates(content, prNumber).map(entry => ({
+        ...entry,
+        lineNumber: lines.findIndex(line => line.trim() === entry.line) + 1
+      }));
+    }
+  }
+  const entryInfo = summarizeEntryStates(Object.values(existingEntries).flat());
+  const decision = resolveEntryAction(entryInfo.state, prDescCommand, commentCommand, preserveEdited);
+  core.info(`Entry state for PR #${prNumber}: ${entryInfo.state}; action: ${decision.action} (${decision.reason})`);
+  core.setOutput('entry-state', entryInfo.state);
+
+  let commitEntries = null;
+  if (autoCategorize !== false && entrySource === ENTRY_SOURCES.COMMITS &&
+    (decision.action === 'generate' || decision.action === 'regenerate')) {
+    const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+      owner, repo, pull_number: prNumber, per_page: 100
+    });
+    commitEntries = extractCommitEntries(commits, pr, prNumber, changelogConfig);
+  }
+
+  const problems = lintChangelogEntry(pr, prNumber, {
+    decision, entryState: entryInfo.state, existingEntries, commitEntries, config: changelogConfig, trigger: commentTrigger, autoCategorize
+  });
+  if (problems.length === 0) {
+    core.info(`Changelog check passed for PR #${prNumber}`);
+    return;
+  }
+
+  for (const problem of problems) {
+    core.error(problem.message, problem.file ? { file: problem.file, startLine: problem.line || undefined } : {});
+  }
+  core.setFailed(`Changelog check failed for PR #${prNumber}: ${problems.map(problem => problem.message).join('; ')}`);
+}
+
+async function run() {
+  // Set once the comment that triggered the run is known, so failures can be reported on it
+  let answerCommand = null;
+  try {
+    // Get inputs
+    const token = core.getInput('github-token');
+    const changelogPath = core.getInput('changelog-path');
+    const autoCategorize = core.getInput('auto-categorize') === 'true';
+    const commentTrigger = core.getInput('comment-trigger');
+    const skipDependabot = core.getInput('skip-dependabot') === 'true';
+    const defaultBehavior = core.getInput('default-behavior') || BEHAVIOR_MODES.AUTO;
+    const preserveEdited = core.getInput('preserve-edited') !== 'false';
+    const skipLabelsRaw = core.getInput('skip-labels') || '';
+    const skipLabels = skipLabelsRaw.split(',').map(s => s.trim()).filter(Boolean);
+    const allowedAssociations = parseAllowedAssociations(core.getInput('allowed-associations'));
+    const allowedTeams = (core.getInput('allowed-teams') || '').split(',').map(s => s.trim()).filter(Boolean);
+    const mode = core.getInput('mode') || ACTION_MODES.UPDATE;
+    const entrySource = core.getInput('source') || ENTRY_SOURCES.TITLE;
+    const commitMode = core.getInput('commit-mode') || COMMIT_MODES.PUSH;
+    const dryRun = core.getInput('dry-run') === 'true';
+    const commitMethod = core.getInput('commit-method') || COMMIT_METHODS.GIT;
+    const storage = core.getInput('storage') || STORAGE_MODES.CHANGELOG;
+    const fragmentsDir = core.getInput('fragments-dir') || FRAGMENTS.DEFAULT_DIR;
+
+    if (!Object.values(ACTION_MODES).includes(mode)) {
+      throw new Error(`Unknown mode "${mode}" (expected one of: ${Object.values(ACTION_MODES).join(', ')})`);
+    }
+
+    if (!Object.values(ENTRY_SOURCES).includes(entrySource)) {
+      throw new Error(`Unknown source "${entrySource}" (expected one of: ${Object.values(ENTRY_SOURCES).join(', ')})`);
+    }
+
+    if (!Object.values(COMMIT_MODES).includes(commitMode)) {
+      throw new Error(`Unknown commit-mode "${commitMode}" (expected one of: ${Object.values(COMMIT_MODES).join(', ')})`);
+    }
+
+    if (!Object.values(COMMIT_METHODS).includes(commitMethod)) {
+      throw new Error(`Unknown commit-method "${commitMethod}" (expected one of: ${Object.values(COMMIT_METHODS).join(', ')})`);
+    }
+
+    if (!Object.values(STORAGE_MODES).includes(storage)) {
+      throw new Error(`Unknown storage "${storage}" (expected one of: ${Object.values(STORAGE_MODES).join(', ')})`);
+    }
+
+    const changelogConfig = loadChangelogConfig(core.getInput('config-path'));
+
+    if (mode === ACTION_MODES.RELEASE) {
+      await runRelease(
+        changelogPath,
+        core.getInput('release-version'),
+        core.getInput('release-date'),
+        core.getInput('release-branch'),
+        changelogConfig,
+        github.getOctokit(token),
+        commitMethod
+      );
+      return;
+    }
+
+    // Every changelog this PR's entries may live in: the root one plus any package changelogs
+    const changelogPaths = [...new Set([changelogPath, ...changelogConfig.packages.map(pkg => pkg.changelog)])];
+
+    if (mode === ACTION_MODES.VALIDATE) {
+      await runValidate(changelogPaths, {
+        fix: core.getInput('fix') === 'true',
+        inputBranch: core.getInput('release-branch'),
+        dryRun, octokit: github.getOctokit(token), commitMethod
+      });
+      return;
+    }
+
+    if (mode === ACTION_MODES.BACKFILL) {
+      await runBackfill({
+        octokit: github.getOctokit(token), changelogPath, changelogPaths, changelogConfig,
+        since: core.getInput('backfill-since'),
+        inputBranch: core.getInput('release-branch'),
+        delivery: core.getInput('backfill-delivery') || BACKFILL_DELIVERY.PUSH,
+        dryRun, commitMethod, defaultBehavior, skipLabels, skipDependabot, commentTrigger, allowedAssociations, allowedTeams,
+        autoCategorize, entrySource, storage, fragmentsDir
+      });
+      return;
+    }
+
+    if (mode === ACTION_MODES.ASSEMBLE) {
+      await runAssemble(
+        changelogPath, changelogPaths, fragmentsDir, changelogConfig, core.getInput('release-branch'), github.getOctokit(token), commitMethod
+      );
+      return;
+    }
+
+    const octokit = github.getOctokit(token);
+    const context = github.context;
+
+    core.info(`Event name: ${context.eventName}`);
+    core.info(`Default behavior: ${defaultBehavior}`);
+
+    // Determine PR number and details based on event type
+    let prNumber, pr;
+    const { owner, repo } = context.repo;
+
+    if (context.eventName === 'issue_comment') {
+      // Handle issue_comment event — validate it's on a PR
+      const issue = context.payload.issue;
+      if (!issue || !issue.pull_request) {
+        core.info('Comment is not on a pull request, skipping');
+        return;
+      }
+      prNumber = issue.number;
+
+      // Commands from bots (including this action's own comments) are never honored
+      if (isBotComment(context.payload.comment)) {
+        core.info(`Ignoring comment from bot @${context.payload.comment.user.login}`);
+        return;
+      }
+      // Editing or deleting a comment only matters if it had or has a /changelog command
+      if (context.payload.action !== 'created' && !commentEventHasCommand(context.payload, commentTrigger)) {
+        core.info(`Comment ${context.payload.action || 'changed'} without a /changelog command, skipping`);
+        return;
+      }
+
+      // Fetch full PR details
+      const { data: prData } = await octokit.rest.pulls.get({
+        owner, repo, pull_number: prNumber
+      });
+      pr = prData;
+    } else if (context.eventName === EVENT_TYPES.PULL_REQUEST) {
+      prNumber = context.payload.pull_request.number;
+      const { data: prData } = await octokit.rest.pulls.get({
+        owner, repo, pull_number: prNumber
+      });
+      pr = prData;
+    } else {
+      core.info('Action only runs on pull_request and issue_comment events');
+      return;
+    }
+
+    // Check if we should skip dependabot PRs
+    if (skipDependabot && pr.user.login === DEPENDABOT_USER) {
+      core.info('Skipping dependabot PR');
+      return;
+    }
+
+    // --- Gather commands from PR description ---
+    const prDescCommand = parseDescriptionCommand(pr.body, commentTrigger);
+
+    // --- Gather commands from PR comments ---
+    const commandPolicy = { octokit, owner, repo, trigger: commentTrigger, allowedAssociations, allowedTeams, cache: {} };
+    let commentCommand = null;
+    try {
+      const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+        owner, repo, issue_number: prNumber, per_page: 100
+      });
+      const eventPayload = context.eventName === 'issue_comment' ? context.payload : null;
+      const authorizedComments = await filterAuthorizedComments(reconcileComments(comments, eventPayload), pr, commandPolicy);
+      commentCommand = parseCommentCommands(authorizedComments, commentTrigger);
+    } catch (err) {
+      core.warning(`Could not fetch PR comments: ${err.message}`);
+    }
+
+    // --- Prepare the answer to the comment that triggered this run (unless it was deleted) ---
+    const triggerComment = context.eventName === 'issue_comment' && context.payload.action !== 'deleted'
+      ? context.payload.comment
+      : null;
+    if (triggerComment && mode !== ACTION_MODES.CHECK) {
+      const classification = classifyCommentCommand(triggerComment, commentTrigger, changelogConfig);
+      const authorization = classification.kind === 'command'
+        ? await authorizeCommenter(triggerComment, pr, commandPolicy)
+        : null;
+      answerCommand = (outcome) => sendCommandFeedback(octokit, owner, repo, prNumber, triggerComment,
+        buildCommandFeedback(triggerComment, { ...outcome, classification, authorization, trigger: commentTrigger }));
+    }
+
+    if (mode === ACTION_MODES.CHECK) {
+      await runCheck(pr, prNumber, {
+        octokit, owner, repo, defaultBehavior, skipLabels, preserveEdited, autoCategorize,
+        prDescCommand, commentCommand, changelogPaths, changelogConfig, entrySource, commentTrigger,
+        storage, fragmentsDir
+      });
+      return;
+    }
+
+    // In auto mode: always auto-commit. In opt-in mode: only commit if legacy checkbox is checked.
+    const shouldCommit = defaultBehavior === BEHAVIOR_MODES.AUTO ||
+      (defaultBehavior === BEHAVIOR_MODES.OPT_IN && pr.body && pr.body.includes(CHECKBOX_STATES.CHECKED));
+    const delivery = {
+      octokit, owner, repo, prNumber, commitMode, dryRun, commitMethod,
+      headSha: pr.head.sha,
+      branch: pr.head.ref,
+      // Files the update reads, synced from the branch head when committing through the API
+      syncPaths: storage === STORAGE_MODES.FRAGMENTS ? [] : changelogPaths,
+      syncDirs: storage === STORAGE_MODES.FRAGMENTS ? [fragmentsDir] : []
+    };
+    if (isForkPr(pr)) {
+      core.info(`PR #${prNumber} comes from a fork (maintainer can modify: ${Boolean(pr.maintainer_can_modify)})`);
+      delivery.fork = {
+        maintainerCanModify: Boolean(pr.maintainer_can_modify && pr.head.repo),
+        remote: pr.head.repo && pr.head.repo.clone_url,
+        branch: pr.head.ref
+      };
+    }
+    // Plans read the working tree, or the in-memory snapshot previews are planned on
+    const planRemoval = snapshot => (storage === STORAGE_MODES.FRAGMENTS
+      ? planFragmentChanges(fragmentsDir, prNumber, [], { config: changelogConfig, snapshot })
+      : planEntryRemoval(changelogPaths, prNumber, snapshot));
+
+    // --- Check skip logic ---
+    if (defaultBehavior === BEHAVIOR_MODES.AUTO) {
+      // In auto mode, check skip patterns (but commands can override)
+      const skipRequested = shouldSkipChangelog(pr, defaultBehavior, skipLabels);
+
+      // If skip is requested AND no comment command overrides it, skip
+      if (skipRequested && !commandOverridesSkip(commentCommand)) {
+        core.info('Skipping changelog (auto mode: skip detected)');
+        const decision = { action: 'skip', reason: 'Skip requested (auto mode)', commentIds: skipCommentIds(commentCommand) };
+        const skipPlan = await deliverChanges(snapshot => ({
+          changes: planRemoval(snapshot),
+          commit: true,
+          entriesCount: 0,
+          preview: { entryState: ENTRY_STATE.SKIPPED, decision }
+        }), delivery);
+        if (answerCommand) await answerCommand({ decision, changed: skipPlan.changes.length > 0 });
+        core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+        core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+        core.setOutput('entry-state', ENTRY_STATE.SKIPPED);
+        return;
+      }
+    } else if (defaultBehavior === BEHAVIOR_MODES.OPT_IN) {
+      // In opt-in mode, use legacy checkbox behavior
+      const skipRequested = shouldSkipChangelog(pr, defaultBehavior, skipLabels);
+      if (skipRequested && !commandOverridesSkip(commentCommand)) {
+        core.info('Skipping changelog (opt-in mode: checkbox not checked)');
+        const hasUncheckedCheckbox = pr.body && pr.body.includes(CHECKBOX_STATES.UNCHECKED);
+        const decision = { action: 'skip', reason: 'Checkbox not checked (opt-in mode)', commentIds: skipCommentIds(commentCommand) };
+        const skipPlan = await deliverChanges(snapshot => ({
+          changes: hasUncheckedCheckbox ? planRemoval(snapshot) : [],
+          commit: true,
+          entriesCount: 0,
+          preview: { entryState: ENTRY_STATE.SKIPPED, decision }
+        }), delivery);
+        if (answerCommand) await answerCommand({ decision, changed: skipPlan.changes.length > 0 });
+        core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+        core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+        core.setOutput('entry-state', ENTRY_STATE.SKIPPED);
+        return;
+      }
+    }
+
+    // PR commits and changed files are fetched at most once, however often the update is planned
+    let prCommits = null;
+    let changedFiles = null;
+    let newContributors = null;
+    let closingIssues = null;
+    const mergeTimes = {};
+    const listPrCommits = async () => {
+      if (!prCommits) {
+        prCommits = await octokit.paginate(octokit.rest.pulls.listCommits, {
+          owner, repo, pull_number: prNumber, per_page: 100
+        });
+      }
+      return prCommits;
+    };
+    const needsAuthors = changelogConfig.creditAuthors || changelogConfig.newContributors;
+
+    // --- Build the PR's entries for a generate, regenerate or custom action ---
+    const buildEntries = async (decision) => {
+      const changelogEntries = await buildDecisionEntries(decision, pr, prNumber, {
+        autoCategorize, entrySource, listCommits: listPrCommits, config: changelogConfig
+      });
+
+      const authors = needsAuthors ? collectPrAuthors(pr, await listPrCommits()) : null;
+      if (changelogConfig.linkIssues && !closingIssues) {
+        try {
+          closingIssues = await fetchClosingIssues(octokit, owner, repo, prNumber);
+        } catch (error) {
+          core.warning(`Could not fetch the issues PR #${prNumber} closes: ${error.message}`);
+          closingIssues = [];
+        }
+      }
+      return annotatePrEntries(changelogEntries, pr, { authors, closingIssues, config: changelogConfig });
+    };
+
+    // --- Plan the update from the current changelog content ---
+    // Re-run from scratch whenever a push is rejected, so the entry state is detected on the
+    // contributor's latest changes instead of replaying a stale edit.
+    const planUpdate = async (snapshot) => {
+      // Read the changelog(s) or fragments and detect entry state
+      const existingEntries = {};
+      if (storage === STORAGE_MODES.FRAGMENTS) {
+        existingEntries[fragmentsDir] = detectFragmentStates(fragmentsDir, prNumber, { config: changelogConfig, snapshot });
+      } else {
+        for (const candidatePath of changelogPaths) {
+          existingEntries[candidatePath] = detectEntryStates(readChangelog(candidatePath, snapshot), prNumber);
+        }
+      }
+      const entryInfo = summarizeEntryStates(Object.values(existingEntries).flat());
+      core.info(`Entry state for PR #${prNumber}: ${entryInfo.state}`);
+
+      // Resolve what action to take
+      const decision = resolveEntryAction(entryInfo.state, prDescCommand, commentCommand, preserveEdited);
+      core.info(`Action: ${decision.action}, Reason: ${decision.reason}`);
+      const plan = { changes: [], commit: shouldCommit, entriesCount: 0, preview: { entryState: entryInfo.state, decision } };
+
+      if (decision.action === 'skip') {
+        // Remove entry and commit
+        return { ...plan, changes: planRemoval(snapshot), commit: true };
+      }
+
+      if (decision.action === 'preserve') {
+        core.info('Preserving existing entry (user-edited or manual)');
+        return plan;
+      }
+
+      // For generate, regenerate, or custom: build the entries
+      const changelogEntries = await buildEntries(decision);
+      if (changelogEntries.length === 0) {
+        core.info('No changelog entries to add');
+        return plan;
+      }
+
+      // Route entries to the root or package changelogs
+      if (!changedFiles) {
+        changedFiles = [];
+        if (changelogConfig.packages.length > 0) {
+          const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+            owner, repo, pull_number: prNumber, per_page: 100
+          });
+          changedFiles = changedSourceFiles(files, changelogPaths, fragmentsDir);
+        }
+      }
+      const routes = routeEntriesToChangelogs(changelogEntries, changedFiles, changelogConfig.packages, changelogPath);
+
+      // Compute the updated changelog(s) with marker support
+      core.info(`Processing ${changelogEntries.length} changelog entries`);
+      const keepEdited = preserveEdited && decision.action === 'generate';
+      const changes = [];
+      if (storage === STORAGE_MODES.FRAGMENTS) {
+        // One fragment per entry; the target changelog is recorded for assembly
+        const routedEntries = Object.entries(routes).flatMap(([targetPath, entries]) =>
+          entries.map(entry => ({ ...entry, changelog: targetPath }))
+        );
+        core.info(`Writing ${routedEntries.length} fragments to ${fragmentsDir}`);
+        changes.push(...planFragmentChanges(fragmentsDir, prNumber, routedEntries, {
+          markEntries: decision.mark,
+          preserveEdited: keepEdited,
+          rootChangelog: changelogPath,
+          config: changelogConfig,
+          snapshot
+        }));
+      } else {
+        for (const targetPath of [...new Set([...changelogPaths, ...Object.keys(routes)])]) {
+          const before = readChangelog(targetPath, snapshot);
+          let after = before;
+          if (routes[targetPath]) {
+            core.info(`Writing ${routes[targetPath].length} entries to ${targetPath}`);
+            if (changelogConfig.sortEntries === ENTRY_SORT.MERGED) {
+              mergeTimes[prNumber] = pr.merged_at || null;
+              await addMergeTimes(octokit, owner, repo, unreleasedPrNumbers(before), mergeTimes);
+            }
+            after = renderChangelog(before, routes[targetPath], {
+              markEntries: decision.mark,
+              preserveEdited: keepEdited,
+              sectionOrder: changelogConfig.sectionOrder,
+              reorderSections: changelogConfig.reorderSections,
+              sortEntries: changelogConfig.sortEntries,
+              mergeTimes,
+              templates: changelogConfig.templates
+            });
+          } else if (before !== null && existingEntries[targetPath].length > 0) {
+            // The PR's entries moved to another changelog (e.g. its changed paths or scope changed)
+            after = removePrEntries(before, prNumber, { preserveEdited: keepEdited });
+          }
+          if (after !== before) changes.push({ path: targetPath, before, after });
+        }
+
+        // Credit first-time contributors in the root changelog
+        if (changelogConfig.newContributors) {
+          if (!newContributors) {
+            const ownShas = new Set((await listPrCommits()).map(commit => commit.sha));
+            if (pr.merge_commit_sha) ownShas.add(pr.merge_commit_sha);
+            newContributors = await findNewContributors(octokit, owner, repo, changelogEntries[0].authors, ownShas);
+          }
+          const rootChange = changes.find(change => change.path === changelogPath);
+          const base = rootChange ? rootChange.after : readChangelog(changelogPath, snapshot);
+          if (base !== null) {
+            const after = renderNewContributors(base, prNumber, pr.html_url, newContributors, changelogConfig.templates.section);
+            if (rootChange) {
+              rootChange.after = after;
+            } else if (after !== base) {
+              changes.push({ path: changelogPath, before: base, after });
+            }
+          }
+        }
+      }
+
+      return {
+        ...plan,
+        changes,
+        entriesCount: changelogEntries.length,
+        preview: { ...plan.preview, entries: changelogEntries, entryTemplate: changelogConfig.templates.entry }
+      };
+    };
+
+    // --- Execute the plan ---
+    const plan = await deliverChanges(planUpdate, delivery);
+    const action = plan.preview.decision.action;
+    core.setOutput('entry-state', plan.preview.entryState);
+    if (answerCommand) await answerCommand({ decision: plan.preview.decision, changed: plan.changes.length > 0 });
+
+    if (action === 'skip') {
+      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
+      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+    } else if (plan.changes.length > 0) {
+      core.info(dryRun || commitMode === COMMIT_MODES.COMMENT ? 'Changelog preview generated' : 'Changelog updated successfully');
+      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
+      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, plan.entriesCount.toString());
+    } else {
+      if (plan.entriesCount > 0) core.info('No changes needed - changelog is already up to date');
+      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
+      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+    }
+
+  } catch (error) {
+    core.setFailed(error.message);
+    if (answerCommand) await answerCommand({ error });
+  }
+}
+
+/**
+ * Build a PR's entries for a generate, regenerate or custom decision: the custom texts, or
+ * with autoCategorize its conventional commits (with entrySource "commits") or title. The
+ * decision's comment modifiers are applied and hidden types dropped. options.listCommits
+ * returns the PR's commits. Returns the entries, not yet annotated.
+ */
+async function buildDecisionEntries(decision, pr, prNumber, options) {
+  const { autoCategorize, entrySource, listCommits, config } = options;
+  let entries = [];
+
+  if (decision.action === 'custom') {
+    // Use the custom text(s) — each line is parsed as conventional commit first
+    for (const customText of decision.texts) {
+      entries.push(buildEntryFromText(customText, pr, prNumber, config));
+    }
+  } else if (autoCategorize) {
+    // generate or regenerate: use the PR's commits if configured, else the PR title
+    if (entrySource === ENTRY_SOURCES.COMMITS) {
+      const commits = await listCommits();
+      entries = extractCommitEntries(commits, pr, prNumber, config);
+      core.info(`Found ${entries.length} conventional commits in ${commits.length} PR commits`);
+    }
+    if (entries.length === 0) {
+      // A section or type modifier files even a non-conventional title
+      const entry = buildTitleEntry(pr, prNumber, config) ||
+        (modifiersCategorize(decision.modifiers, config) && pr.title
+          ? buildEntryFromText(pr.title.trim(), pr, prNumber, config)
+          : null);
+      if (entry) {
+        entries.push(entry);
+      } else {
+        core.warning(
+          `PR #${prNumber}: title "${pr.title}" is not in conventional commit format and no label maps to a section; ` +
+          'no changelog entry was generated. Use a conventional title, a /changelog: command, or enable "title-fallback".'
+        );
+      }
+    }
+  }
+
+  // Apply /changelog section, type, scope and breaking comment modifiers
+  entries = entries.map(entry => applyEntryModifiers(entry, decision.modifiers, config));
+
+  // Drop entries whose type is hidden by the repository config
+  const hiddenEntries = entries.filter(entry => entry.hidden);
+  if (hiddenEntries.length > 0) {
+    core.info(`Ignoring entries with hidden types: ${hiddenEntries.map(entry => entry.type).join(', ')}`);
+    entries = entries.filter(entry => !entry.hidden);
+  }
+  return entries;
+}
+
+/**
+ * Number a PR's entries so each one gets its own marker, and record the PR details entry
+ * templates may use: its author, options.authors (credited with `credit-authors`), merge
+ * time and merge commit, and options.closingIssues on entries for the whole PR (the head
+ * SHA is left out: it changes with every push). Returns the entries.
+ */
+function annotatePrEntries(entries, pr, options) {
+  const { authors, closingIssues, config } = options;
+  entries.forEach((entry, index) => {
+    entry.entryIndex = index;
+    entry.author = pr.user ? pr.user.login : null;
+    if (authors) entry.authors = authors;
+    if (config.creditAuthors) entry.credits = authors;
+    entry.mergedAt = pr.merged_at || null;
+    if (!config.linkIssues) {
+      entry.issues = [];
+    } else if (!entry.sha) {
+      // Entries for the whole PR (not a single commit) also link the issues GitHub knows it closes
+      const known = new Set((entry.issues || []).map(issue => issue.url.toLowerCase()));
+      entry.issues = [...(entry.issues || []), ...(closingIssues || []).filter(issue => !known.has(issue.url.toLowerCase()))];
+    }
+    if (!entry.sha && (pr.merged || pr.merged_at)) entry.sha = pr.merge_commit_sha;
+  });
+  return entries;
+}
+
+/**
+ * Build an entry from custom text: conventional format if it parses, else a manual entry.
+ */
+function buildEntryFromText(text, pr, prNumber, config) {
+  const changelogConfig = config || buildChangelogConfig();
+
+  // First, try to parse as conventional commit format; the PR's BREAKING CHANGE footer belongs
+  // to its title entry, so custom texts mark breaking changes with `!`
+  const conventionalEntry = parseConventionalCommit(text, pr, prNumber, changelogConfig, { breakingFooter: false });
+  if (conventionalEntry) {
+    return conventionalEntry;
+  }
+
+  // Fallback to manual entry
+  return {
+    type: ENTRY_TYPES.MANUAL,
+    description: text,
+    issues: parseClosingIssues(pr.body, pr.html_url),
+    prNumber: prNumber,
+    prUrl: pr.html_url,
+    section: changelogConfig.defaultSection // Default section for manual entries
+  };
+}
+
+/**
+ * Build the entry for a PR title: conventional format if it parses, else the section of
+ * the first configured label the PR carries, else (with `title-fallback`) the raw title
+ * under the default section. Returns null when none applies.
+ */
+function buildTitleEntry(pr, prNumber, config) {
+  const changelogConfig = config || buildChangelogConfig();
+
+  const conventionalEntry = parseConventionalCommit(pr.title, pr, prNumber, changelogConfig);
+  if (conventionalEntry) {
+    return conventionalEntry;
+  }
+
+  const prLabels = (pr.labels || []).map(l => (typeof l === 'string' ? l : l.name).toLowerCase());
+  const label = Object.keys(changelogConfig.labelMapping).find(name =>
+    changelogConfig.labelMapping[name] && prLabels.includes(name)
+  );
+  if (label) {
+    return {
+      type: ENTRY_TYPES.LABEL,
+      description: pr.title.trim(),
+      label: label,
+      issues: parseClosingIssues(pr.body, pr.html_url),
+      prNumber: prNumber,
+      prUrl: pr.html_url,
+      section: changelogConfig.labelMapping[label]
+    };
+  }
+
+  if (changelogConfig.titleFallback) {
+    return {
+      type: ENTRY_TYPES.TITLE,
+      description: pr.title.trim(),
+      issues: parseClosingIssues(pr.body, pr.html_url),
+      prNumber: prNumber,
+      prUrl: pr.html_url,
+      section: changelogConfig.defaultSection
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build one entry per meaningful conventional commit of a PR (as returned by
+ * pulls.listCommits), skipping [AUTO-CHANGELOG], merge and fixup commits and
+ * de-duplicating commits that produce the same entry.
+ */
+function extractCommitEntries(commits, pr, prNumber, config) {
+  const entries = [];
+  const seen = new Set();
+
+  for (const commit of commits || []) {
+    const message = ((commit.commit && commit.commit.message) || '').replace(/\r/g, '');
+    const subject = message.split('\n')[0].trim();
+
+    if (!subject || subject.startsWith(COMMIT_MESSAGES.AUTO_CHANGELOG_PREFIX)) continue;
+    if (commit.parents && commit.parents.length > 1) continue;
+    if (IGNORED_COMMIT_PATTERNS.some(pattern => pattern.test(subject))) continue;
+
+    // The commit body (not the PR body) carries this commit's BREAKING CHANGE footer
+    const commitBody = message.slice(subject.length);
+    const entry = parseConventionalCommit(subject, { html_url: pr.html_url, body: commitBody }, prNumber, config);
+    if (!entry) continue;
+
+    const key = [entry.type, entry.scope, entry.description].map(part => (part || '').toLowerCase()).join('|');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entry.sha = commit.sha;
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * The people to credit for a PR: its author plus the co-authors named in
+ * `Co-authored-by:` trailers of its commits, without bots or duplicates. A co-author's
+ * login comes from a GitHub noreply address or from a PR commit authored with the same
+ * email; co-authors without a known login are left out.
+ */
+function collectPrAuthors(pr, commits) {
+  const emailLogins = new Map();
+  for (const commit of commits || []) {
+    const email = commit.commit && commit.commit.author && commit.commit.author.email;
+    if (email && commit.author && commit.author.login) emailLogins.set(email.toLowerCase(), commit.author.login);
+  }
+
+  const logins = [];
+  const add = login => {
+    if (!login || isBotLogin(login)) return;
+    if (!logins.some(existing => existing.toLowerCase() === login.toLowerCase())) logins.push(login);
+  };
+  add(pr.user && pr.user.login);
+  for (const commit of commits || []) {
+    const message = (commit.commit && commit.commit.message) || '';
+    for (const [, name, rawEmail] of message.matchAll(CO_AUTHOR_TRAILER)) {
+      const email = rawEmail.trim();
+      const noreply = email.match(NOREPLY_EMAIL);
+      const login = noreply ? noreply[1] : emailLogins.get(email.toLowerCase());
+      if (login) {
+        add(login);
+      } else {
+        core.debug(`No GitHub login known for co-author ${name} <${email}>`);
+      }
+    }
+  }
+  return logins;
+}
+
+/**
+ * Keep the logins with no commits on the default branch other than the PR's own
+ * (ownShas: its commits and merge commit), i.e. those for whom this is the first
+ * contribution, using the commit search API. A failed search counts as not new.
+ */
+async function findNewContributors(octokit, owner, repo, logins, ownShas) {
+  const newcomers = [];
+  for (const login of logins) {
+    try {
+      const { data } = await octokit.rest.search.commits({ q: `repo:${owner}/${repo} author:${login}`, per_page: 100 });
+      const others = data.items.filter(item => !ownShas.has(item.sha));
+      if (others.length === 0 && data.total_count <= data.items.length) newcomers.push(login);
+    } catch (error) {
+      core.warning(`Could not check earlier contributions of @${login}: ${error.message}`);
+    }
+  }
+  return newcomers;
+}
+
+/**
+ * Parse every `/changelog: text` line of a comment into its own entry.
+ */
+function parseChangelogEntries(comment, trigger, pr, prNumber, config) {
+  return parseChangelogLines(comment, trigger).map(text => buildEntryFromText(text, pr, prNumber, config));
+}
+
+/**
+ * Parse the first `/changelog: text` line of a comment into an entry, or null.
+ */
+function parseChangelogComment(comment, trigger, pr, prNumber, config) {
+  const entries = parseChangelogEntries(comment, trigger, pr, prNumber, config);
+  return entries.length > 0 ? entries[0] : null;
+}
+
+/**
+ * Collect the issues a PR or commit body closes with GitHub's closing keywords (`Fixes #12`,
+ * `Closes org/repo#34`, `Resolves <issue URL>`), resolved against the repository of prUrl.
+ * Returns [{ reference, url }] in order of appearance without duplicates; references to
+ * the PR's own repository are shortened to `#N`.
+ */
+function parseClosingIssues(body, prUrl) {
+  const repoMatch = (prUrl || '').match(/^(https?:\/\/[^/]+)\/([^/]+\/[^/]+)\/pull\/\d+/);
+  if (!body || !repoMatch) return [];
+  const [, serverUrl, repoName] = repoMatch;
+
+  const issues = [];
+  for (const match of body.matchAll(CLOSING_KEYWORD_PATTERN)) {
+    const [, shortRepo, shortNumber, urlServer, urlRepo, urlNumber] = match;
+    const issueRepo = shortNumber ? shortRepo || repoName : urlRepo;
+    const number = shortNumber || urlNumber;
+    const sameRepo = issueRepo.toLowerCase() === repoName.toLowerCase();
+    const issue = {
+      reference: sameRepo ? `#${number}` : `${issueRepo}#${number}`,
+      url: `${urlServer || serverUrl}/${issueRepo}/issues/${number}`
+    };
+    if (!issues.some(existing => existing.url.toLowerCase() === issue.url.toLowerCase())) issues.push(issue);
+  }
+  return issues;
+}
+
+/**
+ * Fetch the issues GitHub links to a PR as closed by it (`closingIssuesReferences`: closing
+ * keywords and issues linked from the sidebar), as [{ reference, url }].
+ */
+async function fetchClosingIssues(octokit, owner, repo, prNumber) {
+  const result = await octokit.graphql(`
+    query($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          closingIssuesReferences(first: 50) {
+            nodes { number url repository { nameWithOwner } }
+          }
+        }
+      }
+    }`, { owner, repo, number: prNumber });
+  const nodes = result.repository.pullRequest.closingIssuesReferences.nodes;
+  return nodes.map(node => ({
+    reference: node.repository.nameWithOwner.toLowerCase() === `${owner}/${repo}`.toLowerCase()
+      ? `#${node.number}`
+      : `${node.repository.nameWithOwner}#${node.number}`,
+    url: node.url
+  }));
+}
+
+/**
+ * Find a `BREAKING CHANGE:` (or `BREAKING-CHANGE:`) footer in a PR body.
+ * Returns the footer text (continuation lines joined with spaces), '' for a footer with
+ * no text, or null when there is no footer.
+ */
+function parseBreakingChange(body) {
+  if (!body) return null;
+
+  const lines = body.replace(/\r/g, '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].trim().match(BREAKING_CHANGE_FOOTER);
+    if (!match) continue;
+
+    const parts = [match[1].trim()];
+    for (let j = i + 1; j < lines.length && lines[j].trim(); j++) {
+      parts.push(lines[j].trim());
+    }
+    return parts.filter(Boolean).join(' ');
+  }
+  return null;
+}
+
+/**
+ * Parse a conventional commit title (`type(scope)!: description`) into an entry.
+ * Types come from the config's type mapping; hidden types yield an entry with
+ * `hidden: true` (unless breaking) so callers can drop it without falling back to manual.
+ * A `BREAKING CHANGE:` footer in pr.body also marks the entry breaking, unless
+ * options.breakingFooter is false (custom texts, which use `!` instead).
+ */
+function parseConventionalCommit(title, pr, prNumber, config, options) {
+  const { typeMapping, defaultSection, breakingSection } = config || buildChangelogConfig();
+  const types = Object.keys(typeMapping).join('|');
+  const conventionalRegex = new RegExp(`^(${types})(\\(.+\\))?(!)?:\\s*(.+)$`, 'i');
+  const match = title.match(conventionalRegex);
+  
+  if (match) {
+    const [, type, scope, bang, description] = match;
+    const breakingNote = options && options.breakingFooter === false ? null : parseBreakingChange(pr.body);
+    const breaking = Boolean(bang) || breakingNote !== null;
+    const typeSection = typeMapping[type.toLowerCase()];
+    // Breaking changes are filed under their own section instead of the type section
+    const section = breaking ? breakingSection : typeSection || defaultSection;
+    
+    return {
+      type: type,
+      scope: scope ? scope.slice(1, -1) : null, // Remove parentheses
+      description: description,
+      hidden: !breaking && typeSection === null,
+      breaking: breaking,
+      breakingNote: breakingNote || null,
+      issues: parseClosingIssues(pr.body, pr.html_url),
+      prNumber: prNumber,
+      prUrl: pr.html_url,
+      section: section
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Fill the {{name}} placeholders of a template; missing values render as empty strings.
+ */
+function renderTemplate(template, variables) {
+  return template.replace(TEMPLATE_PLACEHOLDER, (placeholder, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Join issue references as `[#12](url), [org/repo#34](url)`.
+ */
+function formatIssueLinks(issues) {
+  return (issues || []).map(issue => `[${issue.reference}](${issue.url})`).join(', ');
+}
+
+/**
+ * Join logins as `@a`, `@a and @b` or `@a, @b and @c`.
+ */
+function formatLogins(logins) {
+  const mentions = logins.map(login => `@${login}`);
+  if (mentions.length <= 1) return mentions.join('');
+  return `${mentions.slice(0, -1).join(', ')} and ${mentions[mentions.length - 1]}`;
+}
+
+/**
+ * The entry-template variables for an entry.
+ */
+function entryTemplateVariables(entry) {
+  const prLink = `[#${entry.prNumber}](${entry.prUrl})`;
+  return {
+    description: entry.description,
+    type: entry.type,
+    scope: entry.scope,
+    scope_bold: entry.scope ? `**${entry.scope}**: ` : '',
+    breaking_note: entry.breakingNote,
+    breaking_suffix: entry.breakingNote ? ` — ${entry.breakingNote}` : '',
+    author: entry.author,
+    authors: formatLogins(entry.authors || (entry.author ? [entry.author] : [])),
+    credits: entry.credits && entry.credits.length > 0 ? ` by ${formatLogins(entry.credits)}` : '',
+    pr_number: entry.prNumber,
+    pr_url: entry.prUrl,
+    pr_link: prLink,
+    issues: formatIssueLinks(entry.issues),
+    closes: entry.issues && entry.issues.length > 0 ? `, closes ${formatIssueLinks(entry.issues)}` : '',
+    commit_sha: entry.sha,
+    short_sha: entry.sha ? entry.sha.slice(0, 7) : '',
+    merge_date: entry.mergedAt ? entry.mergedAt.slice(0, 10) : ''
+  };
+}
+
+/**
+ * Format the changelog line for an entry with the entry template (the default one unless
+ * given), adding its hash marker when markEntries is set.
+ */
+function formatEntryLine(entry, markEntries, template) {
+  const entryText = renderTemplate(template || DEFAULT_TEMPLATES.ENTRY, entryTemplateVariables(entry)).trim();
+  // Append hash marker if markEntries is enabled
+  if (markEntries) {
+    return `${CHANGELOG_STRUCTURE.ENTRY_PREFIX}${buildMarkedEntry(entryText, entry.prNumber, entry.entryIndex)}`;
+  }
+  return `${CHANGELOG_STRUCTURE.ENTRY_PREFIX}${entryText}`;
+}
+
+/**
+ * Format the `### ` heading of a section with the section template.
+ */
+function formatSectionHeading(sectionName, template) {
+  return renderTemplate(template || DEFAULT_TEMPLATES.SECTION, { section: sectionName }).trim();
+}
+
+/**
+ * Write entries into the Unreleased section of changelog content, replacing any existing
+ * entries for the same PRs (sections that leaves empty are dropped). A null
+ * changelogContent starts from the default template.
+ * New sections are placed by options.sectionOrder; with options.reorderSections too, the
+ * existing Unreleased sections are put in that order as well. With options.sortEntries
+ * (and options.mergeTimes for `merged`), entries are sorted within their section. Blank
+ * lines in Unreleased are normalized.
+ * Returns the new content; the input is not modified.
+ */
+function renderChangelog(changelogContent, entries, options) {
+  const markEntries = options && options.markEntries;
+  const preserveEdited = options && options.preserveEdited;
+  const sectionOrder = options && options.sectionOrder;
+  const templates = (options && options.templates) || {};
+
+  if (changelogContent === null || changelogContent === undefined) {
+    changelogContent = CHANGELOG_TEMPLATE;
+  }
+  const doc = changelogDocument.parseChangelog(changelogContent);
+
+  // Group entries by section
+  const entriesBySection = {};
+  entries.forEach(entry => {
+    if (!entriesBySection[entry.section]) {
+      entriesBySection[entry.section] = [];
+    }
+    entriesBySection[entry.section].push(entry);
+  });
+
+  // Find or create the Unreleased section, above every release
+  const unreleased = changelogDocument.findRelease(doc, CHANGELOG_STRUCTURE.UNRELEASED_SECTION) ||
+    changelogDocument.insertRelease(doc, CHANGELOG_STRUCTURE.UNRELEASED_SECTION, 0);
+
+  // First, remove any existing entries for the PRs we're updating. With preserveEdited,
+  // user-edited marked entries stay put and replace the new entry with the same index.
+  const preservedKeys = new Set();
+  const prNumbers = [...new Set(entries.map(entry => entry.prNumber))];
+  const filled = changelogDocument.filledSections(unreleased);
+  changelogDocument.removeEntries(unreleased, block => {
+    const trimmed = changelogDocument.lineText(block.lines[0]);
+    return prNumbers.some(prNumber => {
+      const match = matchPrEntry(trimmed, prNumber);
+      if (!match) return false;
+      if (preserveEdited && match.state === ENTRY_STATE.AUTO_EDITED) {
+        preservedKeys.add(`${prNumber}:${match.index}`);
+        return false;
+      }
+      return true;
+    });
+  });
+
+  // Add new entries to appropriate sections
+  Object.keys(entriesBySection).forEach(sectionName => {
+    const sectionEntries = entriesBySection[sectionName].filter(entry =>
+      !preservedKeys.has(`${entry.prNumber}:${entry.entryIndex || 0}`)
+    );
+    if (sectionEntries.length === 0) return;
+
+    // Add the section if missing, in its configured slot if there is one
+    const heading = formatSectionHeading(sectionName, templates.section);
+    const section = changelogDocument.findSection(unreleased, heading) ||
+      changelogDocument.insertSection(doc, unreleased, heading,
+        findSectionInsertIndex(unreleased, sectionName, sectionOrder, templates.section));
+
+    changelogDocument.addEntries(doc, unreleased, section, sectionEntries.map(entry =>
+      changelogDocument.createEntry(doc, formatEntryLine(entry, markEntries, templates.entry))
+    ));
+  });
+
+  // Drop the sections the PRs' old entries leave behind (e.g. after a type change)
+  changelogDocument.removeEmptiedSections(unreleased, filled);
+
+  // Keep Unreleased in canonical shape: sections in order, entries sorted, tidy spacing
+  if (sectionOrder && options.reorderSections) {
+    const rankOf = sectionRanker(sectionOrder, templates.section);
+    unreleased.sections.sort((a, b) =>
+      rankOf(changelogDocument.lineText(a.heading)) - rankOf(changelogDocument.lineText(b.heading))
+    );
+  }
+  const compare = entryComparator(options && options.sortEntries, options && options.mergeTimes);
+  if (compare) {
+    const contributors = formatSectionHeading(NEW_CONTRIBUTORS.SECTION, templates.section);
+    unreleased.sections
+      .filter(section => changelogDocument.lineText(section.heading) !== contributors)
+      .forEach(section => changelogDocument.sortEntries(section, compare));
+  }
+  changelogDocument.normalizeSpacing(doc, unreleased);
+
+  return changelogDocument.serializeChangelog(doc);
+}
+
+/**
+ * Read a file from the working tree, or from snapshot (see readFilesAtRef) when given.
+ * Returns null when it does not exist.
+ */
+function readTextFile(filePath, snapshot) {
+  if (snapshot) {
+    const key = path.normalize(filePath);
+    return snapshot.files.has(key) ? snapshot.files.get(key) : null;
+  }
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Read a changelog file, or return null when it does not exist yet. With snapshot it is
+ * read from there instead of the working tree.
+ */
+function readChangelog(changelogPath, snapshot) {
+  return readTextFile(changelogPath, snapshot);
+}
+
+/**
+ * Render entries into a changelog file (see renderChangelog for the options) and write it.
+ * Returns true if the file changed.
+ */
+async function updateChangelog(changelogPath, entries, options) {
+  try {
+    // Read existing changelog or create new one
+    const changelogContent = readChangelog(changelogPath);
+    const newChangelogContent = renderChangelog(changelogContent, entries, options);
+
+    // Check if content actually changed
+    if (changelogContent === newChangelogContent) {
+      return false; // No changes made
+    }
+
+    // Write updated changelog
+    fs.writeFileSync(changelogPath, newChangelogContent);
+
+    return true;
+  } catch (error) {
+    core.error(`Failed to update changelog: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove a PR's entries and New Contributors lines from changelog content, along with the
+ * sections that leaves empty. With options.preserveEdited, user-edited marked entries are
+ * kept. Returns the new content, or the input unchanged if nothing matched.
+ */
+function removePrEntries(changelogContent, prNumber, options) {
+  const preserveEdited = options && options.preserveEdited;
+  const doc = changelogDocument.parseChangelog(changelogContent);
+  const unreleased = changelogDocument.findRelease(doc, CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
+  if (!unreleased) return changelogContent;
+
+  // Remove every entry for the PR (by link or by hash marker), continuation lines included
+  const filled = changelogDocument.filledSections(unreleased);
+  const removed = changelogDocument.removeEntries(unreleased, block => {
+    const text = changelogDocument.lineText(block.lines[0]);
+    const contributor = text.match(NEW_CONTRIBUTORS.MARKER_PATTERN);
+    if (contributor) return Number(contributor[1]) === prNumber;
+    const match = matchPrEntry(text, prNumber);
+    return Boolean(match) && !(preserveEdited && match.state === ENTRY_STATE.AUTO_EDITED);
+  });
+  if (removed === 0) return changelogContent;
+  changelogDocument.removeEmptiedSections(unreleased, filled);
+  changelogDocument.normalizeSpacing(doc, unreleased);
+  return changelogDocument.serializeChangelog(doc);
+}
+
+/**
+ * Maintain a PR's lines in the `### New Contributors` subsection of Unreleased, listing
+ * each login as making their first contribution in the PR. The subsection is kept last in
+ * Unreleased and dropped once empty; other PRs' lines and hand-written ones are kept.
+ * Returns the new content (unchanged without an Unreleased section).
+ */
+function renderNewContributors(changelogContent, prNumber, prUrl, logins, sectionTemplate) {
+  const doc = changelogDocument.parseChangelog(changelogContent);
+  const unreleased = changelogDocument.findRelease(doc, CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
+  if (!unreleased) return changelogContent;
+
+  const heading = formatSectionHeading(NEW_CONTRIBUTORS.SECTION, sectionTemplate);
+  const credits = [];
+  unreleased.sections = unreleased.sections.filter(section => {
+    if (changelogDocument.lineText(section.heading) !== heading) return true;
+    credits.push(...section.body.filter(block => {
+      if (block.type !== changelogDocument.BLOCK_TYPES.ENTRY) return false;
+      const marker = block.lines[0].text.match(NEW_CONTRIBUTORS.MARKER_PATTERN);
+      return !(marker && Number(marker[1]) === prNumber);
+    }));
+    return false;
+  });
+  for (const login of logins) {
+    credits.push(changelogDocument.createEntry(doc,
+      `${CHANGELOG_STRUCTURE.ENTRY_PREFIX}@${login} made their first contribution in [#${prNumber}](${prUrl}) ${NEW_CONTRIBUTORS.marker(prNumber)}`));
+  }
+
+  changelogDocument.trimTrailingBlanks(changelogDocument.lastBody(unreleased));
+  if (credits.length > 0) {
+    const section = changelogDocument.insertSection(doc, unreleased, heading, -1);
+    changelogDocument.addEntries(doc, unreleased, section, credits);
+  } else {
+    changelogDocument.padRelease(doc, unreleased);
+  }
+  return changelogDocument.serializeChangelog(doc);
+}
+
+/**
+ * Remove a PR's entries from a changelog and, unless options.commit is false, commit it.
+ * With options.preserveEdited, user-edited marked entries are kept.
+ * Returns true if any entry was removed.
+ */
+async function removeAutoGeneratedEntries(changelogPath, prNumber, options) {
+  const shouldCommit = !options || options.commit !== false;
+  // Planned from the file as it is when called, so a retried push re-plans on fresh content
+  const planRemoval = () => {
+    const before = readChangelog(changelogPath);
+    const after = before === null ? null : removePrEntries(before, prNumber, options);
+    return { changes: after !== before ? [{ path: changelogPath, before, after }] : [], entriesCount: 0 };
+  };
+  try {
+    const plan = planRemoval();
+    if (plan.changes.length === 0) {
+      return false; // No changelog file or no entry to remove
+    }
+
+    // Commit the removal with the same identifiable format
+    if (shouldCommit) {
+      await commitChanges(planRemoval, prNumber);
+    } else {
+      applyChanges(plan.changes);
+    }
+    core.info(`Auto-generated entry for PR #${prNumber} removed from changelog`);
+    return true;
+  } catch (error) {
+    core.error(`Failed to remove auto-generated entry for PR #${prNumber}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Plan the removal of a PR's entries from each of the given changelogs, read from the
+ * working tree or snapshot. Returns { path, before, after } for every file that would change.
+ */
+function planEntryRemoval(changelogPaths, prNumber, snapshot) {
+  const changes = [];
+  for (const changelogPath of changelogPaths) {
+    const before = readChangelog(changelogPath, snapshot);
+    if (before === null) continue;
+    const after = removePrEntries(before, prNumber);
+    if (after !== before) changes.push({ path: changelogPath, before, after });
+  }
+  return changes;
+}
+
+/**
+ * File name of the fragment holding a PR's entry: `<pr>.md`, or `<pr>-<index>.md` for
+ * the PR's second and later entries.
+ */
+function fragmentFileName(prNumber, entryIndex) {
+  return entryIndex ? `${prNumber}-${entryIndex}${FRAGMENTS.EXTENSION}` : `${prNumber}${FRAGMENTS.EXTENSION}`;
+}
 
-    // --- Read CHANGELOG.md and detect entry state ---
-    let changelogContent = '';
-    if (fs.existsSync(changelogPath)) {
-      changelogContent = fs.readFileSync(changelogPath, 'utf8');
-    }
-    const entryInfo = detectEntryState(changelogContent, prNumber);
-    core.info(`Entry state for PR #${prNumber}: ${entryInfo.state}`);
+/**
+ * Serialize an entry as a changelog fragment. options.markEntries stores the entry hash so
+ * later runs can tell whether the fragment was edited; options.rootChangelog is omitted
+ * from the front-matter since it is where unrouted fragments go anyway.
+ */
+function serializeFragment(entry, options) {
+  const markEntries = options && options.markEntries;
+  const rootChangelog = options && options.rootChangelog;
+  const frontMatter = { pr: entry.prNumber, url: entry.prUrl, type: entry.type };
+  if (entry.scope) frontMatter.scope = entry.scope;
+  frontMatter.section = entry.section;
+  frontMatter.breaking = Boolean(entry.breaking);
+  if (entry.breakingNote) frontMatter['breaking-note'] = entry.breakingNote;
+  if (entry.author) frontMatter.author = entry.author;
+  if (entry.credits && entry.credits.length > 0) frontMatter.credits = entry.credits;
+  if (entry.issues && entry.issues.length > 0) frontMatter.issues = entry.issues.map(issue => ({ ...issue }));
+  if (entry.sha) frontMatter.sha = entry.sha;
+  if (entry.entryIndex) frontMatter.index = entry.entryIndex;
+  if (entry.changelog && entry.changelog !== rootChangelog) frontMatter.changelog = entry.changelog;
+  if (markEntries) frontMatter.hash = computeEntryHash(formatEntryLine(entry, false).slice(CHANGELOG_STRUCTURE.ENTRY_PREFIX.length));
 
-    // --- Resolve what action to take ---
-    const decision = resolveEntryAction(entryInfo.state, prDescCommand, commentCommand, preserveEdited);
-    core.info(`Action: ${decision.action}, Reason: ${decision.reason}`);
-    core.setOutput('entry-state', entryInfo.state);
+  return `${FRAGMENTS.FRONT_MATTER_DELIMITER}\n${yaml.dump(frontMatter)}${FRAGMENTS.FRONT_MATTER_DELIMITER}\n${entry.description}\n`;
+}
 
-    // --- Execute the action ---
-    if (decision.action === 'skip') {
-      // Remove entry and commit
-      await removeAutoGeneratedEntries(changelogPath, prNumber);
-      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
-      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
-      return;
-    }
+/**
+ * Parse a changelog fragment into an entry. The PR number comes from the `pr` key or the
+ * file name; the section defaults to the one configured for the type. options.repoUrl
+ * builds the PR link when the fragment has no `url`. Returns { entry, state, storedHash }
+ * and throws on malformed fragments.
+ */
+function parseFragment(content, fileName, options) {
+  const changelogConfig = (options && options.config) || buildChangelogConfig();
+  const repoUrl = options && options.repoUrl;
+  const fail = reason => {
+    throw new Error(`Invalid changelog fragment ${fileName}: ${reason}`);
+  };
 
-    if (decision.action === 'preserve') {
-      core.info('Preserving existing entry (user-edited or manual)');
-      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
-      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
-      return;
-    }
+  const lines = content.replace(/\r/g, '').split('\n');
+  if (lines[0].trim() !== FRAGMENTS.FRONT_MATTER_DELIMITER) fail('missing front-matter');
+  const endIdx = lines.indexOf(FRAGMENTS.FRONT_MATTER_DELIMITER, 1);
+  if (endIdx === -1) fail('unterminated front-matter');
 
-    // For generate, regenerate, or custom: build the entry
-    let changelogEntries = [];
+  let frontMatter;
+  try {
+    frontMatter = yaml.load(lines.slice(1, endIdx).join('\n')) || {};
+  } catch (error) {
+    fail(error.message);
+  }
+  if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) fail('front-matter must be a mapping');
 
-    if (decision.action === 'custom') {
-      // Use the custom text — try to parse as conventional commit first
-      const customText = decision.text || (prDescCommand && prDescCommand.text);
-      if (customText) {
-        const conventionalEntry = parseConventionalCommit(customText, pr, prNumber);
-        if (conventionalEntry) {
-          changelogEntries.push(conventionalEntry);
-        } else {
-          changelogEntries.push({
-            type: ENTRY_TYPES.MANUAL,
-            description: customText,
-            prNumber: prNumber,
-            prUrl: pr.html_url,
-            section: DEFAULT_SECTIONS.CHANGES
-          });
-        }
-      }
-    } else {
-      // generate or regenerate: use PR description command's parsed entry or PR title
-      if (prDescCommand && prDescCommand._parsedEntry && decision.action !== 'regenerate') {
-        changelogEntries.push(prDescCommand._parsedEntry);
-      } else if (autoCategorize) {
-        const entry = parseConventionalCommit(pr.title, pr, prNumber);
-        if (entry) {
-          changelogEntries.push(entry);
-        }
-      }
-    }
+  const description = lines.slice(endIdx + 1).join(' ').replace(/\s+/g, ' ').trim();
+  if (!description) fail('empty description');
 
-    if (changelogEntries.length === 0) {
-      core.info('No changelog entries to add');
-      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
-      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
-      return;
+  const fileMatch = path.basename(fileName).match(/^(\d+)(?:-\d+)?\.md$/);
+  const prNumber = frontMatter.pr !== undefined ? frontMatter.pr : fileMatch && Number(fileMatch[1]);
+  if (!Number.isInteger(prNumber) || prNumber <= 0) fail('"pr" must be a PR number');
+
+  const prUrl = frontMatter.url || (repoUrl ? `${repoUrl}/pull/${prNumber}` : null);
+  if (!prUrl) fail('"url" is required');
+
+  const type = frontMatter.type || ENTRY_TYPES.MANUAL;
+  const breaking = frontMatter.breaking === true;
+  const typeSection = changelogConfig.typeMapping[String(type).toLowerCase()];
+  const entry = {
+    type,
+    scope: frontMatter.scope || null,
+    description,
+    breaking,
+    breakingNote: frontMatter['breaking-note'] || null,
+    author: frontMatter.author || null,
+    credits: Array.isArray(frontMatter.credits) ? frontMatter.credits.map(String) : null,
+    issues: Array.isArray(frontMatter.issues)
+      ? frontMatter.issues.filter(issue => issue && issue.reference && issue.url)
+        .map(issue => ({ reference: String(issue.reference), url: String(issue.url) }))
+      : [],
+    sha: frontMatter.sha ? String(frontMatter.sha) : null,
+    prNumber,
+    prUrl,
+    section: frontMatter.section || (breaking ? changelogConfig.breakingSection : typeSection || changelogConfig.defaultSection),
+    entryIndex: Number.isInteger(frontMatter.index) ? frontMatter.index : 0,
+    changelog: frontMatter.changelog || null
+  };
+
+  // Same edit detection as hash markers: a fragment without a hash was written by hand
+  const storedHash = frontMatter.hash ? String(frontMatter.hash) : null;
+  let state = ENTRY_STATE.MANUAL;
+  if (storedHash) {
+    const currentHash = computeEntryHash(formatEntryLine(entry, false).slice(CHANGELOG_STRUCTURE.ENTRY_PREFIX.length));
+    state = currentHash === storedHash ? ENTRY_STATE.AUTO_UNTOUCHED : ENTRY_STATE.AUTO_EDITED;
+  }
+  return { entry, state, storedHash };
+}
+
+/**
+ * Read and parse every fragment in a directory, ordered by PR number and entry index, from
+ * the working tree or options.snapshot. Returns [{ path, content, entry, state, storedHash }];
+ * a missing directory has none.
+ */
+function readFragments(fragmentsDir, options) {
+  const snapshot = options && options.snapshot;
+  let names;
+  if (snapshot) {
+    names = snapshot.dirs.get(path.normalize(fragmentsDir)) || [];
+  } else {
+    names = fs.existsSync(fragmentsDir) ? fs.readdirSync(fragmentsDir) : [];
+  }
+
+  return names
+    .filter(name => name.endsWith(FRAGMENTS.EXTENSION) && !FRAGMENTS.IGNORED_FILES.includes(name.toLowerCase()))
+    .map(name => {
+      const fragmentPath = path.join(fragmentsDir, name);
+      const content = readTextFile(fragmentPath, snapshot);
+      return { path: fragmentPath, content, ...parseFragment(content, fragmentPath, options) };
+    })
+    .sort((a, b) => a.entry.prNumber - b.entry.prNumber || a.entry.entryIndex - b.entry.entryIndex);
+}
+
+/**
+ * Detect the state of each of a PR's fragments, in the shape returned by detectEntryStates.
+ */
+function detectFragmentStates(fragmentsDir, prNumber, options) {
+  return readFragments(fragmentsDir, options)
+    .filter(fragment => fragment.entry.prNumber === prNumber)
+    .map(fragment => ({
+      state: fragment.state,
+      line: formatEntryLine(fragment.entry, false),
+      storedHash: fragment.storedHash,
+      index: fragment.storedHash ? fragment.entry.entryIndex : null,
+      path: fragment.path
+    }));
+}
+
+/**
+ * Plan the fragment files for a PR's entries: write one fragment per entry and delete the
+ * PR's other fragments. With options.preserveEdited, user-edited fragments are kept and
+ * replace the new entry with the same index; options.snapshot is read instead of the
+ * working tree. Deletions have `after: null`.
+ */
+function planFragmentChanges(fragmentsDir, prNumber, entries, options) {
+  const markEntries = options && options.markEntries;
+  const preserveEdited = options && options.preserveEdited;
+  const changes = new Map();
+  const preservedIndexes = new Set();
+
+  for (const fragment of readFragments(fragmentsDir, options)) {
+    if (fragment.entry.prNumber !== prNumber) continue;
+    if (preserveEdited && fragment.state === ENTRY_STATE.AUTO_EDITED) {
+      preservedIndexes.add(fragment.entry.entryIndex);
+      continue;
     }
+    changes.set(fragment.path, { path: fragment.path, before: fragment.content, after: null });
+  }
 
-    // Update changelog with marker support
-    core.info(`Processing ${changelogEntries.length} changelog entries`);
-    const updated = await updateChangelog(changelogPath, changelogEntries, { markEntries: decision.mark });
+  for (const entry of entries) {
+    if (preservedIndexes.has(entry.entryIndex || 0)) continue;
+    const fragmentPath = path.join(fragmentsDir, fragmentFileName(prNumber, entry.entryIndex));
+    const before = changes.has(fragmentPath)
+      ? changes.get(fragmentPath).before
+      : readTextFile(fragmentPath, options && options.snapshot);
+    changes.set(fragmentPath, {
+      path: fragmentPath,
+      before,
+      after: serializeFragment(entry, { markEntries, rootChangelog: options && options.rootChangelog })
+    });
+  }
 
-    if (updated) {
-      core.info('Changelog updated successfully');
+  return [...changes.values()].filter(change => change.after !== change.before);
+}
 
-      // In auto mode: always auto-commit. In opt-in mode: only commit if legacy checkbox is checked.
-      const shouldCommit = defaultBehavior === BEHAVIOR_MODES.AUTO ||
-        (defaultBehavior === BEHAVIOR_MODES.OPT_IN && pr.body && pr.body.includes(CHECKBOX_STATES.CHECKED));
+/**
+ * Plan the assembly of every fragment: render their entries into the Unreleased section of
+ * their changelog (the root one unless a fragment names another) and delete the fragments.
+ * options.mergeTimes is used when the config sorts entries by merge time.
+ * Returns { changes, count }.
+ */
+function planFragmentAssembly(fragmentsDir, changelogPath, options) {
+  const fragments = readFragments(fragmentsDir, options);
+  const entriesByChangelog = {};
+  for (const fragment of fragments) {
+    const target = fragment.entry.changelog || changelogPath;
+    if (!entriesByChangelog[target]) entriesByChangelog[target] = [];
+    entriesByChangelog[target].push(fragment.entry);
+  }
 
-      if (shouldCommit) {
-        await commitChanges(changelogPath, changelogEntries.length, prNumber);
-      }
+  const changes = [];
+  for (const [target, entries] of Object.entries(entriesByChangelog)) {
+    const before = readChangelog(target);
+    const config = (options && options.config) || buildChangelogConfig();
+    const after = renderChangelog(before, entries, {
+      markEntries: false,
+      sectionOrder: config.sectionOrder,
+      reorderSections: config.reorderSections,
+      sortEntries: config.sortEntries,
+      mergeTimes: options && options.mergeTimes,
+      templates: config.templates
+    });
+    if (after !== before) changes.push({ path: target, before, after });
+  }
+  for (const fragment of fragments) {
+    changes.push({ path: fragment.path, before: fragment.content, after: null });
+  }
+  return { changes, count: fragments.length };
+}
 
-      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_TRUE);
-      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, changelogEntries.length.toString());
+/**
+ * Write planned changes to disk, creating parent directories and deleting files whose
+ * planned content is null.
+ */
+function applyChanges(changes) {
+  for (const change of changes) {
+    if (change.after === null) {
+      if (fs.existsSync(change.path)) fs.unlinkSync(change.path);
     } else {
-      core.info('No changes needed - changelog is already up to date');
-      core.setOutput(OUTPUT_NAMES.CHANGELOG_UPDATED, OUTPUT_VALUES.CHANGELOG_UPDATED_FALSE);
-      core.setOutput(OUTPUT_NAMES.CHANGES_ADDED, OUTPUT_VALUES.CHANGES_ADDED_ZERO);
+      fs.mkdirSync(path.dirname(change.path), { recursive: true });
+      fs.writeFileSync(change.path, change.after);
     }
-
-  } catch (error) {
-    core.setFailed(error.message);
   }
 }
 
+/**
+ * Build a unified diff for a planned changelog change.
+ */
+function buildChangeDiff(change) {
+  return createTwoFilesPatch(`a/${change.path}`, `b/${change.path}`, change.before || '', change.after || '', '', '')
+    .replace(/^=+\n/, '');
+}
 
+/**
+ * Wrap text in a markdown code fence longer than any backtick run inside it.
+ */
+function fenceBlock(text, language) {
+  let fence = '```';
+  while (text.includes(fence)) fence += '`';
+  return `${fence}${language}\n${text}\n${fence}`;
+}
 
-function parseChangelogComment(comment, trigger, pr, prNumber) {
-  const lines = comment.split('\n');
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    if (trimmedLine.startsWith(trigger)) {
-      const description = trimmedLine.replace(trigger, '').trim();
-      
-      if (description) {
-        // First, try to parse as conventional commit format
-        const conventionalEntry = parseConventionalCommit(description, pr, prNumber);
-        if (conventionalEntry) {
-          return conventionalEntry;
-        }
-        
-        // Fallback to manual entry
-        return {
-          type: ENTRY_TYPES.MANUAL,
-          description: description,
-          prNumber: prNumber,
-          prUrl: pr.html_url,
-          section: DEFAULT_SECTIONS.CHANGES // Default section for manual entries
-        };
-      }
+/**
+ * Build the body of the sticky preview comment: the rendered entries (with
+ * preview.entryTemplate, if set), the detected entry state, the resolved action and a
+ * unified diff per changed changelog.
+ */
+function buildPreviewComment(preview) {
+  const { entryState, decision, entries, changes, dryRun, note } = preview;
+  const lines = [
+    PREVIEW_COMMENT_MARKER,
+    `### 📝 Changelog preview${dryRun ? ' (dry run)' : ''}`,
+    ''
+  ];
+  if (note) lines.push(note, '');
+  lines.push(
+    `- **Entry state:** \`${entryState}\``,
+    `- **Action:** \`${decision.action}\` — ${decision.reason}`,
+    ''
+  );
+
+  if (entries && entries.length > 0) {
+    const entryLines = entries.map(entry => formatEntryLine(entry, false, preview.entryTemplate));
+    lines.push('**Entries:**', '', fenceBlock(entryLines.join('\n'), 'markdown'), '');
+  }
+
+  if (!changes || changes.length === 0) {
+    lines.push('_No changelog changes._');
+  } else {
+    for (const change of changes) {
+      lines.push(
+        `<details><summary>Diff for <code>${change.path}</code></summary>`,
+        '',
+        fenceBlock(buildChangeDiff(change).trimEnd(), 'diff'),
+        '',
+        '</details>'
+      );
     }
   }
-  return null;
+
+  return lines.join('\n');
 }
 
-function parseConventionalCommit(title, pr, prNumber) {
-  // Parse conventional commit format: type(scope): description
-  const conventionalRegex = /^(feat|fix|docs|style|refactor|perf|test|chore|ci|build|revert)(\(.+\))?!?:\s*(.+)$/i;
-  const match = title.match(conventionalRegex);
-  
-  if (match) {
-    const [, type, scope, description] = match;
-    const section = COMMIT_TYPE_MAPPING[type.toLowerCase()] || DEFAULT_SECTIONS.CHANGES;
-    
-    return {
-      type: type,
-      scope: scope ? scope.slice(1, -1) : null, // Remove parentheses
-      description: description,
-      prNumber: prNumber,
-      prUrl: pr.html_url,
-      section: section
-    };
+/**
+ * Create the sticky preview comment on a PR, or update it if it already exists.
+ */
+async function upsertPreviewComment(octokit, owner, repo, prNumber, body) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner, repo, issue_number: prNumber, per_page: 100
+  });
+  const existing = comments.find(comment => (comment.body || '').includes(PREVIEW_COMMENT_MARKER));
+
+  if (existing) {
+    await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+    core.info(`Updated changelog preview comment ${existing.id}`);
+  } else {
+    const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: prNumber, body });
+    core.info(`Created changelog preview comment ${data.id}`);
   }
-  
-  return null;
 }
 
-async function updateChangelog(changelogPath, entries, options) {
-  const markEntries = options && options.markEntries;
-  try {
-    let changelogContent = '';
+/**
+ * Convert a local path to the repository-relative POSIX path used by the GitHub API.
+ */
+function toRepoPath(filePath) {
+  return path.normalize(filePath).split(path.sep).join('/').replace(/^\.\//, '');
+}
 
-    // Read existing changelog or create new one
-    if (fs.existsSync(changelogPath)) {
-      changelogContent = fs.readFileSync(changelogPath, 'utf8');
+/**
+ * Whether a PR comes from a fork, i.e. its head branch lives outside the base repository.
+ * A PR whose fork was deleted has no head repository and counts as a fork.
+ */
+function isForkPr(pr) {
+  if (!pr.head || !pr.head.repo) return true;
+  return Boolean(pr.base && pr.base.repo && pr.head.repo.full_name !== pr.base.repo.full_name);
+}
+
+/**
+ * Build the review comment suggesting a planned change to an existing file: the smallest
+ * block of lines that differs, widened to the line above (or below) for pure insertions
+ * since a suggestion must replace at least one line.
+ * Returns { path, line, startLine, body } (1-based lines of the current file), or null
+ * when the change creates or deletes the file or changes nothing.
+ */
+function buildSuggestion(change) {
+  if (change.before === null || change.after === null || change.before === change.after) return null;
+
+  const before = change.before.split('\n');
+  const after = change.after.split('\n');
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length - 1;
+  let endAfter = after.length - 1;
+  while (endBefore >= start && endAfter >= start && before[endBefore] === after[endAfter]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  if (endBefore < start) {
+    // Pure insertion: also replace a neighbouring line so the suggestion has an anchor
+    if (start > 0) {
+      start--;
     } else {
-      changelogContent = CHANGELOG_TEMPLATE;
+      endBefore++;
+      endAfter++;
     }
+  }
 
-    // Group entries by section
-    const entriesBySection = {};
-    entries.forEach(entry => {
-      if (!entriesBySection[entry.section]) {
-        entriesBySection[entry.section] = [];
-      }
-      entriesBySection[entry.section].push(entry);
-    });
+  const suggested = after.slice(start, endAfter + 1).join('\n');
+  const block = suggested ? fenceBlock(suggested, 'suggestion') : '```suggestion\n```';
+  return {
+    path: toRepoPath(change.path),
+    line: endBefore + 1,
+    startLine: start < endBefore ? start + 1 : null,
+    body: `${SUGGESTION_COMMENT_MARKER}\nSuggested changelog update for this PR:\n\n${block}`
+  };
+}
 
-    // Find or create Unreleased section
-    let unreleasedIndex = changelogContent.indexOf(CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
-    if (unreleasedIndex === -1) {
-      // Add Unreleased section after the header
-      const headerEnd = changelogContent.indexOf('\n## ');
-      if (headerEnd === -1) {
-        changelogContent += '\n## [Unreleased]\n\n';
-        unreleasedIndex = changelogContent.indexOf(CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
-      } else {
-        changelogContent = changelogContent.slice(0, headerEnd) +
-                          '\n## [Unreleased]\n\n' +
-                          changelogContent.slice(headerEnd);
-        unreleasedIndex = changelogContent.indexOf(CHANGELOG_STRUCTURE.UNRELEASED_SECTION);
-      }
-    }
-
-    // Find the end of the Unreleased section
-    let nextSectionIndex = changelogContent.indexOf('\n## ', unreleasedIndex + 1);
-    if (nextSectionIndex === -1) {
-      nextSectionIndex = changelogContent.length;
-    }
-
-    let unreleasedContent = changelogContent.slice(unreleasedIndex, nextSectionIndex);
-    const restContent = changelogContent.slice(nextSectionIndex);
-
-    // First, remove any existing entries for the PRs we're updating
-    entries.forEach(entry => {
-      const prNumber = entry.prNumber;
-      const lines = unreleasedContent.split('\n');
-      let updatedLines = [];
-      let entryRemoved = false;
-
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine.startsWith(CHANGELOG_STRUCTURE.ENTRY_PREFIX)) {
-          const entryText = trimmedLine.replace(/^- /, '');
-          // Remove entries that contain this PR number (by link or by hash marker)
-          const markerMatch = entryText.match(HASH_MARKER.PATTERN);
-          const hasMarkerForPr = markerMatch && markerMatch[2] === String(prNumber);
-          if (entryText.includes(`[#${prNumber}]`) || hasMarkerForPr) {
-            entryRemoved = true;
-            continue; // Skip this line (remove the entry)
-          }
-        }
-        updatedLines.push(line);
-      }
+/**
+ * Check out the PR head (detached) so the update is planned on the PR's files: the
+ * workflow checkout is the default branch on issue_comment events and a merge commit on
+ * pull_request ones. The head is fetched from `pull/N/head`, which also exists for forks.
+ */
+async function checkoutPrHead(prNumber) {
+  await exec.exec('git', ['fetch', 'origin', `pull/${prNumber}/head`]);
+  await exec.exec('git', ['checkout', '--force', '--detach', 'FETCH_HEAD']);
+}
 
-      if (entryRemoved) {
-        unreleasedContent = updatedLines.join('\n');
-      }
-    });
+/**
+ * Fork PRs whose branch cannot be pushed to: plan the update on the PR head and post each
+ * change as a review comment with a suggestion block, skipping suggestions that were
+ * already posted. Changes that cannot be suggested (new files, or lines outside the PR's
+ * diff) fall back to the sticky preview comment. Returns the plan.
+ */
+async function suggestChanges(planChanges, delivery) {
+  const { octokit, owner, repo, prNumber, headSha } = delivery;
 
-    // Add new entries to appropriate sections
-    Object.keys(entriesBySection).forEach(sectionName => {
-      let sectionIndex = unreleasedContent.indexOf(`### ${sectionName}`);
+  // Suggestions refer to lines of the PR head, not of the merge commit that is checked out
+  await checkoutPrHead(prNumber);
+  const plan = await planChanges();
+  if (plan.changes.length === 0) return plan;
 
-      if (sectionIndex === -1) {
-        // Add new section
-        const sectionHeader = `\n### ${sectionName}\n\n`;
-        unreleasedContent += sectionHeader;
-        sectionIndex = unreleasedContent.indexOf(`### ${sectionName}`);
-      }
+  const suggestions = plan.changes.map(buildSuggestion);
+  if (suggestions.every(Boolean)) {
+    const existing = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+      owner, repo, pull_number: prNumber, per_page: 100
+    });
+    const posted = new Set(existing.map(comment => `${comment.path}\n${comment.body}`));
+    const comments = suggestions
+      .filter(suggestion => !posted.has(`${suggestion.path}\n${suggestion.body}`))
+      .map(suggestion => ({
+        path: suggestion.path,
+        line: suggestion.line,
+        side: 'RIGHT',
+        ...(suggestion.startLine ? { start_line: suggestion.startLine, start_side: 'RIGHT' } : {}),
+        body: suggestion.body
+      }));
 
-      // Find end of this section
-      let sectionEndIndex = unreleasedContent.indexOf('\n### ', sectionIndex + 1);
-      if (sectionEndIndex === -1) {
-        sectionEndIndex = unreleasedContent.length;
-      }
+    if (comments.length === 0) {
+      core.info('Changelog suggestions are already posted');
+      return plan;
+    }
+    try {
+      await octokit.rest.pulls.createReview({
+        owner, repo, pull_number: prNumber, commit_id: headSha, event: 'COMMENT', comments
+      });
+      core.info(`Posted ${comments.length} changelog suggestion(s) on fork PR #${prNumber}`);
+      return plan;
+    } catch (error) {
+      // Typically the changelog lines are not part of the PR's diff
+      core.warning(`Could not post changelog suggestions: ${error.message}`);
+    }
+  }
 
-      // Create new entries for this section
-      const sectionEntries = entriesBySection[sectionName];
-      const newEntries = [];
+  const body = buildPreviewComment({
+    ...plan.preview,
+    changes: plan.changes,
+    note: 'This PR comes from a fork the action cannot push to. Please apply the changelog update below to your branch.'
+  });
+  await upsertPreviewComment(octokit, owner, repo, prNumber, body);
+  return plan;
+}
 
-      sectionEntries.forEach(entry => {
-        const scopeText = entry.scope ? `**${entry.scope}**: ` : '';
-        const newEntryText = `${scopeText}${entry.description} ([#${entry.prNumber}](${entry.prUrl}))`;
-        let newEntryLine = `${CHANGELOG_STRUCTURE.ENTRY_PREFIX}${newEntryText}`;
-        // Append hash marker if markEntries is enabled
-        if (markEntries) {
-          newEntryLine = `${CHANGELOG_STRUCTURE.ENTRY_PREFIX}${buildMarkedEntry(newEntryText, entry.prNumber)}`;
-        }
-        newEntries.push(newEntryLine);
-      });
+/**
+ * Deliver planned changelog changes. planChanges(snapshot) returns { changes, commit,
+ * entriesCount, preview } and is called again whenever the plan must be redone on fresh
+ * content. Normally the files are written and, when the plan says so, committed. With
+ * commit-mode "comment" a sticky PR comment previews the change instead, and with dry-run
+ * the preview is only logged; previews are planned in memory on the PR head as the API
+ * returns it (the snapshot of delivery.syncPaths and delivery.syncDirs), so the working
+ * tree is left alone. Returns the plan that was delivered.
+ */
+async function deliverChanges(planChanges, delivery) {
+  const { octokit, owner, repo, prNumber, commitMode, dryRun } = delivery;
+  if (dryRun || commitMode === COMMIT_MODES.COMMENT) {
+    const snapshot = await readFilesAtRef(
+      octokit, owner, repo, delivery.headSha, delivery.syncPaths || [], delivery.syncDirs || []
+    );
+    const plan = await planChanges(snapshot);
+    const body = buildPreviewComment({ ...plan.preview, changes: plan.changes, dryRun });
+    if (dryRun) {
+      core.info(body);
+    } else {
+      await upsertPreviewComment(octokit, owner, repo, prNumber, body);
+    }
+    return plan;
+  }
+
+  if (delivery.commitMethod === COMMIT_METHODS.API && !delivery.fork) {
+    // Plan on the PR head as GitHub has it, so no checkout is needed
+    await syncFilesFromRef(octokit, owner, repo, delivery.headSha, delivery.syncPaths || [], delivery.syncDirs || []);
+  } else if (delivery.branch) {
+    await checkoutPrHead(prNumber);
+  }
+  const plan = await planChanges();
 
-      if (newEntries.length > 0) {
-        const newEntriesText = newEntries.join('\n') + '\n';
+  if (!plan.commit || plan.changes.length === 0) {
+    applyChanges(plan.changes);
+    return plan;
+  }
 
-        unreleasedContent = unreleasedContent.slice(0, sectionEndIndex) +
-                            newEntriesText +
-                            unreleasedContent.slice(sectionEndIndex);
+  // Fork PRs: push to the fork when maintainers may edit it, else suggest the change
+  if (delivery.fork) {
+    if (delivery.fork.maintainerCanModify) {
+      try {
+        return await commitChanges(planChanges, prNumber, {
+          remote: delivery.fork.remote, branch: delivery.fork.branch, headSha: delivery.headSha
+        });
+      } catch (error) {
+        core.warning(`Could not push to the fork, suggesting the changelog update instead: ${error.message}`);
       }
-    });
+    }
+    return suggestChanges(planChanges, delivery);
+  }
+  if (delivery.commitMethod === COMMIT_METHODS.API) {
+    return commitViaApi(planChanges, delivery);
+  }
+  return commitChanges(planChanges, prNumber, { branch: delivery.branch, headSha: delivery.headSha });
+}
 
-    // Reconstruct full changelog
-    const newChangelogContent = changelogContent.slice(0, unreleasedIndex) +
-                                unreleasedContent +
-                                restContent;
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-    // Check if content actually changed
-    if (changelogContent === newChangelogContent) {
-      return false; // No changes made
+/**
+ * Commit message for a PR's changelog commit: an update when it adds entries, else a removal.
+ */
+function buildCommitMessage(entriesCount, prNumber) {
+  return entriesCount > 0
+    ? COMMIT_MESSAGES.UPDATE_TEMPLATE.replace('{count}', entriesCount).replace('{prNumber}', prNumber)
+    : COMMIT_MESSAGES.REMOVE_TEMPLATE.replace('{prNumber}', prNumber);
+}
+
+/**
+ * Read files, and the files directly inside directories, at a commit through the API into
+ * memory, without touching the working tree. Returns a snapshot { files, dirs }: files maps
+ * each path to its content (null when missing) and dirs each directory to its file names.
+ */
+async function readFilesAtRef(octokit, owner, repo, ref, filePaths, dirPaths) {
+  const readRemote = async (filePath) => {
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner, repo, path: toRepoPath(filePath), ref, mediaType: { format: 'raw' }
+      });
+      return typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
     }
+  };
 
-    // Write updated changelog
-    fs.writeFileSync(changelogPath, newChangelogContent);
-    
-    return true;
-  } catch (error) {
-    core.error(`Failed to update changelog: ${error.message}`);
-    return false;
+  const snapshot = { files: new Map(), dirs: new Map() };
+  for (const filePath of filePaths) {
+    snapshot.files.set(path.normalize(filePath), await readRemote(filePath));
+  }
+  for (const dirPath of dirPaths) {
+    let listing = [];
+    try {
+      ({ data: listing } = await octokit.rest.repos.getContent({ owner, repo, path: toRepoPath(dirPath), ref }));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    const names = Array.isArray(listing) ? listing.filter(item => item.type === 'file').map(item => item.name) : [];
+    snapshot.dirs.set(path.normalize(dirPath), names);
+    for (const name of names) {
+      const filePath = path.join(dirPath, name);
+      snapshot.files.set(path.normalize(filePath), await readRemote(filePath));
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Mirror files, and the files directly inside directories, from a commit into the working
+ * directory so the update can be planned without a checkout or after the branch moved.
+ * Files missing from the commit are deleted locally.
+ */
+async function syncFilesFromRef(octokit, owner, repo, ref, filePaths, dirPaths) {
+  const snapshot = await readFilesAtRef(octokit, owner, repo, ref, filePaths, dirPaths);
+  const changes = [...snapshot.files].map(([filePath, after]) => ({ path: filePath, after }));
+  for (const dirPath of dirPaths) {
+    const remoteNames = snapshot.dirs.get(path.normalize(dirPath));
+    const localNames = fs.existsSync(dirPath)
+      ? fs.readdirSync(dirPath).filter(name => fs.statSync(path.join(dirPath, name)).isFile())
+      : [];
+    for (const name of localNames.filter(localName => !remoteNames.includes(localName))) {
+      changes.push({ path: path.join(dirPath, name), after: null });
+    }
   }
+  applyChanges(changes);
 }
 
+/**
+ * Create a commit of changes on top of parentSha through the Git Data API, without moving
+ * any branch. Returns the new commit's SHA.
+ */
+async function createApiCommit(octokit, owner, repo, parentSha, changes, message) {
+  const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner, repo,
+    base_tree: parent.tree.sha,
+    tree: changes.map(change => ({
+      path: toRepoPath(change.path),
+      mode: '100644',
+      type: 'blob',
+      // A null sha deletes the file
+      ...(change.after === null ? { sha: null } : { content: change.after })
+    }))
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner, repo, message, tree: tree.sha, parents: [parentSha]
+  });
+  return commit.sha;
+}
 
+/**
+ * Commit planned changes through the Git Data API instead of the git CLI. GitHub creates the
+ * commit on top of the branch head, so it is signed and shows as Verified, and no checkout
+ * or git credentials are needed. delivery.syncPaths and delivery.syncDirs are synced from
+ * the head before every plan; if the branch moves before the ref update, the changes are
+ * planned again on the new head, like commitChanges does. Returns the committed plan.
+ */
+async function commitViaApi(planChanges, delivery, options) {
+  const { octokit, owner, repo, prNumber, branch, syncPaths, syncDirs } = delivery;
+  const maxAttempts = (options && options.maxAttempts) || PUSH_RETRY.MAX_ATTEMPTS;
+  const baseDelayMs = options && options.baseDelayMs !== undefined ? options.baseDelayMs : PUSH_RETRY.BASE_DELAY_MS;
+  const ref = `heads/${branch}`;
 
+  for (let attempt = 1; ; attempt++) {
+    const { data: headRef } = await octokit.rest.git.getRef({ owner, repo, ref });
+    const headSha = headRef.object.sha;
+    await syncFilesFromRef(octokit, owner, repo, headSha, syncPaths || [], syncDirs || []);
 
+    const plan = await planChanges();
+    if (plan.changes.length === 0) {
+      core.info('No changes to commit - changelog is already up to date');
+      return plan;
+    }
 
-async function removeAutoGeneratedEntries(changelogPath, prNumber) {
-  try {
-    if (!fs.existsSync(changelogPath)) {
-      return; // No changelog file to remove from
-    }
-
-    const changelogContent = fs.readFileSync(changelogPath, 'utf8');
-    const lines = changelogContent.split('\n');
-    let updatedContent = '';
-    let entryRemoved = false;
-
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.startsWith(CHANGELOG_STRUCTURE.ENTRY_PREFIX)) {
-        const entryText = trimmedLine.replace(/^- /, '');
-        // Remove entries that contain the PR number (by link or by hash marker)
-        const markerMatch = entryText.match(HASH_MARKER.PATTERN);
-        const hasMarkerForPr = markerMatch && markerMatch[2] === String(prNumber);
-        if (entryText.includes(`[#${prNumber}]`) || hasMarkerForPr) {
-          entryRemoved = true;
-          continue; // Skip this line (remove the entry)
-        }
+    const commitSha = await createApiCommit(
+      octokit, owner, repo, headSha, plan.changes, plan.message || buildCommitMessage(plan.entriesCount, prNumber)
+    );
+
+    try {
+      await octokit.rest.git.updateRef({ owner, repo, ref, sha: commitSha, force: false });
+      applyChanges(plan.changes);
+      core.info(`Committed ${commitSha} to ${branch} through the GitHub API`);
+      return plan;
+    } catch (error) {
+      // 422: not a fast-forward, the contributor pushed in the meantime
+      if (error.status !== 422 || attempt >= maxAttempts) {
+        throw new Error(`Updating ${branch} failed after ${attempt} attempt(s): ${error.message}`);
       }
-      updatedContent += line + '\n';
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      core.warning(`${branch} moved during the update (attempt ${attempt} of ${maxAttempts}); retrying on the latest branch head in ${delayMs} ms`);
+      await sleep(delayMs);
     }
+  }
+}
 
-    if (entryRemoved) {
-      fs.writeFileSync(changelogPath, updatedContent.trim());
-      core.info(`Auto-generated entry for PR #${prNumber} removed from changelog`);
+async function configureGitUser() {
+  await exec.exec('git', ['config', 'user.name', GIT_CONFIG.USER_NAME]);
+  await exec.exec('git', ['config', 'user.email', GIT_CONFIG.USER_EMAIL]);
+}
 
-      // Commit the removal with the same identifiable format
-      await commitChanges(changelogPath, 0, prNumber);
-    }
-  } catch (error) {
-    core.error(`Failed to remove auto-generated entry for PR #${prNumber}: ${error.message}`);
+/**
+ * Fetch a branch and return the commit it points to (left in FETCH_HEAD).
+ */
+async function fetchBranchHead(remote, branch) {
+  await exec.exec('git', ['fetch', remote, branch]);
+  const { stdout } = await exec.getExecOutput('git', ['rev-parse', 'FETCH_HEAD']);
+  return stdout.trim();
+}
+
+/**
+ * Commit planned changes to a branch of this repository with the configured commit-method,
+ * for the modes that commit to the target branch rather than to a PR. planChanges returns
+ * { changes, message } and is planned again on the new head when the branch moves before
+ * the push. options: { commitMethod, octokit, owner, repo, branch, syncPaths, syncDirs },
+ * the sync lists naming what the plan reads when committing through the API.
+ * Returns the plan that was committed.
+ */
+async function commitToBranch(planChanges, options) {
+  const { commitMethod, octokit, owner, repo, branch, syncPaths, syncDirs } = options;
+  if (commitMethod === COMMIT_METHODS.API) {
+    return commitViaApi(planChanges, { octokit, owner, repo, branch, syncPaths, syncDirs });
   }
+  return commitChanges(planChanges, null, { branch });
+}
+
+/**
+ * Bring what a target-branch mode reads up to date with the branch head without committing:
+ * checked out with the git method, synced through the API with the api method. Takes the
+ * options of commitToBranch.
+ */
+async function loadTargetBranch(options) {
+  const { commitMethod, octokit, owner, repo, branch, syncPaths, syncDirs } = options;
+  if (commitMethod === COMMIT_METHODS.API) {
+    const { data: headRef } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    await syncFilesFromRef(octokit, owner, repo, headRef.object.sha, syncPaths || [], syncDirs || []);
+    return;
+  }
+  await exec.exec('git', ['fetch', 'origin', branch]);
+  await exec.exec('git', ['checkout', '-B', branch, 'FETCH_HEAD']);
+}
+
+/**
+ * Read the commit a branch points to on a remote, without fetching it.
+ */
+async function readRemoteHead(remote, branch) {
+  const { stdout } = await exec.getExecOutput('git', ['ls-remote', remote, `refs/heads/${branch}`]);
+  return stdout.trim().split(/\s+/)[0] || null;
 }
 
-async function commitChanges(changelogPath, entriesCount, prNumber) {
+/**
+ * Commit and push planned changelog changes to the PR branch. planChanges is called on the
+ * branch tip and returns { changes, entriesCount }, plus a message to use instead of the
+ * update one. The branch is fetched and checked out
+ * explicitly, and the push only goes ahead if the remote branch still points to the commit
+ * the changes were planned on. If it moved, or the push is rejected, the branch is reset to
+ * the remote head and the changes are planned again on the fresh content, with bounded
+ * attempts and exponential backoff.
+ * options.branch is the PR head branch (from the pulled PR; the pull_request payload is
+ * only a fallback), options.headSha the head the run was triggered for, and
+ * options.remote pushes to a fork's head branch instead of origin.
+ * Returns the plan that was pushed.
+ */
+async function commitChanges(planChanges, prNumber, options) {
+  const maxAttempts = (options && options.maxAttempts) || PUSH_RETRY.MAX_ATTEMPTS;
+  const baseDelayMs = options && options.baseDelayMs !== undefined ? options.baseDelayMs : PUSH_RETRY.BASE_DELAY_MS;
+  const remote = (options && options.remote) || 'origin';
   try {
     // Configure git
-    await exec.exec('git', ['config', 'user.name', GIT_CONFIG.USER_NAME]);
-    await exec.exec('git', ['config', 'user.email', GIT_CONFIG.USER_EMAIL]);
-    
-    // Get the current branch name from the PR
-    const context = github.context;
-    const branchName = context.payload.pull_request.head.ref;
-    
-    // Checkout the PR branch if we're in detached HEAD
-    try {
-      await exec.exec('git', ['checkout', branchName]);
-    } catch (error) {
-      core.warning(`Could not checkout branch ${branchName}, trying to create it: ${error.message}`);
-      // Try to create the branch if it doesn't exist
-      await exec.exec('git', ['checkout', '-b', branchName]);
+    await configureGitUser();
+
+    const pullRequest = github.context.payload.pull_request;
+    const branchName = (options && options.branch) || (pullRequest && pullRequest.head.ref);
+    if (!branchName) {
+      throw new Error(`Cannot determine the head branch of PR #${prNumber}`);
     }
-    
-    // Check if there are any changes to commit
-    const { stdout: status } = await exec.getExecOutput('git', ['status', '--porcelain', changelogPath]);
-    
-    if (!status.trim()) {
-      core.info('No changes to commit - changelog is already up to date');
-      return;
+
+    // Check out the branch tip as the remote has it, whatever the workflow checked out
+    let baseSha = await fetchBranchHead(remote, branchName);
+    await exec.exec('git', ['checkout', '-B', branchName, 'FETCH_HEAD']);
+    if (options && options.headSha && options.headSha !== baseSha) {
+      core.info(`${branchName} moved from ${options.headSha} to ${baseSha} since the run started; planning on ${baseSha}`);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const plan = await planChanges();
+      applyChanges(plan.changes);
+      const paths = plan.changes.map(change => change.path);
+
+      // Check if there are any changes to commit
+      const { stdout: status } = paths.length > 0
+        ? await exec.getExecOutput('git', ['status', '--porcelain', '--', ...paths])
+        : { stdout: '' };
+
+      if (!status.trim()) {
+        core.info('No changes to commit - changelog is already up to date');
+        return plan;
+      }
+
+      // Add (including deletions) and commit changes
+      await exec.exec('git', ['add', '--all', '--', ...paths]);
+
+      await exec.exec('git', ['commit', '-m', plan.message || buildCommitMessage(plan.entriesCount, prNumber)]);
+
+      // Push only onto the head the changes were planned on; a moved head or a rejected
+      // push means the contributor pushed in the meantime
+      const remoteHead = await readRemoteHead(remote, branchName);
+      let failure;
+      if (remoteHead !== baseSha) {
+        failure = `${branchName} moved to ${remoteHead || 'nothing'} before the push`;
+      } else {
+        const push = await exec.getExecOutput('git', ['push', remote, branchName], { ignoreReturnCode: true });
+        if (push.exitCode === 0) return plan;
+        if (!PUSH_RETRY.REJECTED_PATTERN.test(push.stderr)) {
+          throw new Error(`git push to ${branchName} failed after ${attempt} attempt(s): ${push.stderr.trim()}`);
+        }
+        failure = `Push to ${branchName} was rejected`;
+      }
+
+      if (attempt >= maxAttempts) {
+        throw new Error(`git push to ${branchName} failed after ${attempt} attempt(s): ${failure}`);
+      }
+
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      core.warning(`${failure} (attempt ${attempt} of ${maxAttempts}); retrying on the latest branch head in ${delayMs} ms`);
+      await sleep(delayMs);
+      baseSha = await fetchBranchHead(remote, branchName);
+      await exec.exec('git', ['reset', '--hard', 'FETCH_HEAD']);
     }
-    
-    // Add and commit changes
-    await exec.exec('git', ['add', changelogPath]);
-    
-    const commitMessage = entriesCount > 0 
-      ? COMMIT_MESSAGES.UPDATE_TEMPLATE.replace('{count}', entriesCount).replace('{prNumber}', prNumber)
-      : COMMIT_MESSAGES.REMOVE_TEMPLATE.replace('{prNumber}', prNumber);
-    
-    await exec.exec('git', ['commit', '-m', commitMessage]);
-    
-    // Push changes
-    await exec.exec('git', ['push', 'origin', branchName]);
   } catch (error) {
     core.error(`Failed to commit changes: ${error.message}`);
     throw error;
@@ -813,25 +4186,110 @@ if (require.main === module) {
 
 // Export functions for testing
 module.exports = {
+  run,
   parseConventionalCommit,
+  parseBreakingChange,
+  parseClosingIssues,
+  fetchClosingIssues,
   parseChangelogComment,
+  parseChangelogEntries,
+  parseChangelogLines,
+  buildEntryFromText,
+  buildTitleEntry,
+  extractCommitEntries,
+  collectPrAuthors,
+  findNewContributors,
+  buildChangelogConfig,
+  validateChangelogConfig,
+  loadChangelogConfig,
+  findSectionInsertIndex,
+  entrySortKeys,
+  unreleasedPrNumbers,
+  fetchMergeTimes,
+  globToRegExp,
+  routeEntriesToChangelogs,
+  changedSourceFiles,
   computeEntryHash,
   buildMarkedEntry,
+  matchPrEntry,
   detectEntryState,
+  detectEntryStates,
+  summarizeEntryStates,
   parseCommentCommands,
+  authorizeCommenter,
+  filterAuthorizedComments,
+  isBotComment,
+  isBotLogin,
+  commentEventHasCommand,
+  reconcileComments,
+  classifyCommentCommand,
+  buildCommandFeedback,
   shouldSkipChangelog,
   resolveEntryAction,
+  applyEntryModifiers,
+  commandOverridesSkip,
+  lintChangelogEntry,
+  resolveReleaseVersion,
+  promoteUnreleased,
+  runRelease,
+  runAssemble,
+  compareVersions,
+  validateChangelog,
+  runValidate,
+  releasedPrNumbers,
+  resolveBackfillSince,
+  listMergedPullRequests,
+  runBackfill,
+  renderTemplate,
+  formatEntryLine,
+  formatSectionHeading,
+  renderChangelog,
   updateChangelog,
+  removePrEntries,
+  renderNewContributors,
   removeAutoGeneratedEntries,
+  fragmentFileName,
+  serializeFragment,
+  parseFragment,
+  readFragments,
+  detectFragmentStates,
+  planFragmentChanges,
+  planFragmentAssembly,
+  buildChangeDiff,
+  buildPreviewComment,
+  isForkPr,
+  buildSuggestion,
+  toRepoPath,
+  readChangelog,
+  deliverChanges,
+  commitChanges,
+  commitViaApi,
   ENTRY_STATE,
+  ENTRY_SORT,
+  VALIDATION_PROBLEMS,
+  BACKFILL_DELIVERY,
   BEHAVIOR_MODES,
+  ACTION_MODES,
+  ENTRY_SOURCES,
+  COMMIT_MODES,
+  COMMIT_METHODS,
+  STORAGE_MODES,
+  FRAGMENTS,
+  PREVIEW_COMMENT_MARKER,
+  SUGGESTION_COMMENT_MARKER,
   HASH_MARKER,
   SKIP_PATTERNS,
   COMMENT_COMMANDS,
+  ENTRY_MODIFIERS,
+  COMMAND_REACTIONS,
+  DEFAULT_ALLOWED_ASSOCIATIONS,
+  parseAllowedAssociations,
   CHECKBOX_STATES,
   CHANGELOG_STRUCTURE,
   CHANGELOG_TEMPLATE,
   DEFAULT_SECTIONS,
+  DEFAULT_TEMPLATES,
   ENTRY_TYPES,
-  COMMIT_TYPE_MAPPING
+  COMMIT_TYPE_MAPPING,
+  LABEL_SECTION_MAPPING
 };
@@ -1,22 +1,103 @@
 const {
+  run,
   parseConventionalCommit,
+  parseBreakingChange,
+  parseClosingIssues,
+  fetchClosingIssues,
   parseChangelogComment,
+  parseChangelogEntries,
+  parseChangelogLines,
+  extractCommitEntries,
+  collectPrAuthors,
+  findNewContributors,
+  buildTitleEntry,
+  buildEntryFromText,
+  buildChangelogConfig,
+  validateChangelogConfig,
+  loadChangelogConfig,
+  findSectionInsertIndex,
+  entrySortKeys,
+  unreleasedPrNumbers,
+  fetchMergeTimes,
+  globToRegExp,
+  routeEntriesToChangelogs,
+  changedSourceFiles,
   computeEntryHash,
   buildMarkedEntry,
+  matchPrEntry,
   detectEntryState,
+  detectEntryStates,
+  summarizeEntryStates,
   parseCommentCommands,
+  authorizeCommenter,
+  parseAllowedAssociations,
+  filterAuthorizedComments,
+  isBotComment,
+  commentEventHasCommand,
+  reconcileComments,
+  classifyCommentCommand,
+  buildCommandFeedback,
   shouldSkipChangelog,
   resolveEntryAction,
+  applyEntryModifiers,
+  commandOverridesSkip,
+  lintChangelogEntry,
+  resolveReleaseVersion,
+  promoteUnreleased,
+  runRelease,
+  runAssemble,
+  renderTemplate,
+  formatEntryLine,
+  formatSectionHeading,
+  renderChangelog,
   updateChangelog,
+  removePrEntries,
+  renderNewContributors,
+  fragmentFileName,
+  serializeFragment,
+  parseFragment,
+  detectFragmentStates,
+  planFragmentChanges,
+  planFragmentAssembly,
+  buildChangeDiff,
+  buildPreviewComment,
+  isForkPr,
+  buildSuggestion,
+  toRepoPath,
+  readChangelog,
+  deliverChanges,
+  commitChanges,
+  commitViaApi,
+  COMMIT_METHODS,
   ENTRY_STATE,
   BEHAVIOR_MODES,
+  ACTION_MODES,
   HASH_MARKER,
+  PREVIEW_COMMENT_MARKER,
+  SUGGESTION_COMMENT_MARKER,
   COMMENT_COMMANDS,
+  COMMAND_REACTIONS,
+  DEFAULT_SECTIONS,
+  DEFAULT_TEMPLATES,
+  ENTRY_TYPES,
+  ENTRY_SORT,
+  VALIDATION_PROBLEMS,
+  compareVersions,
+  validateChangelog,
+  runValidate,
+  releasedPrNumbers,
+  resolveBackfillSince,
+  listMergedPullRequests,
+  runBackfill,
+  BACKFILL_DELIVERY,
   COMMIT_TYPE_MAPPING
 } = require('./index');
+const { parseChangelog } = require('./changelog-document');
 
 const fs = require('fs');
 const path = require('path');
+const exec = require('@actions/exec');
+const github = require('@actions/github');
 
 // ─── parseConventionalCommit ────────────────────────────────────────────────
 describe('parseConventionalCommit', () => {
@@ -46,6 +127,51 @@ describe('parseConventionalCommit', () => {
     const result = parseConventionalCommit('feat!: breaking change', mockPr, 4);
     expect(result).toBeTruthy();
     expect(result.type).toBe('feat');
+    expect(result.breaking).toBe(true);
+    expect(result.section).toBe(DEFAULT_SECTIONS.BREAKING);
+  });
+
+  test('handles breaking change marker after scope', () => {
+    const result = parseConventionalCommit('fix(api)!: drop v1 routes', mockPr, 4);
+    expect(result.scope).toBe('api');
+    expect(result.description).toBe('drop v1 routes');
+    expect(result.breaking).toBe(true);
+  });
+
+  test('non-breaking entries are flagged as such', () => {
+    const result = parseConventionalCommit('feat: normal change', mockPr, 4);
+    expect(result.breaking).toBe(false);
+    expect(result.breakingNote).toBeNull();
+    expect(result.section).toBe('Features');
+  });
+
+  test('BREAKING CHANGE footer in PR body marks entry as breaking', () => {
+    const pr = { ...mockPr, body: 'Details\n\nBREAKING CHANGE: config moved to .github/' };
+    const result = parseConventionalCommit('feat(config): new loader', pr, 4);
+    expect(result.breaking).toBe(true);
+    expect(result.breakingNote).toBe('config moved to .github/');
+    expect(result.section).toBe(DEFAULT_SECTIONS.BREAKING);
+  });
+
+  test('custom texts ignore the PR body footer and use ! instead', () => {
+    const pr = { ...mockPr, body: '/changelog: feat: add search\n/changelog: feat!: drop v1\n\nBREAKING CHANGE: config moved to .github/' };
+    const [search, drop] = parseChangelogLines(pr.body, '/changelog:').map(text => buildEntryFromText(text, pr, 4));
+    expect(search).toMatchObject({ breaking: false, breakingNote: null, section: 'Features' });
+    expect(drop).toMatchObject({ breaking: true, breakingNote: null, section: DEFAULT_SECTIONS.BREAKING });
+    expect(buildTitleEntry({ ...pr, title: 'feat: new loader' }, 4).breakingNote).toBe('config moved to .github/');
+  });
+
+  test('supports custom types from config', () => {
+    const config = buildChangelogConfig({ typeMapping: { security: 'Security' } });
+    const result = parseConventionalCommit('security(deps): bump openssl', mockPr, 6, config);
+    expect(result.type).toBe('security');
+    expect(result.section).toBe('Security');
+  });
+
+  test('flags hidden types from config', () => {
+    const config = buildChangelogConfig({ typeMapping: { chore: null } });
+    expect(parseConventionalCommit('chore: tidy', mockPr, 6, config).hidden).toBe(true);
+    expect(parseConventionalCommit('chore!: drop node 18', mockPr, 6, config).hidden).toBe(false);
   });
 
   test('maps all known commit types', () => {
@@ -58,6 +184,465 @@ describe('parseConventionalCommit', () => {
   });
 });
 
+// ─── buildTitleEntry ────────────────────────────────────────────────────────
+describe('buildTitleEntry', () => {
+  const pr = (title, labels = []) => ({ title, labels, html_url: 'https://github.com/o/r/pull/30' });
+
+  test('uses the conventional title when it parses', () => {
+    const entry = buildTitleEntry(pr('fix: crash', [{ name: 'enhancement' }]), 30);
+    expect(entry.type).toBe('fix');
+    expect(entry.section).toBe('Bug Fixes');
+  });
+
+  test('falls back to the first mapped label for non-conventional titles', () => {
+    const entry = buildTitleEntry(pr('Crash when saving', [{ name: 'triage' }, { name: 'Bug' }]), 30);
+    expect(entry.type).toBe(ENTRY_TYPES.LABEL);
+    expect(entry.label).toBe('bug');
+    expect(entry.description).toBe('Crash when saving');
+    expect(entry.section).toBe('Bug Fixes');
+  });
+
+  test('uses configured label mappings and ignores disabled ones', () => {
+    const config = validateChangelogConfig({ labels: { 'area/i18n': 'Translations', bug: false } }, 'config');
+    expect(buildTitleEntry(pr('Add Polish', ['area/i18n']), 30, config).section).toBe('Translations');
+    expect(buildTitleEntry(pr('Crash', ['bug']), 30, config)).toBeNull();
+  });
+
+  test('files the raw title under the default section with title-fallback', () => {
+    const config = validateChangelogConfig({ 'title-fallback': true }, 'config');
+    const entry = buildTitleEntry(pr('Update things'), 30, config);
+    expect(entry.type).toBe(ENTRY_TYPES.TITLE);
+    expect(entry.section).toBe(DEFAULT_SECTIONS.CHANGES);
+  });
+
+  test('returns null when nothing applies', () => {
+    expect(buildTitleEntry(pr('Update things', [{ name: 'triage' }]), 30)).toBeNull();
+  });
+});
+
+// ─── extractCommitEntries ───────────────────────────────────────────────────
+describe('extractCommitEntries', () => {
+  const mockPr = { html_url: 'https://github.com/owner/repo/pull/20', body: 'BREAKING CHANGE: from PR body' };
+  const commit = (sha, message, parents = 1) => ({
+    sha,
+    commit: { message },
+    parents: Array.from({ length: parents }, (_, i) => ({ sha: `p${i}` }))
+  });
+
+  test('creates one entry per conventional commit', () => {
+    const entries = extractCommitEntries([
+      commit('a1', 'feat(api): add endpoint'),
+      commit('b2', 'fix: handle timeout\n\nlonger body')
+    ], mockPr, 20);
+    expect(entries.map(e => [e.type, e.section, e.sha])).toEqual([
+      ['feat', 'Features', 'a1'],
+      ['fix', 'Bug Fixes', 'b2']
+    ]);
+  });
+
+  test('ignores non-conventional, auto-changelog, merge and fixup commits', () => {
+    const entries = extractCommitEntries([
+      commit('a1', 'wip'),
+      commit('b2', '[AUTO-CHANGELOG] chore: update changelog with 1 new entries for PR #20'),
+      commit('c3', 'Merge branch \'main\' into feature'),
+      commit('d4', 'feat: merged through two parents', 2),
+      commit('e5', 'fixup! feat: add endpoint'),
+      commit('f6', 'docs: update guide')
+    ], mockPr, 20);
+    expect(entries.map(e => e.sha)).toEqual(['f6']);
+  });
+
+  test('de-duplicates commits that produce the same entry', () => {
+    const entries = extractCommitEntries([
+      commit('a1', 'feat(api): add endpoint'),
+      commit('b2', 'feat(API): Add endpoint')
+    ], mockPr, 20);
+    expect(entries).toHaveLength(1);
+  });
+
+  test('reads breaking change footers from the commit body, not the PR body', () => {
+    const entries = extractCommitEntries([
+      commit('a1', 'feat: add endpoint'),
+      commit('b2', 'refactor: new config\n\nBREAKING CHANGE: config file moved')
+    ], mockPr, 20);
+    expect(entries[0].breaking).toBe(false);
+    expect(entries[1].breaking).toBe(true);
+    expect(entries[1].breakingNote).toBe('config file moved');
+    expect(entries[1].prUrl).toBe(mockPr.html_url);
+  });
+
+  test('handles empty and missing commit lists', () => {
+    expect(extractCommitEntries([], mockPr, 20)).toEqual([]);
+    expect(extractCommitEntries(undefined, mockPr, 20)).toEqual([]);
+  });
+});
+
+// ─── Closing issues ─────────────────────────────────────────────────────────
+describe('closing issues', () => {
+  const prUrl = 'https://github.com/owner/repo/pull/45';
+
+  test('parses closing keywords, cross-repo references and issue URLs', () => {
+    const body = 'Fixes #12 and closes: other/lib#34.\nResolves https://github.com/owner/repo/issues/7\n' +
+      'Refs #99, fixes #12 again';
+    expect(parseClosingIssues(body, prUrl)).toEqual([
+      { reference: '#12', url: 'https://github.com/owner/repo/issues/12' },
+      { reference: 'other/lib#34', url: 'https://github.com/other/lib/issues/34' },
+      { reference: '#7', url: 'https://github.com/owner/repo/issues/7' }
+    ]);
+    expect(parseClosingIssues('Fixed OWNER/REPO#3', prUrl)).toEqual([
+      { reference: '#3', url: 'https://github.com/OWNER/REPO/issues/3' }
+    ]);
+    expect(parseClosingIssues('prefix #12, suffixes #3', prUrl)).toEqual([]);
+    expect(parseClosingIssues(null, prUrl)).toEqual([]);
+  });
+
+  test('adds the issues to conventional, manual and title entries', () => {
+    const pr = { html_url: prUrl, title: 'Add search', body: 'Closes #12' };
+    const link = { reference: '#12', url: 'https://github.com/owner/repo/issues/12' };
+    expect(parseConventionalCommit('feat: add search', pr, 45).issues).toEqual([link]);
+    expect(parseChangelogComment('/changelog: Add search', '/changelog:', pr, 45).issues).toEqual([link]);
+    expect(buildTitleEntry(pr, 45, buildChangelogConfig({ titleFallback: true })).issues).toEqual([link]);
+  });
+
+  test('renders closed issues after the PR link', () => {
+    const entry = {
+      description: 'add search',
+      prNumber: 45,
+      prUrl: 'url',
+      issues: [{ reference: '#12', url: 'url12' }, { reference: 'org/repo#34', url: 'url34' }]
+    };
+    expect(formatEntryLine(entry, false)).toBe('- add search ([#45](url), closes [#12](url12), [org/repo#34](url34))');
+    expect(formatEntryLine({ ...entry, issues: [] }, false)).toBe('- add search ([#45](url))');
+  });
+
+  test('fetches linked issues through GraphQL', async () => {
+    const octokit = {
+      graphql: jest.fn(async () => ({
+        repository: {
+          pullRequest: {
+            closingIssuesReferences: {
+              nodes: [
+                { number: 12, url: 'https://github.com/owner/repo/issues/12', repository: { nameWithOwner: 'owner/repo' } },
+                { number: 34, url: 'https://github.com/org/lib/issues/34', repository: { nameWithOwner: 'org/lib' } }
+              ]
+            }
+          }
+        }
+      }))
+    };
+    expect(await fetchClosingIssues(octokit, 'owner', 'repo', 45)).toEqual([
+      { reference: '#12', url: 'https://github.com/owner/repo/issues/12' },
+      { reference: 'org/lib#34', url: 'https://github.com/org/lib/issues/34' }
+    ]);
+    expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('closingIssuesReferences'), { owner: 'owner', repo: 'repo', number: 45 });
+  });
+
+  test('fragments keep the closed issues', () => {
+    const issues = [{ reference: '#12', url: 'https://github.com/owner/repo/issues/12' }];
+    const content = serializeFragment({ type: 'feat', description: 'add search', prNumber: 45, prUrl, section: 'Features', issues }, {});
+    expect(parseFragment(content, '45.md').entry.issues).toEqual(issues);
+  });
+
+  test('issue links are opt-in', () => {
+    expect(buildChangelogConfig().linkIssues).toBe(false);
+    expect(validateChangelogConfig({ 'link-issues': true }, 'config').linkIssues).toBe(true);
+    expect(validateChangelogConfig({ 'link-issues': false }, 'config').linkIssues).toBe(false);
+  });
+});
+
+// ─── Contributor credits ────────────────────────────────────────────────────
+describe('contributor credits', () => {
+  const pr = { user: { login: 'octocat' } };
+  const commit = (sha, message, login, email) => ({
+    sha, commit: { message, author: { email: email || `${login}@example.com` } }, author: login ? { login } : null
+  });
+
+  test('credits the PR author and co-authors, without bots or duplicates', () => {
+    const commits = [
+      commit('a1', 'feat: add search\n\nCo-authored-by: Mona Lisa <583231+monalisa@users.noreply.github.com>', 'octocat'),
+      commit('a2', 'fix: typo\n\nCo-authored-by: Hubot <hubot@example.com>\nco-authored-by: Octo Cat <octocat@example.com>', 'hubot'),
+      commit('a3', 'chore: bump\n\nCo-authored-by: dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>', null),
+      commit('a4', 'docs: readme\n\nCo-authored-by: Stranger <stranger@example.com>', null)
+    ];
+    expect(collectPrAuthors(pr, commits)).toEqual(['octocat', 'monalisa', 'hubot']);
+    expect(collectPrAuthors({ user: { login: 'dependabot[bot]' } }, [])).toEqual([]);
+  });
+
+  test('renders credits in the default entry template only when set', () => {
+    const entry = { description: 'add search', prNumber: 5, prUrl: 'url', author: 'octocat' };
+    expect(formatEntryLine(entry, false)).toBe('- add search ([#5](url))');
+    expect(formatEntryLine({ ...entry, credits: ['octocat', 'monalisa', 'hubot'] }, false))
+      .toBe('- add search by @octocat, @monalisa and @hubot ([#5](url))');
+  });
+
+  test('finds first-time contributors with the commit search API', async () => {
+    const octokit = {
+      rest: {
+        search: {
+          commits: jest.fn(async ({ q }) => {
+            if (q.endsWith('author:veteran')) return { data: { total_count: 2, items: [{ sha: 'old' }, { sha: 'a1' }] } };
+            if (q.endsWith('author:broken')) throw new Error('rate limited');
+            return { data: { total_count: 1, items: [{ sha: 'a1' }] } };
+          })
+        }
+      }
+    };
+    jest.spyOn(require('@actions/core'), 'warning').mockImplementation(() => {});
+
+    const newcomers = await findNewContributors(octokit, 'o', 'r', ['octocat', 'veteran', 'broken'], new Set(['a1']));
+    expect(newcomers).toEqual(['octocat']);
+    expect(octokit.rest.search.commits).toHaveBeenCalledWith({ q: 'repo:o/r author:octocat', per_page: 100 });
+    jest.restoreAllMocks();
+  });
+
+  test('maintains the New Contributors subsection at the end of Unreleased', () => {
+    const changelog = '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- add search ([#5](url5))\n\n## [1.0.0] - 2024-01-01\n\n### Fixes\n- old\n';
+    const first = renderNewContributors(changelog, 5, 'url5', ['octocat'], undefined);
+    expect(first).toBe(
+      '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- add search ([#5](url5))\n\n' +
+      '### New Contributors\n\n- @octocat made their first contribution in [#5](url5) <!-- ac:contributor:5 -->\n' +
+      '\n## [1.0.0] - 2024-01-01\n\n### Fixes\n- old\n'
+    );
+    // Contributor lines are not mistaken for the PR's changelog entries
+    expect(detectEntryStates(first, 5).map(found => found.state)).toEqual([ENTRY_STATE.MANUAL]);
+
+    const second = renderNewContributors(first, 6, 'url6', ['monalisa'], undefined);
+    expect(second).toContain('<!-- ac:contributor:5 -->\n- @monalisa made their first contribution in [#6](url6)');
+    expect(renderNewContributors(first, 5, 'url5', ['octocat'], undefined)).toBe(first);
+    expect(renderNewContributors(first, 5, 'url5', [], undefined)).toBe(changelog);
+  });
+
+  test('releases keep the subsection without markers', () => {
+    const changelog = renderNewContributors('# Changelog\n\n## [Unreleased]\n\n### Features\n- add search ([#5](url5))\n', 5, 'url5', ['octocat']);
+    const released = promoteUnreleased(changelog, '1.1.0', '2024-02-01');
+    expect(released).toContain('### New Contributors\n- @octocat made their first contribution in [#5](url5)\n');
+    expect(released).not.toContain('ac:contributor');
+  });
+
+  test('config enables credits and the New Contributors subsection', () => {
+    const config = validateChangelogConfig({ 'credit-authors': true, 'new-contributors': true }, 'config');
+    expect(config).toMatchObject({ creditAuthors: true, newContributors: true });
+    expect(buildChangelogConfig()).toMatchObject({ creditAuthors: false, newContributors: false });
+    expect(() => validateChangelogConfig({ 'credit-authors': 'yes' }, 'config')).toThrow('"credit-authors" must be true or false');
+  });
+});
+
+// ─── changelog config ───────────────────────────────────────────────────────
+describe('validateChangelogConfig', () => {
+  const source = '.github/changelog.yml';
+
+  test('returns defaults for an empty config', () => {
+    expect(validateChangelogConfig(null, source)).toEqual(buildChangelogConfig());
+  });
+
+  test('merges custom types, renames and hides over defaults', () => {
+    const config = validateChangelogConfig({
+      types: { security: 'Security', feat: 'New Features', chore: false }
+    }, source);
+    expect(config.typeMapping.security).toBe('Security');
+    expect(config.typeMapping.feat).toBe('New Features');
+    expect(config.typeMapping.chore).toBeNull();
+    expect(config.typeMapping.fix).toBe('Bug Fixes');
+  });
+
+  test('accepts default-section, breaking-section and section-order', () => {
+    const config = validateChangelogConfig({
+      'default-section': 'Other',
+      'breaking-section': 'Breaking',
+      'section-order': ['Breaking', 'Features']
+    }, source);
+    expect(config.defaultSection).toBe('Other');
+    expect(config.breakingSection).toBe('Breaking');
+    expect(config.sectionOrder).toEqual(['Breaking', 'Features']);
+  });
+
+  test('normalizes packages', () => {
+    const config = validateChangelogConfig({
+      packages: [
+        { name: 'api', path: 'packages/api/**', changelog: 'packages/api/CHANGELOG.md', scopes: ['API'] },
+        { name: 'web', path: ['apps/web', 'shared/ui/**'], changelog: 'apps/web/CHANGELOG.md' }
+      ]
+    }, source);
+    expect(config.packages).toEqual([
+      { name: 'api', paths: ['packages/api/**'], changelog: 'packages/api/CHANGELOG.md', scopes: ['api'] },
+      { name: 'web', paths: ['apps/web', 'shared/ui/**'], changelog: 'apps/web/CHANGELOG.md', scopes: [] }
+    ]);
+  });
+
+  test('reports invalid packages', () => {
+    expect(() => validateChangelogConfig({ packages: [{ name: 'api' }] }, source))
+      .toThrow(/packages\[0\]"\.path must be a path glob[\s\S]*packages\[0\]"\.changelog/);
+    expect(() => validateChangelogConfig({
+      packages: [
+        { name: 'api', path: 'a', changelog: 'a/CHANGELOG.md' },
+        { name: 'api', path: 'b', changelog: 'b/CHANGELOG.md' }
+      ]
+    }, source)).toThrow('used by more than one package');
+  });
+
+  test('rejects invalid labels and title-fallback', () => {
+    expect(() => validateChangelogConfig({ labels: { bug: 1 }, 'title-fallback': 'yes' }, source))
+      .toThrow(/"labels\.bug"[\s\S]*"title-fallback" must be true or false/);
+  });
+
+  test('rejects a non-mapping root', () => {
+    expect(() => validateChangelogConfig(['feat'], source)).toThrow('expected a mapping');
+  });
+
+  test('reports every problem in one error', () => {
+    let error;
+    try {
+      validateChangelogConfig({
+        typos: {},
+        types: { 'bad type': 'X', docs: 3 },
+        'default-section': '',
+        'section-order': ['A', 'A']
+      }, source);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toContain(`Invalid changelog config in ${source}`);
+    expect(error.message).toContain('unknown key "typos"');
+    expect(error.message).toContain('"types.bad type"');
+    expect(error.message).toContain('"types.docs"');
+    expect(error.message).toContain('"default-section" must be a non-empty string');
+    expect(error.message).toContain('lists A more than once');
+  });
+});
+
+describe('loadChangelogConfig', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-config');
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parses a YAML config file', () => {
+    const file = path.join(tmpDir, 'changelog.yml');
+    fs.writeFileSync(file, 'types:\n  deps: Dependencies\n  ci: false\n');
+    const config = loadChangelogConfig(file);
+    expect(config.typeMapping.deps).toBe('Dependencies');
+    expect(config.typeMapping.ci).toBeNull();
+  });
+
+  test('parses a JSON config file', () => {
+    const file = path.join(tmpDir, 'changelog.json');
+    fs.writeFileSync(file, JSON.stringify({ 'default-section': 'Misc' }));
+    expect(loadChangelogConfig(file).defaultSection).toBe('Misc');
+  });
+
+  test('throws when an explicit path does not exist', () => {
+    expect(() => loadChangelogConfig(path.join(tmpDir, 'missing.yml'))).toThrow('not found');
+  });
+
+  test('throws a clear error for malformed files', () => {
+    const file = path.join(tmpDir, 'changelog.json');
+    fs.writeFileSync(file, '{ not json');
+    expect(() => loadChangelogConfig(file)).toThrow('Could not parse changelog config');
+  });
+});
+
+describe('globToRegExp', () => {
+  test.each([
+    ['packages/api/**', 'packages/api/src/index.js', true],
+    ['packages/api/**', 'packages/apiv2/index.js', false],
+    ['packages/api', 'packages/api/README.md', true],
+    ['./packages/api/', 'packages/api/README.md', true],
+    ['packages/*/src/*.js', 'packages/web/src/app.js', true],
+    ['packages/*/src/*.js', 'packages/web/src/lib/app.js', false],
+    ['**/*.md', 'README.md', true],
+    ['**/*.md', 'docs/guide/setup.md', true],
+    ['docs/?.md', 'docs/a.md', true]
+  ])('%s matches %s: %s', (glob, file, expected) => {
+    expect(globToRegExp(glob).test(file)).toBe(expected);
+  });
+});
+
+describe('routeEntriesToChangelogs', () => {
+  const packages = [
+    { name: 'api', paths: ['packages/api/**'], changelog: 'packages/api/CHANGELOG.md', scopes: ['api'] },
+    { name: 'web', paths: ['packages/web/**'], changelog: 'packages/web/CHANGELOG.md', scopes: [] }
+  ];
+  const entry = scope => ({ scope, description: 'x', prNumber: 1, section: 'Features' });
+
+  test('routes everything to the root changelog without packages', () => {
+    const routes = routeEntriesToChangelogs([entry(null)], ['src/a.js'], [], 'CHANGELOG.md');
+    expect(Object.keys(routes)).toEqual(['CHANGELOG.md']);
+  });
+
+  test('routes to every package touched by the changed files', () => {
+    const routes = routeEntriesToChangelogs([entry(null)], ['packages/api/a.js', 'packages/web/b.js'], packages, 'CHANGELOG.md');
+    expect(Object.keys(routes)).toEqual(['packages/api/CHANGELOG.md', 'packages/web/CHANGELOG.md']);
+  });
+
+  test('a matching scope picks the package regardless of changed files', () => {
+    const routes = routeEntriesToChangelogs([entry('API')], ['packages/web/b.js'], packages, 'CHANGELOG.md');
+    expect(Object.keys(routes)).toEqual(['packages/api/CHANGELOG.md']);
+  });
+
+  test('falls back to the root changelog when no package is touched', () => {
+    const routes = routeEntriesToChangelogs([entry('docs')], ['README.md'], packages, 'CHANGELOG.md');
+    expect(routes['CHANGELOG.md']).toHaveLength(1);
+  });
+
+  test('ignores the changelogs and fragments the action wrote to the PR', () => {
+    const files = [
+      { filename: 'packages/api/CHANGELOG.md' },
+      { filename: '.changelog/unreleased/7.md' },
+      { filename: 'packages/web/src/b.js', previous_filename: 'packages/web/b.js' }
+    ];
+    const changedFiles = changedSourceFiles(files, ['./CHANGELOG.md', 'packages/api/CHANGELOG.md'], '.changelog/unreleased');
+    expect(changedFiles).toEqual(['packages/web/src/b.js', 'packages/web/b.js']);
+    expect(Object.keys(routeEntriesToChangelogs([entry(null)], changedFiles, packages, 'CHANGELOG.md'))).toEqual(['packages/web/CHANGELOG.md']);
+  });
+});
+
+describe('findSectionInsertIndex', () => {
+  const unreleased = parseChangelog('## [Unreleased]\n\n### Features\n- a\n\n### Chores\n- b\n').releases[0];
+
+  test('returns -1 when the section is not in the order', () => {
+    expect(findSectionInsertIndex(unreleased, 'Bug Fixes', [])).toBe(-1);
+  });
+
+  test('returns index of the first section that sorts after it', () => {
+    const index = findSectionInsertIndex(unreleased, 'Bug Fixes', ['Features', 'Bug Fixes', 'Chores']);
+    expect(unreleased.sections[index].heading.text).toBe('### Chores');
+  });
+
+  test('returns -1 when it sorts after every existing section', () => {
+    expect(findSectionInsertIndex(unreleased, 'Tests', ['Features', 'Chores', 'Tests'])).toBe(-1);
+  });
+});
+
+// ─── parseBreakingChange ────────────────────────────────────────────────────
+describe('parseBreakingChange', () => {
+  test('returns null when there is no footer', () => {
+    expect(parseBreakingChange('just a description')).toBeNull();
+    expect(parseBreakingChange(null)).toBeNull();
+  });
+
+  test('parses BREAKING CHANGE footer', () => {
+    expect(parseBreakingChange('text\n\nBREAKING CHANGE: removes the v1 API')).toBe('removes the v1 API');
+  });
+
+  test('parses BREAKING-CHANGE footer', () => {
+    expect(parseBreakingChange('BREAKING-CHANGE: renamed input')).toBe('renamed input');
+  });
+
+  test('joins continuation lines of the footer paragraph', () => {
+    const body = 'BREAKING CHANGE: the `mode` input\r\nis now required\n\nunrelated paragraph';
+    expect(parseBreakingChange(body)).toBe('the `mode` input is now required');
+  });
+
+  test('returns empty string for a footer without text', () => {
+    expect(parseBreakingChange('BREAKING CHANGE:')).toBe('');
+  });
+});
+
 // ─── parseChangelogComment ──────────────────────────────────────────────────
 describe('parseChangelogComment', () => {
   const mockPr = { html_url: 'https://github.com/owner/repo/pull/5' };
@@ -83,6 +668,24 @@ describe('parseChangelogComment', () => {
   test('returns null for empty description after trigger', () => {
     expect(parseChangelogComment('/changelog:', trigger, mockPr, 5)).toBeNull();
   });
+
+  test('parseChangelogEntries returns one entry per line', () => {
+    const body = 'Intro\n/changelog: feat(api): add endpoint\n/changelog: fix: null check\n/changelog: skip';
+    const entries = parseChangelogEntries(body, trigger, mockPr, 5);
+    expect(entries).toHaveLength(2);
+    expect(entries[0].section).toBe('Features');
+    expect(entries[1].section).toBe('Bug Fixes');
+  });
+
+  test('parseChangelogLines ignores skip and regenerate', () => {
+    expect(parseChangelogLines('/changelog: skip\n/changelog: regenerate\n/changelog: text', trigger)).toEqual(['text']);
+  });
+
+  test('files manual entries under the configured default section', () => {
+    const config = buildChangelogConfig({ defaultSection: 'Misc' });
+    const result = parseChangelogComment('/changelog: tweak', trigger, mockPr, 5, config);
+    expect(result.section).toBe('Misc');
+  });
 });
 
 // ─── computeEntryHash ───────────────────────────────────────────────────────
@@ -124,6 +727,14 @@ describe('buildMarkedEntry', () => {
     expect(result).toMatch(/^some entry text <!-- ac:[a-f0-9]{8}:123 -->$/);
   });
 
+  test('adds the entry index for later entries of a PR', () => {
+    const result = buildMarkedEntry('second entry', 123, 1);
+    const match = result.match(HASH_MARKER.PATTERN);
+    expect(result).toMatch(/<!-- ac:[a-f0-9]{8}:123:1 -->$/);
+    expect(match[2]).toBe('123');
+    expect(match[3]).toBe('1');
+  });
+
   test('marker contains correct PR number', () => {
     const result = buildMarkedEntry('text', 456);
     const match = result.match(HASH_MARKER.PATTERN);
@@ -221,6 +832,57 @@ describe('detectEntryState', () => {
   });
 });
 
+// ─── matchPrEntry / detectEntryStates ───────────────────────────────────────
+describe('matchPrEntry', () => {
+  test('returns null for lines of other PRs', () => {
+    expect(matchPrEntry('- other ([#2](url))', 1)).toBeNull();
+    expect(matchPrEntry('### Features', 1)).toBeNull();
+  });
+
+  test('reports index 0 for legacy two-field markers', () => {
+    const line = `- ${buildMarkedEntry('text ([#1](url))', 1)}`;
+    expect(matchPrEntry(line, 1)).toEqual(expect.objectContaining({ state: ENTRY_STATE.AUTO_UNTOUCHED, index: 0 }));
+  });
+
+  test('reports the marker index for later entries', () => {
+    const line = `- ${buildMarkedEntry('text ([#1](url))', 1, 2)}`;
+    expect(matchPrEntry(line, 1).index).toBe(2);
+  });
+
+  test('reports null index for unmarked entries', () => {
+    expect(matchPrEntry('- manual ([#1](url))', 1)).toEqual({ state: ENTRY_STATE.MANUAL, index: null, storedHash: null });
+  });
+});
+
+describe('detectEntryStates', () => {
+  const first = buildMarkedEntry('feat one ([#9](url))', 9, 0);
+  const second = buildMarkedEntry('fix two ([#9](url))', 9, 1).replace('fix two', 'fix two (edited)');
+  const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${first}\n\n### Bug Fixes\n- ${second}\n`;
+
+  test('returns every entry of the PR with its own state', () => {
+    const states = detectEntryStates(changelog, 9);
+    expect(states.map(s => [s.index, s.state])).toEqual([
+      [0, ENTRY_STATE.AUTO_UNTOUCHED],
+      [1, ENTRY_STATE.AUTO_EDITED]
+    ]);
+  });
+
+  test('detectEntryState reports AUTO_UNTOUCHED while any entry is untouched', () => {
+    expect(detectEntryState(changelog, 9).state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+  });
+
+  test('summarizeEntryStates combines entries from several changelogs', () => {
+    const edited = detectEntryStates(changelog, 9).filter(s => s.state === ENTRY_STATE.AUTO_EDITED);
+    expect(summarizeEntryStates(edited).state).toBe(ENTRY_STATE.AUTO_EDITED);
+    expect(summarizeEntryStates([]).state).toBe(ENTRY_STATE.NONE);
+  });
+
+  test('detectEntryState reports MANUAL when any entry is unmarked', () => {
+    const withManual = changelog.replace('### Bug Fixes', '### Bug Fixes\n- manual ([#9](url))');
+    expect(detectEntryState(withManual, 9).state).toBe(ENTRY_STATE.MANUAL);
+  });
+});
+
 // ─── shouldSkipChangelog ────────────────────────────────────────────────────
 describe('shouldSkipChangelog', () => {
   describe('auto mode', () => {
@@ -343,6 +1005,17 @@ describe('parseCommentCommands', () => {
     expect(parseCommentCommands(comments, trigger)).toBeNull();
   });
 
+  test('collects every /changelog: line of the latest comment', () => {
+    const comments = [{
+      body: '/changelog: feat: add export\n/changelog: fix: handle empty files',
+      created_at: '2024-01-01T00:00:00Z'
+    }];
+    const result = parseCommentCommands(comments, trigger);
+    expect(result.command).toBe('custom');
+    expect(result.text).toBe('feat: add export');
+    expect(result.texts).toEqual(['feat: add export', 'fix: handle empty files']);
+  });
+
   test('handles multi-line comment body', () => {
     const comments = [{
       body: 'Some context here\n/changelog: the entry\nMore text',
@@ -354,6 +1027,288 @@ describe('parseCommentCommands', () => {
   });
 });
 
+// ─── Comment entry modifiers ────────────────────────────────────────────────
+describe('comment entry modifiers', () => {
+  const trigger = '/changelog:';
+  const at = (id, body, day) => ({ id, body, created_at: `2024-01-0${day}T00:00:00Z` });
+
+  test('collects the latest value of each modifier across comments', () => {
+    const result = parseCommentCommands([
+      at(1, '/changelog section Security\n/changelog scope auth', 1),
+      at(2, '/changelog type fix\n/changelog section Fixed', 2),
+      at(3, 'Looks good', 3)
+    ], trigger);
+    expect(result).toEqual({
+      command: COMMENT_COMMANDS.MODIFY, text: null, commentId: null,
+      modifiers: { section: 'Fixed', type: 'fix', scope: 'auth' },
+      commentIds: [2, 1]
+    });
+  });
+
+  test('combines modifiers with the latest command and drops those older than a regenerate', () => {
+    const result = parseCommentCommands([
+      at(1, '/changelog section Security', 1),
+      at(2, '/changelog regenerate', 2),
+      at(3, '/changelog breaking', 3)
+    ], trigger);
+    expect(result).toMatchObject({ command: COMMENT_COMMANDS.REGENERATE, commentId: 2, modifiers: { breaking: true }, commentIds: [3, 2] });
+  });
+
+  test('parses unskip and leaves malformed modifiers and colon forms alone', () => {
+    expect(parseCommentCommands([at(1, '/changelog unskip', 1)], trigger)).toMatchObject({ command: COMMENT_COMMANDS.UNSKIP });
+    expect(parseCommentCommands([at(1, '/changelog type', 1)], trigger)).toBeNull();
+    expect(parseCommentCommands([at(1, '/changelog scope two words', 1)], trigger)).toBeNull();
+    expect(parseCommentCommands([at(1, '/changelog: section headers render correctly', 1)], trigger))
+      .toMatchObject({ command: 'custom', text: 'section headers render correctly', modifiers: {} });
+  });
+
+  test('unskip overrides a skip from the description, modifiers alone do not', () => {
+    const descSkip = { command: COMMENT_COMMANDS.SKIP };
+    const unskip = parseCommentCommands([at(1, '/changelog unskip\n/changelog type perf', 1)], trigger);
+    const modify = parseCommentCommands([at(2, '/changelog type perf', 1)], trigger);
+
+    expect(commandOverridesSkip(unskip)).toBe(true);
+    expect(commandOverridesSkip(modify)).toBe(false);
+    expect(resolveEntryAction(ENTRY_STATE.NONE, descSkip, unskip, true))
+      .toMatchObject({ action: 'generate', modifiers: { type: 'perf' }, commentIds: [1] });
+    expect(resolveEntryAction(ENTRY_STATE.NONE, descSkip, modify, true)).toMatchObject({ action: 'skip', commentIds: [] });
+  });
+
+  test('modifiers ride along with generated and custom entries but not preserved ones', () => {
+    const modify = parseCommentCommands([at(1, '/changelog section Security', 1)], trigger);
+    expect(resolveEntryAction(ENTRY_STATE.AUTO_UNTOUCHED, null, modify, true))
+      .toMatchObject({ action: 'generate', modifiers: { section: 'Security' }, commentIds: [1] });
+    expect(resolveEntryAction(ENTRY_STATE.NONE, { command: 'custom', text: 'x', texts: ['x'] }, modify, true))
+      .toMatchObject({ action: 'custom', modifiers: { section: 'Security' }, commentIds: [1] });
+    expect(resolveEntryAction(ENTRY_STATE.AUTO_EDITED, null, modify, true)).toMatchObject({ action: 'preserve', commentIds: [] });
+  });
+
+  test('applies type, scope, breaking and section to an entry', () => {
+    const entry = { type: 'feat', scope: null, description: 'add login', section: 'Features', hidden: false, breaking: false };
+
+    expect(applyEntryModifiers(entry, {})).toBe(entry);
+    expect(applyEntryModifiers(entry, { type: 'fix', scope: 'auth' }))
+      .toMatchObject({ type: 'fix', scope: 'auth', section: COMMIT_TYPE_MAPPING.fix });
+    expect(applyEntryModifiers(entry, { type: 'fix', breaking: true }))
+      .toMatchObject({ type: 'fix', breaking: true, section: DEFAULT_SECTIONS.BREAKING });
+    expect(applyEntryModifiers(entry, { type: 'fix', section: 'Security' })).toMatchObject({ type: 'fix', section: 'Security' });
+  });
+
+  test('ignores an unknown type modifier with a warning', () => {
+    const warning = jest.spyOn(require('@actions/core'), 'warning').mockImplementation(() => {});
+    const entry = { type: 'feat', description: 'add login', section: 'Features' };
+    expect(applyEntryModifiers(entry, { type: 'feet' })).toMatchObject({ type: 'feat', section: 'Features' });
+    expect(warning).toHaveBeenCalledWith(expect.stringContaining('/changelog type feet'));
+    warning.mockRestore();
+  });
+
+  test('check mode accepts a non-conventional title categorized by a modifier', () => {
+    const pr = { title: 'Speed up search', body: '', labels: [] };
+    const lint = modifiers => lintChangelogEntry(pr, 1, { decision: { action: 'generate', modifiers } });
+    expect(lint({})).toHaveLength(1);
+    expect(lint({ type: 'perf' })).toEqual([]);
+    expect(lint({ type: 'feet' })[0].message).toContain('/changelog type feet');
+  });
+});
+
+// ─── Comment command authorization ──────────────────────────────────────────
+describe('comment command authorization', () => {
+  const pr = { user: { login: 'author' } };
+  const comment = (login, association, body = '/changelog skip') => ({
+    id: login.length, user: { login }, author_association: association, body, created_at: '2024-01-01T00:00:00Z'
+  });
+  let octokit;
+
+  beforeEach(() => {
+    jest.spyOn(require('@actions/core'), 'info').mockImplementation(() => {});
+    octokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest.fn(async ({ username }) => ({
+            data: username === 'writer' ? { permission: 'write', role_name: 'write' } : { permission: 'read', role_name: 'read' }
+          }))
+        },
+        teams: {
+          getMembershipForUserInOrg: jest.fn(async ({ org, team_slug: teamSlug, username }) => {
+            if (org === 'acme' && teamSlug === 'release' && username === 'teammate') return { data: { state: 'active' } };
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          })
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const policy = extra => ({ octokit, owner: 'acme', repo: 'app', trigger: '/changelog:', ...extra });
+
+  test('allows the PR author and allowed associations without API calls', async () => {
+    expect((await authorizeCommenter(comment('author', 'CONTRIBUTOR'), pr, policy())).allowed).toBe(true);
+    expect((await authorizeCommenter(comment('maintainer', 'MEMBER'), pr, policy())).allowed).toBe(true);
+    expect(octokit.rest.repos.getCollaboratorPermissionLevel).not.toHaveBeenCalled();
+  });
+
+  test('allows users with write permission', async () => {
+    const result = await authorizeCommenter(comment('writer', 'CONTRIBUTOR'), pr, policy());
+    expect(result).toEqual({ allowed: true, reason: 'write permission' });
+  });
+
+  test('allows members of allowed teams', async () => {
+    const result = await authorizeCommenter(comment('teammate', 'NONE'), pr, policy({ allowedTeams: ['release'] }));
+    expect(result).toEqual({ allowed: true, reason: 'member of acme/release' });
+  });
+
+  test('rejects everyone else', async () => {
+    const result = await authorizeCommenter(comment('drive-by', 'NONE'), pr, policy({ allowedTeams: ['other-org/release'] }));
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toContain('NONE');
+  });
+
+  test('respects a custom association list', async () => {
+    const result = await authorizeCommenter(comment('maintainer', 'MEMBER'), pr, policy({ allowedAssociations: ['OWNER'] }));
+    expect(result.allowed).toBe(false);
+  });
+
+  test('parses the allowed-associations input, with none turning associations off', async () => {
+    expect(parseAllowedAssociations('')).toEqual(['OWNER', 'MEMBER', 'COLLABORATOR']);
+    expect(parseAllowedAssociations(' owner, member ')).toEqual(['OWNER', 'MEMBER']);
+    expect(parseAllowedAssociations('None')).toEqual([]);
+
+    const result = await authorizeCommenter(comment('maintainer', 'OWNER'), pr, policy({ allowedAssociations: parseAllowedAssociations('none') }));
+    expect(result.allowed).toBe(false);
+  });
+
+  test('filters out unauthorized commands so an older authorized one wins', async () => {
+    const comments = [
+      { ...comment('author', 'NONE', '/changelog: feat: add search'), created_at: '2024-01-01T00:00:00Z' },
+      { ...comment('drive-by', 'NONE', '/changelog skip'), created_at: '2024-01-02T00:00:00Z' },
+      { ...comment('drive-by', 'NONE', 'LGTM'), created_at: '2024-01-03T00:00:00Z' }
+    ];
+    const authorized = await filterAuthorizedComments(comments, pr, policy());
+
+    expect(authorized).toHaveLength(1);
+    expect(parseCommentCommands(authorized, '/changelog:')).toMatchObject({ command: 'custom', text: 'feat: add search' });
+    // One lookup for the drive-by user, none for the comment without a command
+    expect(octokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ─── Comment events ─────────────────────────────────────────────────────────
+describe('comment events', () => {
+  const trigger = '/changelog:';
+  const human = { login: 'octocat', type: 'User' };
+
+  test('recognizes bot comments', () => {
+    expect(isBotComment({ user: { login: 'github-actions[bot]', type: 'Bot' } })).toBe(true);
+    expect(isBotComment({ user: { login: 'renovate[bot]' } })).toBe(true);
+    expect(isBotComment({ user: human })).toBe(false);
+  });
+
+  test('only edits and deletions touching a command are relevant', () => {
+    const event = (action, body, from) => ({ action, comment: { body }, ...(from !== undefined ? { changes: { body: { from } } } : {}) });
+    expect(commentEventHasCommand(event('edited', 'typo fixed', 'typo fxied'), trigger)).toBe(false);
+    expect(commentEventHasCommand(event('edited', '/changelog skip', 'LGTM'), trigger)).toBe(true);
+    expect(commentEventHasCommand(event('edited', 'never mind', '/changelog skip'), trigger)).toBe(true);
+    expect(commentEventHasCommand(event('deleted', '/changelog: fix: typo'), trigger)).toBe(true);
+    expect(commentEventHasCommand(event('deleted', 'LGTM'), trigger)).toBe(false);
+  });
+
+  test('drops deleted and bot comments and applies edits from the event', () => {
+    const comments = [
+      { id: 1, user: human, body: '/changelog: fix: typo', created_at: '2024-01-01T00:00:00Z' },
+      { id: 2, user: human, body: '/changelog skip', created_at: '2024-01-02T00:00:00Z' },
+      { id: 3, user: { login: 'github-actions[bot]', type: 'Bot' }, body: '/changelog regenerate', created_at: '2024-01-03T00:00:00Z' }
+    ];
+
+    const deleted = reconcileComments(comments, { action: 'deleted', comment: { id: 2 } });
+    expect(deleted.map(comment => comment.id)).toEqual([1]);
+    // Retracting the skip lets the older custom entry apply again
+    expect(parseCommentCommands(deleted, trigger)).toMatchObject({ command: 'custom', text: 'fix: typo' });
+
+    const edited = reconcileComments(comments, { action: 'edited', comment: { id: 2, body: 'Actually, keep it' } });
+    expect(edited.map(comment => comment.body)).toEqual(['/changelog: fix: typo', 'Actually, keep it']);
+    expect(parseCommentCommands(edited, trigger)).toMatchObject({ command: 'custom' });
+
+    expect(reconcileComments(comments, null).map(comment => comment.id)).toEqual([1, 2]);
+  });
+});
+
+// ─── Comment command feedback ───────────────────────────────────────────────
+describe('comment command feedback', () => {
+  const comment = body => ({ id: 7, user: { login: 'octocat' }, body });
+  const feedbackFor = (body, outcome) => {
+    const classification = classifyCommentCommand(comment(body), '/changelog:');
+    return buildCommandFeedback(comment(body), { trigger: '/changelog:', classification, ...outcome });
+  };
+
+  test('classifies comments without, with unknown and with valid commands', () => {
+    expect(classifyCommentCommand(comment('LGTM'), '/changelog:').kind).toBe('none');
+    expect(classifyCommentCommand(comment('/changelog please'), '/changelog:')).toEqual({ kind: 'unknown', line: '/changelog please' });
+    expect(classifyCommentCommand(comment('/changelog: feat: add search'), '/changelog:')).toMatchObject({
+      kind: 'command', command: { command: 'custom', commentId: 7 }, problem: null
+    });
+  });
+
+  test('ignores words that only start with the trigger', () => {
+    for (const body of ['/changelogs look good', '/changelog-bot run', 'text\n/changelogging later']) {
+      expect(classifyCommentCommand(comment(body), '/changelog:').kind).toBe('none');
+    }
+    expect(classifyCommentCommand(comment('/changelog'), '/changelog:').kind).toBe('unknown');
+    expect(classifyCommentCommand(comment('/cl: feat: add search'), '/cl:').kind).toBe('command');
+    expect(parseChangelogLines('/clone: a\n/cl b', '/cl')).toEqual(['b']);
+  });
+
+  test('flags custom entries with an unknown type or no description', () => {
+    expect(classifyCommentCommand(comment('/changelog: feet: add search'), '/changelog:').problem)
+      .toContain('`feet` is not a known type');
+    expect(classifyCommentCommand(comment('/changelog: fix:'), '/changelog:').problem).toContain('has no description');
+    expect(classifyCommentCommand(comment('/changelog: Improved search speed'), '/changelog:').problem).toBeNull();
+  });
+
+  test('stays silent when the comment holds no command', () => {
+    expect(feedbackFor('LGTM', {})).toBeNull();
+  });
+
+  test('rocket when the command changed the changelog, thumbs up otherwise', () => {
+    const decision = { action: 'regenerate', reason: 'Comment command: /changelog regenerate', commentIds: [7] };
+    expect(feedbackFor('/changelog regenerate', { decision, changed: true }))
+      .toEqual({ reaction: COMMAND_REACTIONS.APPLIED, reply: null });
+    expect(feedbackFor('/changelog regenerate', { decision, changed: false }))
+      .toEqual({ reaction: COMMAND_REACTIONS.ACKNOWLEDGED, reply: null });
+  });
+
+  test('explains unknown, malformed and unauthorized commands', () => {
+    const unknown = feedbackFor('/changelog redo', {});
+    expect(unknown.reaction).toBe(COMMAND_REACTIONS.FAILED);
+    expect(unknown.reply).toMatch(/^@octocat `\/changelog redo` is not a changelog command/);
+
+    const decision = { action: 'custom', reason: 'Custom entry from PR comment', commentIds: [7] };
+    const malformed = feedbackFor('/changelog: feet: add search', { decision, changed: true });
+    expect(malformed.reaction).toBe(COMMAND_REACTIONS.FAILED);
+    expect(malformed.reply).toContain('added as written under Changes');
+
+    const unauthorized = feedbackFor('/changelog skip', { authorization: { allowed: false, reason: 'author association NONE' } });
+    expect(unauthorized.reply).toContain('was ignored');
+    expect(unauthorized.reply).toContain('author association NONE');
+  });
+
+  test('explains commands overridden by a higher-priority rule or another comment', () => {
+    const description = feedbackFor('/changelog: fix: typo', { decision: { action: 'custom', reason: 'Custom entry from PR description' } });
+    expect(description.reaction).toBe(COMMAND_REACTIONS.FAILED);
+    expect(description.reply).toContain('a higher-priority rule (Custom entry from PR description)');
+
+    const newer = feedbackFor('/changelog: fix: typo', { decision: { action: 'skip', reason: 'Comment command: /changelog skip', commentIds: [8] } });
+    expect(newer.reply).toContain('another /changelog comment');
+  });
+
+  test('reports failures', () => {
+    const feedback = feedbackFor('/changelog regenerate', { error: new Error('push rejected') });
+    expect(feedback).toEqual({ reaction: COMMAND_REACTIONS.FAILED, reply: '@octocat `/changelog regenerate` failed: push rejected' });
+  });
+});
+
 // ─── resolveEntryAction ─────────────────────────────────────────────────────
 describe('resolveEntryAction', () => {
   test('skip via comment command has highest priority', () => {
@@ -395,8 +1350,9 @@ describe('resolveEntryAction', () => {
       true
     );
     expect(result.action).toBe('custom');
-    expect(result.mark).toBe(false);
+    expect(result.mark).toBe(true);
     expect(result.text).toBe('my entry');
+    expect(result.texts).toEqual(['my entry']);
   });
 
   test('custom text from comment (priority 4)', () => {
@@ -407,7 +1363,17 @@ describe('resolveEntryAction', () => {
       true
     );
     expect(result.action).toBe('custom');
-    expect(result.mark).toBe(false);
+    expect(result.mark).toBe(true);
+  });
+
+  test('passes every custom text through', () => {
+    const result = resolveEntryAction(
+      ENTRY_STATE.NONE,
+      { command: 'custom', text: 'feat: a', texts: ['feat: a', 'fix: b'] },
+      null,
+      true
+    );
+    expect(result.texts).toEqual(['feat: a', 'fix: b']);
   });
 
   test('description custom takes precedence over comment custom', () => {
@@ -460,14 +1426,14 @@ describe('resolveEntryAction', () => {
     expect(result.mark).toBe(true);
   });
 
-  test('mark is false for custom entries', () => {
+  test('mark is true for custom entries so each one is tracked', () => {
     const result = resolveEntryAction(
       ENTRY_STATE.NONE,
       { command: 'custom', text: 'x' },
       null,
       true
     );
-    expect(result.mark).toBe(false);
+    expect(result.mark).toBe(true);
   });
 });
 
@@ -563,30 +1529,1715 @@ describe('updateChangelog', () => {
     const markers = content.match(/<!-- ac:[a-f0-9]{8}:77 -->/g);
     expect(markers).toHaveLength(1);
   });
-});
 
-// ─── Integration: hash marker round-trip ────────────────────────────────────
-describe('hash marker round-trip', () => {
-  test('buildMarkedEntry then detectEntryState returns AUTO_UNTOUCHED', () => {
-    const entryText = '**auth**: add JWT tokens ([#123](url))';
-    const marked = buildMarkedEntry(entryText, 123);
-    const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${marked}\n`;
-    const state = detectEntryState(changelog, 123);
-    expect(state.state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+  test('inserts new sections according to sectionOrder', async () => {
+    fs.writeFileSync(tmpFile, '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- a ([#1](url))\n\n### Chores\n\n- b ([#2](url))\n');
+    const entries = [{
+      type: 'fix', scope: null, description: 'c',
+      prNumber: 3, prUrl: 'url', section: 'Bug Fixes'
+    }];
+    await updateChangelog(tmpFile, entries, { sectionOrder: ['Features', 'Bug Fixes', 'Chores'] });
+
+    const content = fs.readFileSync(tmpFile, 'utf8');
+    expect(content).toBe('# Changelog\n\n## [Unreleased]\n\n### Features\n\n- a ([#1](url))\n\n### Bug Fixes\n\n- c ([#3](url))\n\n### Chores\n\n- b ([#2](url))\n');
   });
 
-  test('editing marked entry changes state to AUTO_EDITED', () => {
-    const entryText = '**auth**: add JWT tokens ([#123](url))';
-    const marked = buildMarkedEntry(entryText, 123);
-    // Simulate user editing the entry text but keeping the marker
-    const edited = marked.replace('add JWT tokens', 'add OAuth tokens');
-    const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${edited}\n`;
-    const state = detectEntryState(changelog, 123);
-    expect(state.state).toBe(ENTRY_STATE.AUTO_EDITED);
+  test('writes one marker per entry for multi-entry PRs', async () => {
+    const entries = [
+      { type: 'feat', scope: null, description: 'add export', prNumber: 12, prUrl: 'url', section: 'Features', entryIndex: 0 },
+      { type: 'fix', scope: null, description: 'fix import', prNumber: 12, prUrl: 'url', section: 'Bug Fixes', entryIndex: 1 }
+    ];
+    await updateChangelog(tmpFile, entries, { markEntries: true });
+
+    const content = fs.readFileSync(tmpFile, 'utf8');
+    expect(content).toMatch(/- add export \(\[#12\]\(url\)\) <!-- ac:[a-f0-9]{8}:12 -->/);
+    expect(content).toMatch(/- fix import \(\[#12\]\(url\)\) <!-- ac:[a-f0-9]{8}:12:1 -->/);
+    expect(detectEntryStates(content, 12).map(s => s.state)).toEqual([
+      ENTRY_STATE.AUTO_UNTOUCHED, ENTRY_STATE.AUTO_UNTOUCHED
+    ]);
   });
 
-  test('removing marker makes entry MANUAL', () => {
-    const entryText = '**auth**: add JWT tokens ([#123](url))';
+  test('preserveEdited keeps edited entries and refreshes the others', async () => {
+    const first = [
+      { type: 'feat', scope: null, description: 'add export', prNumber: 12, prUrl: 'url', section: 'Features', entryIndex: 0 },
+      { type: 'fix', scope: null, description: 'fix import', prNumber: 12, prUrl: 'url', section: 'Bug Fixes', entryIndex: 1 }
+    ];
+    await updateChangelog(tmpFile, first, { markEntries: true });
+    const edited = fs.readFileSync(tmpFile, 'utf8').replace('fix import', 'fix CSV import');
+    fs.writeFileSync(tmpFile, edited);
+
+    const second = [
+      { type: 'feat', scope: null, description: 'add JSON export', prNumber: 12, prUrl: 'url', section: 'Features', entryIndex: 0 },
+      { type: 'fix', scope: null, description: 'fix import again', prNumber: 12, prUrl: 'url', section: 'Bug Fixes', entryIndex: 1 }
+    ];
+    await updateChangelog(tmpFile, second, { markEntries: true, preserveEdited: true });
+
+    const content = fs.readFileSync(tmpFile, 'utf8');
+    expect(content).toContain('add JSON export');
+    expect(content).not.toContain('- add export');
+    expect(content).toContain('fix CSV import');
+    expect(content).not.toContain('fix import again');
+  });
+
+  test('writes breaking entries to the BREAKING CHANGES section with their note', async () => {
+    const entries = [{
+      type: 'feat', scope: 'api', description: 'drop v1 routes',
+      breaking: true, breakingNote: 'use /v2 instead',
+      prNumber: 8, prUrl: 'url', section: DEFAULT_SECTIONS.BREAKING
+    }];
+    await updateChangelog(tmpFile, entries, { markEntries: true });
+
+    const content = fs.readFileSync(tmpFile, 'utf8');
+    expect(content).toContain('### ⚠ BREAKING CHANGES');
+    expect(content).toContain('- **api**: drop v1 routes — use /v2 instead ([#8](url)) <!-- ac:');
+    expect(detectEntryState(content, 8).state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+  });
+});
+
+// ─── Section order and entry sorting ────────────────────────────────────────
+describe('section order and entry sorting', () => {
+  const entry = (prNumber, section, extra) => ({
+    type: 'feat', scope: null, description: `change ${prNumber}`, prNumber, prUrl: `url${prNumber}`, section, ...extra
+  });
+
+  test('defaults to breaking changes first, then commit type priority', () => {
+    const order = buildChangelogConfig().sectionOrder;
+    expect(order.slice(0, 4)).toEqual([DEFAULT_SECTIONS.BREAKING, 'Features', 'Bug Fixes', 'Documentation']);
+    expect(order[order.length - 1]).toBe('Changes');
+    const custom = validateChangelogConfig({ types: { feat: 'New Features', deps: 'Dependencies' } }, 'config').sectionOrder;
+    expect(custom.slice(0, 2)).toEqual([DEFAULT_SECTIONS.BREAKING, 'New Features']);
+    expect(custom.indexOf('Dependencies')).toBeGreaterThan(custom.indexOf('Reverts'));
+  });
+
+  test('validates sort-entries', () => {
+    expect(buildChangelogConfig().sortEntries).toBe(ENTRY_SORT.NONE);
+    expect(validateChangelogConfig({ 'sort-entries': 'scope' }, 'config').sortEntries).toBe(ENTRY_SORT.SCOPE);
+    expect(() => validateChangelogConfig({ 'sort-entries': 'date' }, 'config'))
+      .toThrow('"sort-entries" must be one of: none, pr, scope, merged');
+  });
+
+  test('puts existing and new sections in order and normalizes blank lines', () => {
+    const before = '# Changelog\n\n## [Unreleased]\n### Chores\n- a ([#1](url1))\n\n\n- b ([#2](url2))\n### Features\n\n\n- c ([#3](url3))\n' +
+      '## [1.0.0] - 2024-01-01\n### Chores\n\n\n- old\n';
+    const config = validateChangelogConfig({ 'section-order': ['Features', 'Bug Fixes', 'Chores'] }, 'config');
+    const after = renderChangelog(before, [entry(4, 'Bug Fixes')], { sectionOrder: config.sectionOrder, reorderSections: config.reorderSections });
+    expect(after).toBe(
+      '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- c ([#3](url3))\n\n### Bug Fixes\n\n- change 4 ([#4](url4))\n\n' +
+      '### Chores\n\n- a ([#1](url1))\n- b ([#2](url2))\n\n## [1.0.0] - 2024-01-01\n### Chores\n\n\n- old\n'
+    );
+  });
+
+  test('keeps hand-ordered sections without a configured section-order', () => {
+    const config = buildChangelogConfig();
+    expect(config.reorderSections).toBe(false);
+    const before = '## [Unreleased]\n\n### Chores\n\n- a ([#1](url1))\n\n### Features\n\n- b ([#2](url2))\n';
+    const after = renderChangelog(before, [entry(3, 'Bug Fixes'), entry(4, 'Features')], {
+      sectionOrder: config.sectionOrder, reorderSections: config.reorderSections
+    });
+    // New sections still go in their default slot: before the first section that ranks after them
+    expect(after.match(/^### .*/gm)).toEqual(['### Bug Fixes', '### Chores', '### Features']);
+    expect(after).toContain('### Features\n\n- b ([#2](url2))\n- change 4 ([#4](url4))\n');
+  });
+
+  test('keeps New Contributors last', () => {
+    const before = '## [Unreleased]\n\n### Features\n\n- a ([#1](url1))\n\n### New Contributors\n\n- @octocat made their first contribution in [#1](url1) <!-- ac:contributor:1 -->\n';
+    const after = renderChangelog(before, [entry(2, 'Custom'), entry(3, 'Bug Fixes')], { sectionOrder: buildChangelogConfig().sectionOrder });
+    expect(after.match(/^### .*/gm)).toEqual(['### Features', '### Bug Fixes', '### Custom', '### New Contributors']);
+  });
+
+  test('sorts entries by PR number, scope or merge time', () => {
+    const before = '## [Unreleased]\n\n### Features\n\n- **ui**: z ([#9](url9))\n- a ([#3](url3))\n- **api**: m ([#5](url5))\n';
+    const render = (sortEntries, mergeTimes) => renderChangelog(before, [entry(7, 'Features', { scope: 'db' })], { sortEntries, mergeTimes })
+      .match(/#\d+/g).map(ref => Number(ref.slice(1)));
+
+    expect(render(ENTRY_SORT.NONE)).toEqual([9, 3, 5, 7]);
+    expect(render(ENTRY_SORT.PR)).toEqual([3, 5, 7, 9]);
+    expect(render(ENTRY_SORT.SCOPE)).toEqual([5, 7, 9, 3]);
+    expect(render(ENTRY_SORT.MERGED, { 9: '2024-01-01T00:00:00Z', 3: '2024-03-01T00:00:00Z', 5: '2024-02-01T00:00:00Z', 7: null }))
+      .toEqual([9, 5, 3, 7]);
+  });
+
+  test('reads sort keys from entry lines', () => {
+    expect(entrySortKeys('- **API**: add ([#5](url)) <!-- ac:abcdef12:6 -->')).toEqual({ prNumber: 6, scope: 'api' });
+    expect(entrySortKeys('- add search')).toEqual({ prNumber: null, scope: null });
+    expect(unreleasedPrNumbers('## [Unreleased]\n- a ([#5](u))\n- b ([#5](u))\n- c\n## [1.0.0]\n- d ([#1](u))\n')).toEqual([5]);
+  });
+
+  test('fetches merge times and skips numbers that are not PRs', async () => {
+    const error = Object.assign(new Error('Could not resolve to a PullRequest'), {
+      data: { repository: { pr5: { mergedAt: '2024-02-01T00:00:00Z' }, pr6: null, pr7: { mergedAt: null } } }
+    });
+    const octokit = { graphql: jest.fn().mockRejectedValue(error) };
+    expect(await fetchMergeTimes(octokit, 'o', 'r', [5, 6, 7])).toEqual({ 5: '2024-02-01T00:00:00Z' });
+    expect(octokit.graphql.mock.calls[0][0]).toContain('pr6: pullRequest(number: 6) { mergedAt }');
+
+    octokit.graphql.mockRejectedValue(new Error('rate limited'));
+    await expect(fetchMergeTimes(octokit, 'o', 'r', [5])).rejects.toThrow('rate limited');
+  });
+});
+
+// ─── Rendering templates ────────────────────────────────────────────────────
+describe('rendering templates', () => {
+  const entry = {
+    type: 'feat', scope: 'api', description: 'add search', breakingNote: null,
+    prNumber: 45, prUrl: 'https://github.com/o/r/pull/45', author: 'octocat', entryIndex: 0
+  };
+
+  test('fills placeholders and leaves missing values empty', () => {
+    expect(renderTemplate('{{ a }}-{{b}}-{{c}}', { a: 1, b: null })).toBe('1--');
+  });
+
+  test('the default entry template keeps the classic format', () => {
+    expect(formatEntryLine({ ...entry, breakingNote: 'drops v1' }, false))
+      .toBe('- **api**: add search — drops v1 ([#45](https://github.com/o/r/pull/45))');
+    expect(formatEntryLine(entry, false, DEFAULT_TEMPLATES.ENTRY)).toBe(formatEntryLine(entry, false));
+  });
+
+  test('renders custom entry templates with PR metadata', () => {
+    const template = '{{scope_bold}}{{description}} by @{{author}} in {{pr_link}} {{issues}} ({{short_sha}}, {{merge_date}})';
+    const line = formatEntryLine({
+      ...entry,
+      sha: '0123456789abcdef',
+      mergedAt: '2024-05-01T10:00:00Z',
+      issues: [{ reference: '#12', url: 'https://github.com/o/r/issues/12' }]
+    }, false, template);
+    expect(line).toBe(
+      '- **api**: add search by @octocat in [#45](https://github.com/o/r/pull/45) ' +
+      '[#12](https://github.com/o/r/issues/12) (0123456, 2024-05-01)'
+    );
+  });
+
+  test('validates templates from the repository config', () => {
+    const config = validateChangelogConfig({
+      'entry-template': '{{description}} by @{{author}} in {{pr_link}}',
+      'section-template': '### 🚀 {{section}}',
+      'version-template': '## {{version}} ({{date}})'
+    }, 'config');
+    expect(config.templates).toEqual({
+      entry: '{{description}} by @{{author}} in {{pr_link}}',
+      section: '### 🚀 {{section}}',
+      version: '## {{version}} ({{date}})'
+    });
+    expect(buildChangelogConfig().templates.entry).toBe(DEFAULT_TEMPLATES.ENTRY);
+
+    expect(() => validateChangelogConfig({ 'entry-template': '{{description}} {{reviewer}}' }, 'config'))
+      .toThrow('uses unknown variable(s) reviewer');
+    expect(() => validateChangelogConfig({ 'entry-template': '{{pr_link}}' }, 'config')).toThrow('must use {{description}}');
+    expect(() => validateChangelogConfig({ 'section-template': '#### {{section}}' }, 'config')).toThrow('must start with "### "');
+    expect(() => validateChangelogConfig({ 'version-template': '## {{version}}\n' }, 'config')).toThrow('single-line string');
+  });
+
+  test('renders and re-renders sections and entries with templates', () => {
+    const templates = { entry: '{{description}} by @{{author}} in {{pr_link}}', section: '### 🚀 {{section}}' };
+    const first = renderChangelog(null, [{ ...entry, section: 'Features' }], { markEntries: true, templates });
+    expect(first).toContain(`${formatSectionHeading('Features', templates.section)}\n`);
+    expect(first).toMatch(/- add search by @octocat in \[#45\]\(https:\/\/github.com\/o\/r\/pull\/45\) <!-- ac:\w{8}:45 -->/);
+    expect(detectEntryStates(first, 45).map(found => found.state)).toEqual([ENTRY_STATE.AUTO_UNTOUCHED]);
+
+    const second = renderChangelog(first, [{ ...entry, description: 'add fuzzy search', section: 'Features' }], { markEntries: true, templates });
+    expect(second).not.toContain('add search by');
+    expect(second.match(/### 🚀 Features/g)).toHaveLength(1);
+  });
+
+  test('uses the version template for releases', () => {
+    const changelog = '# Changelog\n\n## [Unreleased]\n\n### Features\n- add login ([#1](url))\n';
+    const released = promoteUnreleased(changelog, '1.1.0', '2024-02-01', '## {{version}} ({{date}})');
+    expect(released).toContain('## [Unreleased]\n\n## 1.1.0 (2024-02-01)\n\n### Features');
+    expect(() => promoteUnreleased(`${released}\n### Fixes\n- x ([#2](url))\n`, '1.1.0', '2024-03-01'))
+      .toThrow('already contains a section for version 1.1.0');
+  });
+});
+
+// ─── renderChangelog / removePrEntries ──────────────────────────────────────
+describe('renderChangelog', () => {
+  const entry = {
+    type: 'feat', scope: 'ui', description: 'add dark mode',
+    prNumber: 12, prUrl: 'url', section: 'Features', entryIndex: 0
+  };
+
+  test('formats entry lines with and without a marker', () => {
+    expect(formatEntryLine(entry, false)).toBe('- **ui**: add dark mode ([#12](url))');
+    expect(formatEntryLine(entry, true)).toMatch(/^- \*\*ui\*\*: add dark mode \(\[#12\]\(url\)\) <!-- ac:[a-f0-9]{8}:12 -->$/);
+  });
+
+  test('starts from the template when there is no changelog', () => {
+    const content = renderChangelog(null, [entry], { markEntries: true });
+    expect(content).toContain('## [Unreleased]');
+    expect(content).toContain('### Features');
+    expect(detectEntryState(content, 12).state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+  });
+
+  test('returns new content without touching the input', () => {
+    const before = '# Changelog\n\n## [Unreleased]\n\n### Features\n- old entry ([#12](url))\n';
+    const after = renderChangelog(before, [entry], { markEntries: false });
+    expect(before).toContain('old entry');
+    expect(after).not.toContain('old entry');
+    expect(after).toContain('- **ui**: add dark mode ([#12](url))');
+  });
+
+  test('removePrEntries drops every entry of the PR', () => {
+    const before = renderChangelog(null, [entry, { ...entry, description: 'add themes', entryIndex: 1 }], { markEntries: true });
+    const after = removePrEntries(before, 12);
+    expect(detectEntryStates(after, 12)).toEqual([]);
+    expect(after).toContain('## [Unreleased]');
+  });
+
+  test('skipping after generation removes the PR entries, credits and emptied sections', () => {
+    const changelog = '# Changelog\n\n## [Unreleased]\n\n### Bug Fixes\n\n- fix crash ([#3](url))\n\n### Changes\n\n## [1.0.0] - 2024-01-01\n- first\n';
+    const generated = renderNewContributors(renderChangelog(changelog, [entry], { markEntries: true }), 12, 'url', ['alice']);
+    expect(generated).toContain('- @alice made their first contribution in [#12](url)');
+
+    const skipped = removePrEntries(generated, 12);
+    expect(skipped).toBe(changelog);
+    expect(skipped).not.toContain('### Features');
+    expect(skipped).not.toContain('New Contributors');
+    // Sections that were already empty are left to the maintainers
+    expect(skipped).toContain('### Changes');
+  });
+
+  test('drops the section a regenerated entry moved out of', () => {
+    const first = renderChangelog(null, [entry], { markEntries: true });
+    const second = renderChangelog(first, [{ ...entry, type: 'fix', section: 'Bug Fixes' }], { markEntries: true });
+    expect(second).not.toContain('### Features');
+    expect(second).toContain('### Bug Fixes\n\n- **ui**: add dark mode');
+    expect(validateChangelog(second).problems).toEqual([]);
+  });
+
+  test('removePrEntries returns the content unchanged when the PR has no entries', () => {
+    const content = '# Changelog\n\n## [Unreleased]\n';
+    expect(removePrEntries(content, 99)).toBe(content);
+  });
+
+  test('keeps CRLF line endings and untouched content', () => {
+    const before = '# Changelog\r\n\r\n## [Unreleased]\r\n\r\n### Features\r\n\r\n- old ([#3](url))\r\n\r\n## [1.0.0] - 2024-01-01\r\n- first\r\n';
+    const after = renderChangelog(before, [entry], { markEntries: false });
+    expect(after).toBe(
+      '# Changelog\r\n\r\n## [Unreleased]\r\n\r\n### Features\r\n\r\n- old ([#3](url))\r\n- **ui**: add dark mode ([#12](url))\r\n' +
+      '\r\n## [1.0.0] - 2024-01-01\r\n- first\r\n'
+    );
+    expect(removePrEntries(after, 12)).toBe(before);
+  });
+
+  test('matches section headings exactly', () => {
+    const before = '# Changelog\n\n## [Unreleased]\n\n### Features (beta)\n\n- try ranking ([#7](url))\n';
+    const after = renderChangelog(before, [entry], { markEntries: false });
+    expect(after).toBe(`${before}\n### Features\n\n- **ui**: add dark mode ([#12](url))\n`);
+  });
+
+  test('ignores headings and entries inside code blocks', () => {
+    const before = '# Changelog\n\n```markdown\n## [Unreleased]\n- sample ([#12](url))\n```\n\n## [Unreleased]\n';
+    const after = renderChangelog(before, [entry], { markEntries: false });
+    expect(after).toBe(`${before}\n### Features\n\n- **ui**: add dark mode ([#12](url))\n`);
+    expect(detectEntryStates(before, 12)).toEqual([]);
+  });
+
+  test('removes multi-line entries with their continuation lines', () => {
+    const before = '## [Unreleased]\n\n### Features\n\n- add dark mode ([#12](url))\n  toggled from settings\n- other ([#3](url))\n';
+    expect(removePrEntries(before, 12)).toBe('## [Unreleased]\n\n### Features\n\n- other ([#3](url))\n');
+    expect(renderChangelog(before, [entry], { markEntries: false })).not.toContain('toggled from settings');
+  });
+
+  test('removePrEntries only touches Unreleased and keeps the final newline', () => {
+    const content = '## [Unreleased]\n\n- add dark mode ([#12](url))\n\n## [1.0.0] - 2024-01-01\n\n- released ([#12](url))\n';
+    expect(removePrEntries(content, 12)).toBe('## [Unreleased]\n\n## [1.0.0] - 2024-01-01\n\n- released ([#12](url))\n');
+  });
+});
+
+// ─── Changelog fragments ────────────────────────────────────────────────────
+describe('changelog fragments', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-fragments');
+  const fragmentsDir = path.join(tmpDir, 'unreleased');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const entry = {
+    type: 'feat', scope: 'api', description: 'add search', breaking: false, breakingNote: null,
+    prNumber: 12, prUrl: 'https://github.com/o/r/pull/12', section: 'Features', entryIndex: 0
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(fragmentsDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('names fragments by PR number and entry index', () => {
+    expect(fragmentFileName(12, 0)).toBe('12.md');
+    expect(fragmentFileName(12, undefined)).toBe('12.md');
+    expect(fragmentFileName(12, 2)).toBe('12-2.md');
+  });
+
+  test('round-trips an entry through front-matter', () => {
+    const content = serializeFragment(
+      { ...entry, breaking: true, breakingNote: 'use v2', entryIndex: 1, changelog: 'packages/api/CHANGELOG.md' },
+      { markEntries: true, rootChangelog: 'CHANGELOG.md' }
+    );
+    expect(content.startsWith('---\npr: 12\n')).toBe(true);
+    expect(content).toContain('section: Features');
+    expect(content).toContain('breaking-note: use v2');
+    expect(content).toMatch(/hash: '?[a-f0-9]{8}'?\n/);
+    expect(content.endsWith('---\nadd search\n')).toBe(true);
+
+    const parsed = parseFragment(content, '12-1.md');
+    expect(parsed.state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+    expect(parsed.entry).toMatchObject({
+      type: 'feat', scope: 'api', description: 'add search', breaking: true, breakingNote: 'use v2',
+      prNumber: 12, entryIndex: 1, section: 'Features', changelog: 'packages/api/CHANGELOG.md'
+    });
+  });
+
+  test('omits the root changelog from the front-matter', () => {
+    const content = serializeFragment({ ...entry, changelog: 'CHANGELOG.md' }, { rootChangelog: 'CHANGELOG.md' });
+    expect(content).not.toContain('changelog:');
+    expect(content).not.toContain('hash:');
+  });
+
+  test('detects edited and hand-written fragments', () => {
+    const edited = serializeFragment(entry, { markEntries: true }).replace('add search', 'add full-text search');
+    expect(parseFragment(edited, '12.md').state).toBe(ENTRY_STATE.AUTO_EDITED);
+
+    const manual = parseFragment('---\ntype: fix\n---\nfix crash\n', '34.md', { repoUrl: 'https://github.com/o/r' });
+    expect(manual.state).toBe(ENTRY_STATE.MANUAL);
+    expect(manual.entry).toMatchObject({ prNumber: 34, prUrl: 'https://github.com/o/r/pull/34', section: 'Bug Fixes' });
+  });
+
+  test('rejects malformed fragments', () => {
+    expect(() => parseFragment('add search\n', '12.md')).toThrow('Invalid changelog fragment 12.md: missing front-matter');
+    expect(() => parseFragment('---\npr: 12\n', '12.md')).toThrow('unterminated front-matter');
+    expect(() => parseFragment('---\npr: 12\nurl: u\n---\n\n', '12.md')).toThrow('empty description');
+    expect(() => parseFragment('---\nurl: u\n---\nadd search\n', 'notes.md')).toThrow('"pr" must be a PR number');
+  });
+
+  test('plans one fragment per entry and removes stale ones', () => {
+    fs.writeFileSync(path.join(fragmentsDir, '12-1.md'), serializeFragment({ ...entry, entryIndex: 1 }, { markEntries: true }));
+    fs.writeFileSync(path.join(fragmentsDir, '13.md'), serializeFragment({ ...entry, prNumber: 13 }, { markEntries: true }));
+
+    const changes = planFragmentChanges(fragmentsDir, 12, [entry], { markEntries: true });
+    expect(changes.map(change => [path.basename(change.path), change.after === null])).toEqual([
+      ['12-1.md', true],
+      ['12.md', false]
+    ]);
+    expect(detectFragmentStates(fragmentsDir, 13)).toHaveLength(1);
+  });
+
+  test('keeps edited fragments with preserveEdited', () => {
+    const edited = serializeFragment(entry, { markEntries: true }).replace('add search', 'add full-text search');
+    fs.writeFileSync(path.join(fragmentsDir, '12.md'), edited);
+
+    expect(planFragmentChanges(fragmentsDir, 12, [entry], { markEntries: true, preserveEdited: true })).toEqual([]);
+    expect(planFragmentChanges(fragmentsDir, 12, [entry], { markEntries: true })).toHaveLength(1);
+    expect(planFragmentChanges(fragmentsDir, 12, [])).toEqual([
+      { path: path.join(fragmentsDir, '12.md'), before: edited, after: null }
+    ]);
+  });
+
+  test('assembles fragments into their changelogs and deletes them', () => {
+    const packageChangelog = path.join(tmpDir, 'packages', 'api', 'CHANGELOG.md');
+    fs.writeFileSync(path.join(fragmentsDir, 'README.md'), 'Changelog fragments live here.\n');
+    fs.writeFileSync(path.join(fragmentsDir, '13.md'), serializeFragment({ ...entry, prNumber: 13, prUrl: 'https://github.com/o/r/pull/13', description: 'add filters' }));
+    fs.writeFileSync(path.join(fragmentsDir, '12.md'), serializeFragment({ ...entry, type: 'fix', section: 'Bug Fixes' }, { markEntries: true }));
+    fs.writeFileSync(path.join(fragmentsDir, '14.md'), serializeFragment({ ...entry, prNumber: 14, changelog: packageChangelog }));
+
+    const { changes, count } = planFragmentAssembly(fragmentsDir, changelogFile);
+    expect(count).toBe(3);
+
+    const root = changes.find(change => change.path === changelogFile);
+    expect(root.before).toBeNull();
+    expect(root.after).toContain('### Bug Fixes\n\n- **api**: add search ([#12](https://github.com/o/r/pull/12))\n');
+    expect(root.after).toContain('### Features\n\n- **api**: add filters ([#13](https://github.com/o/r/pull/13))\n');
+    expect(root.after).not.toContain('<!-- ac:');
+    expect(changes.find(change => change.path === packageChangelog).after).toContain('[#14]');
+    expect(changes.filter(change => change.after === null)).toHaveLength(3);
+  });
+});
+
+// ─── buildPreviewComment ────────────────────────────────────────────────────
+describe('buildPreviewComment', () => {
+  const entry = { description: 'add search', prNumber: 5, prUrl: 'url', section: 'Features', entryIndex: 0 };
+  const change = {
+    path: 'CHANGELOG.md',
+    before: '# Changelog\n\n## [Unreleased]\n',
+    after: '# Changelog\n\n## [Unreleased]\n\n### Features\n- add search ([#5](url))\n'
+  };
+  const decision = { action: 'generate', reason: 'No existing entry — auto-generate', mark: true };
+
+  test('builds a unified diff for a change', () => {
+    const diff = buildChangeDiff(change);
+    expect(diff).toContain('--- a/CHANGELOG.md');
+    expect(diff).toContain('+++ b/CHANGELOG.md');
+    expect(diff).toContain('+- add search ([#5](url))');
+  });
+
+  test('includes the marker, entry state, action, entries and diff', () => {
+    const body = buildPreviewComment({ entryState: ENTRY_STATE.NONE, decision, entries: [entry], changes: [change] });
+    expect(body.startsWith(PREVIEW_COMMENT_MARKER)).toBe(true);
+    expect(body).toContain('`NONE`');
+    expect(body).toContain('`generate`');
+    expect(body).toContain('- add search ([#5](url))');
+    expect(body).toContain('```diff');
+    expect(body).toContain('<code>CHANGELOG.md</code>');
+    expect(body).not.toContain('dry run');
+  });
+
+  test('notes when nothing would change', () => {
+    const body = buildPreviewComment({
+      entryState: ENTRY_STATE.MANUAL, decision: { action: 'preserve', reason: 'Manual entry' }, changes: [], dryRun: true
+    });
+    expect(body).toContain('(dry run)');
+    expect(body).toContain('No changelog changes');
+  });
+
+  test('lengthens the fence when the content contains backticks', () => {
+    const fenced = { ...change, after: change.after + '- use ```code``` blocks\n' };
+    const body = buildPreviewComment({ entryState: ENTRY_STATE.NONE, decision, changes: [fenced] });
+    expect(body).toContain('````diff');
+  });
+});
+
+// ─── lintChangelogEntry ─────────────────────────────────────────────────────
+describe('lintChangelogEntry', () => {
+  const generate = { action: 'generate', reason: 'Entry state: NONE', mark: true };
+  const lint = (title, options) => lintChangelogEntry(
+    { title, body: '', labels: [], html_url: 'url' }, 7, { decision: generate, ...options }
+  );
+
+  test('passes a conventional title', () => {
+    expect(lint('feat: add search')).toEqual([]);
+  });
+
+  test('reports a non-conventional title without an override', () => {
+    const problems = lint('Add search');
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toContain('not in conventional commit format');
+    expect(problems[0].message).toContain('/changelog:');
+  });
+
+  test('uses the configured comment trigger in the message', () => {
+    expect(lint('Add search', { trigger: '/cl:' })[0].message).toContain('/cl:');
+  });
+
+  test('reports an unknown type', () => {
+    const problems = lint('feet: add search');
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toContain('unknown type "feet"');
+  });
+
+  test('reports an empty description', () => {
+    expect(lint('feat:')[0].message).toContain('empty description');
+    expect(lint('fix(api):   ')[0].message).toContain('empty description');
+  });
+
+  test('passes a non-conventional title that a label or title-fallback resolves', () => {
+    const pr = { title: 'Add search', body: '', labels: [{ name: 'enhancement' }], html_url: 'url' };
+    expect(lintChangelogEntry(pr, 7, { decision: generate })).toEqual([]);
+
+    const config = validateChangelogConfig({ 'title-fallback': true }, 'config');
+    expect(lint('Add search', { config })).toEqual([]);
+  });
+
+  test('passes when the PR commits produce entries', () => {
+    expect(lint('Add search', { commitEntries: [{ description: 'add search' }] })).toEqual([]);
+  });
+
+  test('passes skipped PRs', () => {
+    expect(lint('Add search', { decision: { action: 'skip', reason: 'skip', mark: false } })).toEqual([]);
+  });
+
+  test('checks custom texts instead of the title', () => {
+    const custom = { action: 'custom', reason: 'custom', mark: true, texts: ['Improved search', 'fix:'] };
+    const problems = lint('Add search', { decision: custom });
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toContain('"fix:" has an empty description');
+  });
+
+  test('reports preserved manual entries missing their PR link', () => {
+    const preserve = { action: 'preserve', reason: 'Entry state: MANUAL (preserved)', mark: false };
+    const existingEntries = {
+      'CHANGELOG.md': [
+        { state: ENTRY_STATE.MANUAL, line: '- add search [#7]', lineNumber: 9 },
+        { state: ENTRY_STATE.MANUAL, line: '- add filters ([#7](url))', lineNumber: 10 }
+      ]
+    };
+    const problems = lint('Add search', { decision: preserve, existingEntries });
+    expect(problems).toEqual([{ message: expect.stringContaining('missing its PR link'), file: 'CHANGELOG.md', line: 9 }]);
+    // A bare [#N] reference is found as a manual entry of the PR
+    expect(detectEntryStates('## [Unreleased]\n\n- Fix thing [#7]\n', 7)).toEqual([expect.objectContaining({ state: ENTRY_STATE.MANUAL })]);
+  });
+
+  test('requires a custom entry when auto-categorize is off', () => {
+    const problems = lint('feat: add search', { autoCategorize: false, entryState: ENTRY_STATE.NONE });
+    expect(problems).toEqual([{ message: 'auto-categorize is off and PR #7 has no /changelog: entry' }]);
+    expect(lint('Add search', { autoCategorize: false, entryState: ENTRY_STATE.AUTO_UNTOUCHED })).toEqual([]);
+    const custom = { action: 'custom', reason: 'custom', mark: true, texts: ['Improved search'] };
+    expect(lint('Add search', { autoCategorize: false, decision: custom })).toEqual([]);
+  });
+});
+
+// ─── commitChanges (push retry) ─────────────────────────────────────────────
+describe('commitChanges', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-commit');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const originalPayload = github.context.payload;
+  const rejected = { exitCode: 1, stdout: '', stderr: ' ! [rejected] feature -> feature (fetch first)\n' };
+  let gitCalls;
+  let pushResults;
+  // What the fetched branch and the remote branch point to
+  let fetchedSha;
+  let remoteSha;
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(changelogFile, '# Changelog\n\n## [Unreleased]\n');
+    github.context.payload = { pull_request: { head: { ref: 'feature' } } };
+    gitCalls = [];
+    pushResults = [];
+    fetchedSha = 'aaa111';
+    remoteSha = 'aaa111';
+    // Never run real git commands from tests
+    jest.spyOn(exec, 'exec').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      return 0;
+    });
+    jest.spyOn(exec, 'getExecOutput').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      if (args[0] === 'push') return pushResults.shift();
+      if (args[0] === 'rev-parse') return { exitCode: 0, stdout: `${fetchedSha}\n`, stderr: '' };
+      if (args[0] === 'ls-remote') return { exitCode: 0, stdout: `${remoteSha}\trefs/heads/${args[2].split('/').pop()}\n`, stderr: '' };
+      return { exitCode: 0, stdout: ' M CHANGELOG.md\n', stderr: '' };
+    });
+    jest.spyOn(require('@actions/core'), 'warning').mockImplementation(() => {});
+    jest.spyOn(require('@actions/core'), 'error').mockImplementation(() => {});
+    jest.spyOn(require('@actions/core'), 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    github.context.payload = originalPayload;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Appends a line to whatever the changelog holds when planned
+  const planAppend = () => {
+    const before = fs.readFileSync(changelogFile, 'utf8');
+    return { changes: [{ path: changelogFile, before, after: `${before}- entry\n` }], entriesCount: 1 };
+  };
+
+  test('pushes once when the push succeeds', async () => {
+    pushResults.push({ exitCode: 0, stdout: '', stderr: '' });
+    const plan = await commitChanges(planAppend, 12, { baseDelayMs: 0 });
+
+    expect(plan.entriesCount).toBe(1);
+    expect(gitCalls.filter(call => call.startsWith('push'))).toHaveLength(1);
+    expect(gitCalls).not.toContain('reset --hard FETCH_HEAD');
+  });
+
+  test('resets to the remote head and re-plans on fresh content after a rejected push', async () => {
+    pushResults.push(rejected, { exitCode: 0, stdout: '', stderr: '' });
+    const planChanges = jest.fn(planAppend);
+    // Simulate the contributor's push landing during the reset
+    exec.exec.mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      if (args[0] === 'reset') fs.writeFileSync(changelogFile, '# Changelog\n\n## [Unreleased]\n- theirs\n');
+      return 0;
+    });
+
+    await commitChanges(planChanges, 12, { baseDelayMs: 0 });
+
+    expect(planChanges).toHaveBeenCalledTimes(2);
+    expect(gitCalls).toEqual(expect.arrayContaining(['fetch origin feature', 'reset --hard FETCH_HEAD']));
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe('# Changelog\n\n## [Unreleased]\n- theirs\n- entry\n');
+  });
+
+  test('gives up after the maximum number of attempts', async () => {
+    pushResults.push(rejected, rejected, rejected);
+    await expect(commitChanges(planAppend, 12, { maxAttempts: 3, baseDelayMs: 0 }))
+      .rejects.toThrow('failed after 3 attempt(s)');
+    expect(gitCalls.filter(call => call.startsWith('push'))).toHaveLength(3);
+  });
+
+  test('pushes to the fork branch when given a remote', async () => {
+    pushResults.push({ exitCode: 0, stdout: '', stderr: '' });
+    const remote = 'https://github.com/contributor/repo.git';
+    await commitChanges(planAppend, 12, { remote, branch: 'patch-1', baseDelayMs: 0 });
+
+    expect(gitCalls).toEqual(expect.arrayContaining([
+      `fetch ${remote} patch-1`,
+      'checkout -B patch-1 FETCH_HEAD',
+      `push ${remote} patch-1`
+    ]));
+    expect(gitCalls).not.toContain('checkout feature');
+  });
+
+  test('commits to the PR branch on issue_comment events, which carry no pull_request payload', async () => {
+    github.context.payload = { issue: { number: 12, pull_request: {} }, comment: { id: 1 } };
+    pushResults.push({ exitCode: 0, stdout: '', stderr: '' });
+    await commitChanges(planAppend, 12, { branch: 'feature', headSha: 'aaa111', baseDelayMs: 0 });
+
+    expect(gitCalls.slice(2, 4)).toEqual(['fetch origin feature', 'rev-parse FETCH_HEAD']);
+    expect(gitCalls).toEqual(expect.arrayContaining(['checkout -B feature FETCH_HEAD', 'push origin feature']));
+  });
+
+  test('fails clearly when the PR branch is unknown', async () => {
+    github.context.payload = { issue: { number: 12 } };
+    await expect(commitChanges(planAppend, 12, { baseDelayMs: 0 })).rejects.toThrow('Cannot determine the head branch of PR #12');
+  });
+
+  test('does not push when the branch moved after it was fetched', async () => {
+    remoteSha = 'bbb222';
+    pushResults.push({ exitCode: 0, stdout: '', stderr: '' });
+    const planChanges = jest.fn(planAppend);
+    // The retry fetches the moved head
+    exec.exec.mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      if (args[0] === 'fetch' && planChanges.mock.calls.length > 0) fetchedSha = 'bbb222';
+      return 0;
+    });
+
+    await commitChanges(planChanges, 12, { branch: 'feature', baseDelayMs: 0 });
+
+    expect(planChanges).toHaveBeenCalledTimes(2);
+    expect(gitCalls.filter(call => call.startsWith('push'))).toHaveLength(1);
+    expect(gitCalls.indexOf('reset --hard FETCH_HEAD')).toBeLessThan(gitCalls.indexOf('push origin feature'));
+  });
+
+  test('does not retry pushes that fail for other reasons', async () => {
+    pushResults.push({ exitCode: 1, stdout: '', stderr: 'remote: Permission denied\n' });
+    await expect(commitChanges(planAppend, 12, { baseDelayMs: 0 })).rejects.toThrow('Permission denied');
+    expect(gitCalls.filter(call => call.startsWith('push'))).toHaveLength(1);
+  });
+});
+
+// ─── commitViaApi ───────────────────────────────────────────────────────────
+describe('commitViaApi', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-api');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  let remoteContent;
+  let octokit;
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(changelogFile, 'stale local copy\n');
+    remoteContent = '# Changelog\n\n## [Unreleased]\n';
+    jest.spyOn(require('@actions/core'), 'warning').mockImplementation(() => {});
+    octokit = {
+      rest: {
+        repos: { getContent: jest.fn(async () => ({ data: remoteContent })) },
+        git: {
+          getRef: jest.fn()
+            .mockResolvedValueOnce({ data: { object: { sha: 'head1' } } })
+            .mockResolvedValueOnce({ data: { object: { sha: 'head2' } } }),
+          getCommit: jest.fn(async ({ commit_sha: sha }) => ({ data: { tree: { sha: `tree-of-${sha}` } } })),
+          createTree: jest.fn(async () => ({ data: { sha: 'newtree' } })),
+          createCommit: jest.fn(async () => ({ data: { sha: 'newcommit' } })),
+          updateRef: jest.fn(async () => ({}))
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const delivery = () => ({
+    octokit, owner: 'o', repo: 'r', prNumber: 12, branch: 'feature', syncPaths: [changelogFile], syncDirs: []
+  });
+  const planAppend = () => {
+    const before = fs.readFileSync(changelogFile, 'utf8');
+    return { changes: [{ path: changelogFile, before, after: `${before}- entry\n` }], entriesCount: 1 };
+  };
+
+  test('plans on the synced head and commits a tree on top of it', async () => {
+    await commitViaApi(planAppend, delivery(), { baseDelayMs: 0 });
+
+    expect(octokit.rest.git.createTree).toHaveBeenCalledWith(expect.objectContaining({
+      base_tree: 'tree-of-head1',
+      tree: [expect.objectContaining({ content: '# Changelog\n\n## [Unreleased]\n- entry\n', mode: '100644' })]
+    }));
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+      parents: ['head1'],
+      message: '[AUTO-CHANGELOG] chore: update changelog with 1 new entries for PR #12'
+    }));
+    expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/feature', sha: 'newcommit', force: false }));
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe('# Changelog\n\n## [Unreleased]\n- entry\n');
+  });
+
+  test('re-plans on the new head when the branch moved', async () => {
+    octokit.rest.git.updateRef.mockRejectedValueOnce(Object.assign(new Error('Update is not a fast forward'), { status: 422 }));
+    // The contributor's push lands between the first plan and the ref update
+    octokit.rest.git.createCommit.mockImplementationOnce(async () => {
+      remoteContent = '# Changelog\n\n## [Unreleased]\n- theirs\n';
+      return { data: { sha: 'newcommit' } };
+    });
+
+    await commitViaApi(planAppend, delivery(), { baseDelayMs: 0 });
+
+    expect(octokit.rest.git.createCommit).toHaveBeenLastCalledWith(expect.objectContaining({ parents: ['head2'] }));
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe('# Changelog\n\n## [Unreleased]\n- theirs\n- entry\n');
+  });
+
+  test('deletes files whose planned content is null', async () => {
+    const planDelete = () => ({ changes: [{ path: changelogFile, before: 'x', after: null }], entriesCount: 0 });
+    await commitViaApi(planDelete, delivery(), { baseDelayMs: 0 });
+    expect(octokit.rest.git.createTree.mock.calls[0][0].tree[0]).toMatchObject({ sha: null });
+    expect(octokit.rest.git.createTree.mock.calls[0][0].tree[0]).not.toHaveProperty('content');
+  });
+
+  test('does not retry other API errors', async () => {
+    octokit.rest.git.updateRef.mockRejectedValueOnce(Object.assign(new Error('Resource not accessible'), { status: 403 }));
+    await expect(commitViaApi(planAppend, delivery(), { baseDelayMs: 0 })).rejects.toThrow('after 1 attempt(s)');
+  });
+
+  test('converts local paths to repository paths', () => {
+    expect(toRepoPath('./CHANGELOG.md')).toBe('CHANGELOG.md');
+    expect(toRepoPath('packages/api/../api/CHANGELOG.md')).toBe('packages/api/CHANGELOG.md');
+  });
+});
+
+// ─── deliverChanges ─────────────────────────────────────────────────────────
+describe('deliverChanges previews', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-deliver');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const fragmentsDir = path.join(tmpDir, 'fragments');
+  const localFragment = path.join(fragmentsDir, '9.md');
+  const remoteContent = '# Changelog\n\n## [Unreleased]\n';
+  let octokit;
+  let core;
+
+  beforeEach(() => {
+    fs.mkdirSync(fragmentsDir, { recursive: true });
+    fs.writeFileSync(changelogFile, 'stale local copy\n');
+    fs.writeFileSync(localFragment, 'not on the PR head\n');
+    jest.spyOn(exec, 'exec').mockResolvedValue(0);
+    jest.spyOn(exec, 'getExecOutput').mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+    core = require('@actions/core');
+    jest.spyOn(core, 'info').mockImplementation(() => {});
+    octokit = {
+      paginate: jest.fn(async () => []),
+      rest: {
+        repos: {
+          getContent: jest.fn(async ({ path: repoPath }) => {
+            if (repoPath.endsWith('fragments')) return { data: [] };
+            return { data: remoteContent };
+          })
+        },
+        issues: { listComments: jest.fn(), createComment: jest.fn(async () => ({ data: { id: 5 } })), updateComment: jest.fn() },
+        git: { getRef: jest.fn(), createTree: jest.fn(), createCommit: jest.fn(), updateRef: jest.fn() }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const delivery = extra => ({
+    octokit, owner: 'o', repo: 'r', prNumber: 12, headSha: 'head1', branch: 'feature', commitMethod: 'git',
+    syncPaths: [changelogFile], syncDirs: [fragmentsDir], ...extra
+  });
+  const planAppend = snapshot => {
+    const before = readChangelog(changelogFile, snapshot);
+    return {
+      changes: [{ path: changelogFile, before, after: `${before}- entry\n` }],
+      commit: true,
+      entriesCount: 1,
+      preview: { entryState: ENTRY_STATE.NONE, decision: { action: 'generate', reason: 'Entry state: NONE' } }
+    };
+  };
+  const expectUntouched = () => {
+    expect(exec.exec).not.toHaveBeenCalled();
+    expect(exec.getExecOutput).not.toHaveBeenCalled();
+    expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+    expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe('stale local copy\n');
+    expect(fs.existsSync(localFragment)).toBe(true);
+  };
+
+  test('a dry run plans on the PR head in memory and only logs the preview', async () => {
+    const plan = await deliverChanges(planAppend, delivery({ dryRun: true }));
+
+    expect(plan.changes[0].before).toBe(remoteContent);
+    expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ ref: 'head1' }));
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('+- entry'));
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expectUntouched();
+  });
+
+  test('comment mode posts the preview without committing or writing, whatever the commit method', async () => {
+    for (const commitMethod of ['git', 'api']) {
+      await deliverChanges(planAppend, delivery({ commitMode: 'comment', commitMethod }));
+    }
+
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('+- entry');
+    expectUntouched();
+  });
+});
+
+// ─── issue_comment events ───────────────────────────────────────────────────
+describe('run on issue_comment events', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-run');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const remoteContent = '# Changelog\n\n## [Unreleased]\n';
+  const original = { eventName: github.context.eventName, payload: github.context.payload };
+  const author = { login: 'alice', type: 'User' };
+  let octokit;
+  let core;
+  let listedComments;
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(changelogFile, remoteContent);
+    core = require('@actions/core');
+    const inputs = {
+      'github-token': 'token',
+      'changelog-path': changelogFile,
+      'auto-categorize': 'true',
+      'comment-trigger': '/changelog:',
+      'default-behavior': 'auto',
+      'commit-method': 'api'
+    };
+    jest.spyOn(core, 'getInput').mockImplementation(name => inputs[name] || '');
+    for (const method of ['info', 'warning', 'debug', 'setOutput', 'setFailed']) {
+      jest.spyOn(core, method).mockImplementation(() => {});
+    }
+    jest.spyOn(exec, 'exec').mockResolvedValue(0);
+    jest.spyOn(exec, 'getExecOutput').mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+    listedComments = [];
+    octokit = {
+      paginate: jest.fn(async method => (method === octokit.rest.issues.listComments ? listedComments : [])),
+      rest: {
+        pulls: {
+          get: jest.fn(async () => ({
+            data: {
+              number: 12, title: 'feat: add search', body: '', labels: [], user: author,
+              html_url: 'https://github.com/o/r/pull/12',
+              head: { ref: 'feature', sha: 'head1', repo: { full_name: 'o/r' } },
+              base: { repo: { full_name: 'o/r' } }
+            }
+          })),
+          listCommits: jest.fn(),
+          listFiles: jest.fn()
+        },
+        issues: { listComments: jest.fn(), createComment: jest.fn(async () => ({ data: { id: 99 } })) },
+        reactions: { createForIssueComment: jest.fn(async () => ({})) },
+        repos: { getContent: jest.fn(async () => ({ data: remoteContent })) },
+        git: {
+          getRef: jest.fn(async () => ({ data: { object: { sha: 'head1' } } })),
+          getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree1' } } })),
+          createTree: jest.fn(async () => ({ data: { sha: 'newtree' } })),
+          createCommit: jest.fn(async () => ({ data: { sha: 'newcommit' } })),
+          updateRef: jest.fn(async () => ({}))
+        }
+      }
+    };
+    jest.spyOn(github, 'getOctokit').mockReturnValue(octokit);
+    github.context.eventName = 'issue_comment';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    github.context.eventName = original.eventName;
+    github.context.payload = original.payload;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const commentEvent = (action, comment, extra) => {
+    github.context.payload = {
+      action,
+      issue: { number: 12, pull_request: {} },
+      comment: { id: 7, user: author, ...comment },
+      repository: { name: 'r', owner: { login: 'o' } },
+      ...extra
+    };
+  };
+  const committedChangelog = () => octokit.rest.git.createTree.mock.calls[0][0].tree[0].content;
+  const reactions = () => octokit.rest.reactions.createForIssueComment.mock.calls.map(([params]) => params.content);
+
+  test('a created command comment commits the entry and gets a rocket', async () => {
+    commentEvent('created', { body: '/changelog: Add fuzzy search' });
+    listedComments = [github.context.payload.comment];
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(committedChangelog()).toContain('- Add fuzzy search');
+    expect(octokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 7 }));
+    expect(reactions()).toEqual(['rocket']);
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('an edited command comment is applied with its new body, even if the listing lags', async () => {
+    commentEvent('edited', { body: '/changelog: Add fuzzy search' }, { changes: { body: { from: '/changelog: Add search' } } });
+    listedComments = [{ ...github.context.payload.comment, body: '/changelog: Add search' }];
+
+    await run();
+
+    expect(committedChangelog()).toContain('- Add fuzzy search');
+    expect(committedChangelog()).not.toContain('- Add search');
+    expect(reactions()).toEqual(['rocket']);
+  });
+
+  test('a deleted command comment no longer applies and is not answered', async () => {
+    commentEvent('deleted', { body: '/changelog: Add fuzzy search' });
+    listedComments = [github.context.payload.comment];
+
+    await run();
+
+    expect(committedChangelog()).toContain('add search');
+    expect(committedChangelog()).not.toContain('fuzzy');
+    expect(octokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('edits that never had a command are skipped', async () => {
+    commentEvent('edited', { body: 'LGTM!' }, { changes: { body: { from: 'LGTM' } } });
+
+    await run();
+
+    expect(octokit.rest.pulls.get).not.toHaveBeenCalled();
+    expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+  });
+
+  test('comments from bots are ignored', async () => {
+    commentEvent('created', { body: '/changelog skip', user: { login: 'github-actions[bot]', type: 'Bot' } });
+
+    await run();
+
+    expect(core.info).toHaveBeenCalledWith('Ignoring comment from bot @github-actions[bot]');
+    expect(octokit.rest.pulls.get).not.toHaveBeenCalled();
+    expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+    expect(octokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled();
+  });
+
+  test('an unknown command is answered with a confused reaction and a reply', async () => {
+    commentEvent('created', { body: '/changelog frobnicate' });
+    listedComments = [github.context.payload.comment];
+
+    await run();
+
+    expect(reactions()).toEqual(['confused']);
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      issue_number: 12,
+      body: expect.stringContaining('@alice `/changelog frobnicate` is not a changelog command')
+    }));
+  });
+});
+
+// ─── Fork PRs ───────────────────────────────────────────────────────────────
+describe('isForkPr', () => {
+  const base = { repo: { full_name: 'owner/repo' } };
+
+  test('detects PRs whose head lives in another repository', () => {
+    expect(isForkPr({ base, head: { repo: { full_name: 'owner/repo' } } })).toBe(false);
+    expect(isForkPr({ base, head: { repo: { full_name: 'contributor/repo', fork: true } } })).toBe(true);
+  });
+
+  test('treats PRs from deleted forks as forks', () => {
+    expect(isForkPr({ base, head: { repo: null } })).toBe(true);
+  });
+});
+
+describe('buildSuggestion', () => {
+  const before = '# Changelog\n\n## [Unreleased]\n\n### Features\n- old ([#1](url))\n\n## [1.0.0] - 2024-01-01\n';
+
+  test('anchors a pure insertion on the line above', () => {
+    const after = before.replace('- old ([#1](url))\n', '- old ([#1](url))\n- new ([#2](url))\n');
+    const suggestion = buildSuggestion({ path: './CHANGELOG.md', before, after });
+
+    expect(suggestion).toMatchObject({ path: 'CHANGELOG.md', line: 6, startLine: null });
+    expect(suggestion.body.startsWith(SUGGESTION_COMMENT_MARKER)).toBe(true);
+    expect(suggestion.body).toContain('```suggestion\n- old ([#1](url))\n- new ([#2](url))\n```');
+  });
+
+  test('anchors an insertion at the top of the file on the line below', () => {
+    const suggestion = buildSuggestion({ path: 'CHANGELOG.md', before: 'a\nb\n', after: 'x\na\nb\n' });
+    expect(suggestion).toMatchObject({ line: 1, startLine: null });
+    expect(suggestion.body).toContain('```suggestion\nx\na\n```');
+  });
+
+  test('replaces a block of changed lines', () => {
+    const after = before.replace('### Features\n- old ([#1](url))', '### Bug Fixes\n- fixed ([#1](url))');
+    const suggestion = buildSuggestion({ path: 'CHANGELOG.md', before, after });
+    expect(suggestion).toMatchObject({ line: 6, startLine: 5 });
+    expect(suggestion.body).toContain('```suggestion\n### Bug Fixes\n- fixed ([#1](url))\n```');
+  });
+
+  test('suggests removing deleted lines', () => {
+    const after = before.replace('- old ([#1](url))\n', '');
+    const suggestion = buildSuggestion({ path: 'CHANGELOG.md', before, after });
+    expect(suggestion).toMatchObject({ line: 6, startLine: null });
+    expect(suggestion.body).toContain('```suggestion\n```');
+  });
+
+  test('returns null for new, deleted or unchanged files', () => {
+    expect(buildSuggestion({ path: 'CHANGELOG.md', before: null, after: 'a\n' })).toBeNull();
+    expect(buildSuggestion({ path: '.changelog/unreleased/2.md', before: 'a\n', after: null })).toBeNull();
+    expect(buildSuggestion({ path: 'CHANGELOG.md', before: 'a\n', after: 'a\n' })).toBeNull();
+  });
+});
+
+// ─── Changelog validation ──────────────────────────────────────────────────
+describe('validateChangelog', () => {
+  const valid = '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- add search ([#5](url5)) <!-- ac:0a1b2c3d:5 -->\n\n' +
+    '## [1.1.0] - 2024-02-01\n\n### Bug Fixes\n- fix crash ([#4](url4))\n\n## [1.0.0] - 2024-01-01\n\n### Features\n- first\n';
+
+  test('accepts a well-formed changelog', () => {
+    expect(validateChangelog(valid)).toEqual({ problems: [], fixed: valid });
+  });
+
+  test('stays valid after a PR is skipped', () => {
+    const skipped = removePrEntries(valid, 5);
+    expect(skipped).not.toContain('add search');
+    expect(validateChangelog(skipped).problems).toEqual([]);
+  });
+
+  test('reports each kind of problem and fixes the safe ones', () => {
+    const content = [
+      '# Changelog',
+      '',
+      '## Unreleased',
+      '',
+      '###Features',
+      '',
+      '- add search ([#5](url5)) <!-- ac:0a1b2c3d:6 -->',
+      '',
+      '- add export ([#7](url7))',
+      '- add search ([#5](url5))',
+      'stray note <!-- ac:0a1b2c3d:8 -->',
+      '',
+      '### Changes',
+      '',
+      '',
+      '## [1.0.0]',
+      '',
+      '### Bug Fixes',
+      '- fix crash ([#4](url4)) <!-- ac:1a2b3c4d:4 -->',
+      '',
+      '## [1.2.0] - 2024-03-01',
+      '- later',
+      '',
+      '## Old stuff - 2023-01-01',
+      '- ancient',
+      ''
+    ].join('\n');
+
+    const { problems, fixed } = validateChangelog(content);
+    expect(problems.map(problem => [problem.line, problem.kind, problem.fixable])).toEqual([
+      [3, VALIDATION_PROBLEMS.MALFORMED_HEADING, true],
+      [5, VALIDATION_PROBLEMS.MALFORMED_HEADING, true],
+      [7, VALIDATION_PROBLEMS.ORPHAN_MARKER, true],
+      [8, VALIDATION_PROBLEMS.STRAY_BLANK_LINE, true],
+      [10, VALIDATION_PROBLEMS.DUPLICATE_ENTRY, true],
+      [11, VALIDATION_PROBLEMS.ORPHAN_MARKER, true],
+      [13, VALIDATION_PROBLEMS.EMPTY_SECTION, true],
+      [16, VALIDATION_PROBLEMS.MISSING_DATE, false],
+      [19, VALIDATION_PROBLEMS.RELEASED_MARKER, true],
+      [21, VALIDATION_PROBLEMS.VERSION_ORDER, false],
+      [24, VALIDATION_PROBLEMS.MALFORMED_HEADING, false]
+    ]);
+    expect(problems.find(problem => problem.line === 10).message).toBe('Duplicate entry for PR #5 (first at line 7)');
+
+    expect(fixed).toBe([
+      '# Changelog',
+      '',
+      '## [Unreleased]',
+      '',
+      '### Features',
+      '',
+      '- add search ([#5](url5))',
+      '- add export ([#7](url7))',
+      '',
+      '## [1.0.0]',
+      '',
+      '### Bug Fixes',
+      '- fix crash ([#4](url4))',
+      '',
+      '## [1.2.0] - 2024-03-01',
+      '- later',
+      '',
+      '## Old stuff - 2023-01-01',
+      '- ancient',
+      ''
+    ].join('\n'));
+    expect(validateChangelog(fixed).problems.every(problem => !problem.fixable)).toBe(true);
+  });
+
+  test('treats marked entries with the same index as duplicates', () => {
+    const content = '## [Unreleased]\n\n### Features\n- add search ([#5](u)) <!-- ac:0a1b2c3d:5 -->\n\n' +
+      '### Bug Fixes\n- fix search ([#5](u)) <!-- ac:1a2b3c4d:5 -->\n- fix more ([#5](u)) <!-- ac:2a3b4c5d:5:1 -->\n';
+    expect(validateChangelog(content).problems.map(problem => [problem.line, problem.kind])).toEqual([
+      [7, VALIDATION_PROBLEMS.DUPLICATE_ENTRY]
+    ]);
+  });
+
+  test('compares semver versions by precedence', () => {
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.0.0-beta.2', '1.0.0-beta.11')).toBeLessThan(0);
+    expect(compareVersions('1.0.0-rc.1', '1.0.0')).toBeLessThan(0);
+    expect(compareVersions('1.0.0', '1.0.0+build.5')).toBe(0);
+  });
+});
+
+describe('runValidate', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-validate');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const content = '# Changelog\n\n## [Unreleased]\n\n### Features\n- a ([#1](u))\n\n### Changes\n\n## [1.0.0]\n- old\n';
+  const repository = { name: 'r', owner: { login: 'o' } };
+  const originalPayload = github.context.payload;
+  const originalRef = github.context.ref;
+  let gitCalls;
+  let octokit;
+  let core;
+
+  beforeEach(() => {
+    fs.mkdirSync(tmpDir, { recursive: true });
+    fs.writeFileSync(changelogFile, content);
+    github.context.payload = { repository };
+    github.context.ref = 'refs/heads/main';
+    gitCalls = [];
+    jest.spyOn(exec, 'exec').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      return 0;
+    });
+    jest.spyOn(exec, 'getExecOutput').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      if (args[0] === 'rev-parse' || args[0] === 'ls-remote') return { exitCode: 0, stdout: 'aaa111\n', stderr: '' };
+      return { exitCode: 0, stdout: args[0] === 'status' ? ' M CHANGELOG.md\n' : '', stderr: '' };
+    });
+    core = require('@actions/core');
+    for (const method of ['info', 'notice', 'error', 'setFailed', 'setOutput']) {
+      jest.spyOn(core, method).mockImplementation(() => {});
+    }
+    octokit = {
+      rest: {
+        repos: { getContent: jest.fn(async () => ({ data: content })) },
+        git: {
+          getRef: jest.fn(async () => ({ data: { object: { sha: 'head1' } } })),
+          getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree1' } } })),
+          createTree: jest.fn(async () => ({ data: { sha: 'newtree' } })),
+          createCommit: jest.fn(async () => ({ data: { sha: 'newcommit' } })),
+          updateRef: jest.fn(async () => ({}))
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    github.context.payload = originalPayload;
+    github.context.ref = originalRef;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const options = extra => ({ fix: false, inputBranch: '', dryRun: false, octokit, commitMethod: COMMIT_METHODS.GIT, ...extra });
+
+  test('reports problems without writing', async () => {
+    await runValidate([changelogFile], options());
+    expect(core.error).toHaveBeenCalledWith(
+      'Section "### Changes" in "## [Unreleased]" is empty (fixable with fix: true)',
+      expect.objectContaining({ startLine: 8 })
+    );
+    expect(core.error).toHaveBeenCalledWith('Release heading "## [1.0.0]" has no YYYY-MM-DD date', expect.any(Object));
+    expect(core.setOutput).toHaveBeenCalledWith('problems', '2');
+    expect(core.setFailed).toHaveBeenCalledWith('Changelog validation found 2 problem(s)');
+    expect(gitCalls).toEqual([]);
+  });
+
+  test('commits the fixes and fails only on what is left', async () => {
+    await runValidate([changelogFile, path.join(tmpDir, 'missing.md')], options({ fix: true }));
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe('# Changelog\n\n## [Unreleased]\n\n### Features\n- a ([#1](u))\n\n## [1.0.0]\n- old\n');
+    expect(core.notice).toHaveBeenCalledWith('Fixed: Section "### Changes" in "## [Unreleased]" is empty', expect.any(Object));
+    expect(gitCalls).toEqual(expect.arrayContaining([
+      'fetch origin main',
+      'checkout -B main FETCH_HEAD',
+      'commit -m [AUTO-CHANGELOG] chore: fix 1 changelog problems',
+      'push origin main'
+    ]));
+    expect(core.setOutput).toHaveBeenCalledWith('problems', '1');
+    expect(core.setOutput).toHaveBeenCalledWith('changelog-updated', 'true');
+    expect(core.setFailed).toHaveBeenCalledWith('Changelog validation found 1 problem(s)');
+  });
+
+  test('commits the fixes through the API with commit-method api', async () => {
+    fs.writeFileSync(changelogFile, 'stale local copy\n');
+    await runValidate([changelogFile], options({ fix: true, commitMethod: COMMIT_METHODS.API }));
+
+    expect(gitCalls).toEqual([]);
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+      message: '[AUTO-CHANGELOG] chore: fix 1 changelog problems', parents: ['head1']
+    }));
+    expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/main', sha: 'newcommit' }));
+    expect(core.setOutput).toHaveBeenCalledWith('problems', '1');
+  });
+
+  test('only logs the fixes in a dry run', async () => {
+    await runValidate([changelogFile], options({ fix: true, dryRun: true }));
+
+    expect(fs.readFileSync(changelogFile, 'utf8')).toBe(content);
+    expect(gitCalls).toEqual(['fetch origin main', 'checkout -B main FETCH_HEAD']);
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('-### Changes'));
+    expect(core.error).toHaveBeenCalledWith('Section "### Changes" in "## [Unreleased]" is empty (dry run, not fixed)', expect.any(Object));
+    expect(core.setOutput).toHaveBeenCalledWith('problems', '2');
+    expect(core.setOutput).toHaveBeenCalledWith('changelog-updated', 'false');
+  });
+
+  test('only reports on pull requests', async () => {
+    github.context.payload = { repository, pull_request: { number: 3 } };
+    await runValidate([changelogFile], options({ fix: true }));
+    expect(gitCalls).toEqual([]);
+    expect(core.setOutput).toHaveBeenCalledWith('problems', '2');
+  });
+});
+
+// ─── Backfill ──────────────────────────────────────────────────────────────
+describe('backfill', () => {
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+  const mergedPr = (number, title, extra) => ({
+    number,
+    title,
+    body: '',
+    labels: [],
+    user: { login: 'octocat' },
+    html_url: `https://github.com/o/r/pull/${number}`,
+    merged_at: `2024-03-0${number}T10:00:00Z`,
+    updated_at: `2024-03-0${number}T10:00:00Z`,
+    merge_commit_sha: `sha${number}`,
+    ...extra
+  });
+  // Serves pulls.list pages like octokit.paginate, honoring the map function's done()
+  const paginate = pages => jest.fn(async (method, params, mapFn) => {
+    if (!mapFn) return [];
+    const results = [];
+    let finished = false;
+    for (const data of pages) {
+      results.push(...mapFn({ data }, () => { finished = true; }));
+      if (finished) break;
+    }
+    return results;
+  });
+
+  test('lists PR numbers linked in released sections', () => {
+    const content = '## [Unreleased]\n- a ([#9](u))\n\n## [1.0.0]\n- b ([#1](u)), ([#2](u))\n  see [#3](u)\n';
+    expect(releasedPrNumbers(content)).toEqual([1, 2]);
+    expect(releasedPrNumbers(null)).toEqual([]);
+  });
+
+  test('starts from a date, a tag or the last release', async () => {
+    const octokit = { rest: { repos: { getCommit: jest.fn() } } };
+    expect(await resolveBackfillSince(octokit, 'o', 'r', '2024-02-01', null)).toEqual({ time: '2024-02-01T00:00:00Z', source: '2024-02-01' });
+
+    octokit.rest.repos.getCommit.mockResolvedValueOnce({ data: { commit: { committer: { date: '2024-02-03T12:00:00Z' } } } });
+    expect(await resolveBackfillSince(octokit, 'o', 'r', 'v1.1.0', null)).toEqual({ time: '2024-02-03T12:00:00Z', source: 'tag v1.1.0' });
+
+    const changelog = '# Changelog\n\n## [Unreleased]\n\n## [1.2.0] - 2024-03-01\n\n## [1.1.0] - 2024-02-01\n';
+    octokit.rest.repos.getCommit.mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce({ data: { commit: { committer: { date: '2024-03-01T09:30:00Z' } } } });
+    expect(await resolveBackfillSince(octokit, 'o', 'r', '', changelog)).toEqual({ time: '2024-03-01T09:30:00Z', source: 'tag 1.2.0' });
+    expect(octokit.rest.repos.getCommit).toHaveBeenCalledWith({ owner: 'o', repo: 'r', ref: 'v1.2.0' });
+
+    octokit.rest.repos.getCommit.mockRejectedValue(notFound());
+    expect(await resolveBackfillSince(octokit, 'o', 'r', '', changelog)).toEqual({
+      time: '2024-03-01T00:00:00Z', source: '"## [1.2.0] - 2024-03-01"'
+    });
+    await expect(resolveBackfillSince(octokit, 'o', 'r', 'nope', changelog)).rejects.toThrow('neither a YYYY-MM-DD date nor a tag');
+    await expect(resolveBackfillSince(octokit, 'o', 'r', '', '# Changelog\n\n## [Unreleased]\n')).rejects.toThrow('set "backfill-since"');
+  });
+
+  test('lists PRs merged since the start, oldest first, without paging further', async () => {
+    const pages = [
+      [mergedPr(4, 'd'), mergedPr(3, 'c', { merged_at: null }), mergedPr(2, 'b')],
+      [mergedPr(1, 'a', { merged_at: '2024-02-20T00:00:00Z' }), mergedPr(0, 'old', { updated_at: '2024-01-01T00:00:00Z' })],
+      [mergedPr(5, 'never read')]
+    ];
+    const octokit = { paginate: paginate(pages), rest: { pulls: { list: jest.fn() } } };
+    const pullRequests = await listMergedPullRequests(octokit, 'o', 'r', 'main', '2024-02-15T00:00:00Z');
+    expect(pullRequests.map(pr => pr.number)).toEqual([1, 2, 4]);
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.list, expect.objectContaining({
+      base: 'main', state: 'closed', sort: 'updated', direction: 'desc'
+    }), expect.any(Function));
+  });
+
+  describe('runBackfill', () => {
+    const tmpDir = path.join(__dirname, '.test-tmp-backfill');
+    const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+    const originalPayload = github.context.payload;
+    const originalRef = github.context.ref;
+    let gitCalls;
+    let comments;
+    let octokit;
+    let core;
+
+    beforeEach(() => {
+      fs.mkdirSync(tmpDir, { recursive: true });
+      fs.writeFileSync(changelogFile, [
+        '# Changelog', '', '## [Unreleased]', '', '### Features', '', '- manual entry ([#2](https://github.com/o/r/pull/2))', '',
+        '## [1.0.0] - 2024-03-01', '', '### Bug Fixes', '', '- fix ([#1](https://github.com/o/r/pull/1))', ''
+      ].join('\n'));
+      github.context.payload = { repository: { name: 'r', owner: { login: 'o' }, default_branch: 'main' } };
+      github.context.ref = '';
+      gitCalls = [];
+      jest.spyOn(exec, 'exec').mockImplementation(async (command, args) => {
+        gitCalls.push(args.join(' '));
+        return 0;
+      });
+      jest.spyOn(exec, 'getExecOutput').mockImplementation(async (command, args) => {
+        gitCalls.push(args.join(' '));
+        if (args[0] === 'rev-parse' || args[0] === 'ls-remote') return { exitCode: 0, stdout: 'aaa111\n', stderr: '' };
+        return { exitCode: 0, stdout: args[0] === 'status' ? ' M CHANGELOG.md\n' : '', stderr: '' };
+      });
+      core = require('@actions/core');
+      for (const method of ['info', 'warning', 'error', 'setOutput']) {
+        jest.spyOn(core, method).mockImplementation(() => {});
+      }
+      // Comments by PR number: bodies from the PR author, or whole comments
+      comments = {};
+      const listPulls = paginate([[
+          mergedPr(6, 'Update the docs', { body: '/changelog: fix: handle empty config' }),
+          mergedPr(5, 'Tidy things up'),
+          mergedPr(4, 'feat(api): add search'),
+          mergedPr(3, 'feat: experimental', { labels: [{ name: 'no-changelog' }] }),
+          mergedPr(2, 'feat: manual'),
+          mergedPr(1, 'fix: released')
+        ]]);
+      octokit = {
+        paginate: jest.fn(async (method, params, mapFn) => (method === octokit.rest.issues.listComments
+          ? (comments[params.issue_number] || []).map((comment, index) => ({
+            id: params.issue_number * 100 + index, user: { login: 'octocat' }, created_at: `2024-03-10T00:00:0${index}Z`,
+            ...(typeof comment === 'string' ? { body: comment } : comment)
+          }))
+          : listPulls(method, params, mapFn))),
+        graphql: jest.fn().mockResolvedValue({ repository: { pullRequest: { closingIssuesReferences: { nodes: [] } } } }),
+        rest: {
+          repos: { getCommit: jest.fn().mockRejectedValue(notFound()), getContent: jest.fn(async () => ({ data: fs.readFileSync(changelogFile, 'utf8') })) },
+          issues: { listComments: jest.fn() },
+          git: {
+            getRef: jest.fn(async () => ({ data: { object: { sha: 'head1' } } })),
+            getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree1' } } })),
+            createTree: jest.fn(async () => ({ data: { sha: 'newtree' } })),
+            createCommit: jest.fn(async () => ({ data: { sha: 'newcommit' } })),
+            updateRef: jest.fn().mockRejectedValue(Object.assign(new Error('Reference does not exist'), { status: 422 })),
+            createRef: jest.fn(async () => ({}))
+          },
+          pulls: {
+            list: jest.fn().mockResolvedValue({ data: [] }),
+            create: jest.fn().mockResolvedValue({ data: { html_url: 'https://github.com/o/r/pull/7' } }),
+            update: jest.fn()
+          }
+        }
+      };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      github.context.payload = originalPayload;
+      github.context.ref = originalRef;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const options = extra => ({
+      octokit,
+      changelogPath: changelogFile,
+      changelogPaths: [changelogFile],
+      changelogConfig: buildChangelogConfig(),
+      since: '',
+      inputBranch: '',
+      delivery: BACKFILL_DELIVERY.PUSH,
+      dryRun: false,
+      commitMethod: COMMIT_METHODS.GIT,
+      defaultBehavior: 'auto',
+      skipLabels: ['no-changelog'],
+      skipDependabot: true,
+      commentTrigger: '/changelog:',
+      allowedAssociations: ['OWNER', 'MEMBER', 'COLLABORATOR'],
+      allowedTeams: [],
+      autoCategorize: true,
+      entrySource: 'title',
+      storage: 'changelog',
+      fragmentsDir: path.join(tmpDir, 'fragments'),
+      ...extra
+    });
+
+    test('writes the missing entries in one commit to the default branch', async () => {
+      await runBackfill(options());
+
+      const content = fs.readFileSync(changelogFile, 'utf8');
+      expect(content).toContain('- manual entry ([#2](https://github.com/o/r/pull/2))\n- **api**: add search ([#4](https://github.com/o/r/pull/4)) <!-- ac:');
+      expect(content).toContain('### Bug Fixes\n\n- handle empty config ([#6](https://github.com/o/r/pull/6)) <!-- ac:');
+      expect(content.match(/\[#1\]/g)).toHaveLength(1);
+      expect(content).not.toMatch(/#3|#5/);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('PR #5: title "Tidy things up"'));
+      expect(gitCalls).toEqual(expect.arrayContaining([
+        'fetch origin main',
+        'checkout -B main FETCH_HEAD',
+        `add --all -- ${changelogFile}`,
+        'commit -m [AUTO-CHANGELOG] chore: backfill changelog entries for 2 merged PRs',
+        'ls-remote origin refs/heads/main',
+        'push origin main'
+      ]));
+      expect(core.setOutput).toHaveBeenCalledWith('changes-added', '2');
+    });
+
+    test('honors the skip and modifier commands in PR comments', async () => {
+      comments[4] = ['/changelog skip'];
+      comments[5] = ['/changelog type fix', 'thanks!'];
+      await runBackfill(options());
+
+      const content = fs.readFileSync(changelogFile, 'utf8');
+      expect(content).not.toContain('add search');
+      expect(content).toContain('- Tidy things up ([#5](https://github.com/o/r/pull/5)) <!-- ac:');
+      expect(content).toMatch(/### Bug Fixes\n\n(- .*\n)*- Tidy things up/);
+      expect(core.setOutput).toHaveBeenCalledWith('changes-added', '2');
+    });
+
+    test('ignores commands quoted in bot comments', async () => {
+      // The bot could otherwise pass as a commenter with write access
+      octokit.rest.repos.getCollaboratorPermissionLevel = jest.fn(async () => ({ data: { permission: 'write' } }));
+      comments[4] = [
+        { body: 'Use one of:\n/changelog skip', user: { login: 'github-actions[bot]', type: 'Bot' } },
+        { body: '/changelog skip', user: { login: 'renovate[bot]' } }
+      ];
+      await runBackfill(options());
+
+      expect(fs.readFileSync(changelogFile, 'utf8')).toContain('add search ([#4]');
+    });
+
+    test('opens the pull request through the API with commit-method api', async () => {
+      await runBackfill(options({ delivery: BACKFILL_DELIVERY.PULL_REQUEST, commitMethod: COMMIT_METHODS.API }));
+
+      expect(gitCalls).toEqual([]);
+      expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+        message: '[AUTO-CHANGELOG] chore: backfill changelog entries for 2 merged PRs', parents: ['head1']
+      }));
+      expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/auto-changelog/backfill', force: true }));
+      expect(octokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/auto-changelog/backfill', sha: 'newcommit' }));
+      expect(octokit.rest.pulls.create).toHaveBeenCalled();
+    });
+
+    test('proposes the entries in a pull request', async () => {
+      await runBackfill(options({ delivery: BACKFILL_DELIVERY.PULL_REQUEST }));
+
+      expect(gitCalls).toContain('checkout -B auto-changelog/backfill FETCH_HEAD');
+      expect(gitCalls).toContain('push --force origin auto-changelog/backfill');
+      expect(octokit.rest.pulls.create).toHaveBeenCalledWith(expect.objectContaining({
+        base: 'main', head: 'auto-changelog/backfill', body: expect.stringContaining('- #4 feat(api): add search\n- #6 Update the docs')
+      }));
+    });
+
+    test('changes nothing when every merged PR has an entry', async () => {
+      octokit.paginate = paginate([[mergedPr(2, 'feat: manual'), mergedPr(1, 'fix: released')]]);
+      await runBackfill(options({ dryRun: true }));
+
+      expect(gitCalls).toEqual(['fetch origin main', 'checkout -B main FETCH_HEAD']);
+      expect(core.setOutput).toHaveBeenCalledWith('changelog-updated', 'false');
+    });
+
+    test('only logs the change in a dry run', async () => {
+      const before = fs.readFileSync(changelogFile, 'utf8');
+      await runBackfill(options({ dryRun: true }));
+
+      expect(fs.readFileSync(changelogFile, 'utf8')).toBe(before);
+      expect(gitCalls).toEqual(['fetch origin main', 'checkout -B main FETCH_HEAD']);
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Dry run: would add 2 entries for 2 PRs'));
+    });
+  });
+});
+
+// ─── resolveReleaseVersion ──────────────────────────────────────────────────
+describe('resolveReleaseVersion', () => {
+  test('uses the input version', () => {
+    expect(resolveReleaseVersion('1.2.3', 'refs/heads/main')).toBe('1.2.3');
+  });
+
+  test('strips a leading v', () => {
+    expect(resolveReleaseVersion('v2.0.0-rc.1', null)).toBe('2.0.0-rc.1');
+  });
+
+  test('falls back to the pushed tag', () => {
+    expect(resolveReleaseVersion('', 'refs/tags/v1.4.0')).toBe('1.4.0');
+  });
+
+  test('throws when no version is available', () => {
+    expect(() => resolveReleaseVersion('', 'refs/heads/main')).toThrow('release-version');
+  });
+
+  test('throws for non-semver versions', () => {
+    expect(() => resolveReleaseVersion('next', null)).toThrow('Invalid release version');
+  });
+});
+
+// ─── promoteUnreleased ──────────────────────────────────────────────────────
+describe('promoteUnreleased', () => {
+  const header = '# Changelog\n\nSome intro.\n\n';
+
+  test('renames Unreleased and opens a fresh section above it', () => {
+    const changelog = `${header}## [Unreleased]\n\n### Features\n- add login ([#1](url))\n\n## [1.0.0] - 2024-01-20\n\n### Added\n- Initial release\n`;
+    const result = promoteUnreleased(changelog, '1.1.0', '2024-02-01');
+    expect(result).toBe(
+      `${header}## [Unreleased]\n\n## [1.1.0] - 2024-02-01\n\n### Features\n- add login ([#1](url))\n\n## [1.0.0] - 2024-01-20\n\n### Added\n- Initial release\n`
+    );
+  });
+
+  test('drops empty sections and strips hash markers', () => {
+    const changelog = `${header}## [Unreleased]\n\n### Bug Fixes\n\n- fix crash ([#2](url)) <!-- ac:abcd1234:2 -->\n\n### Changes\n\n`;
+    const result = promoteUnreleased(changelog, '1.0.1', '2024-03-01');
+    expect(result).toBe(
+      `${header}## [Unreleased]\n\n## [1.0.1] - 2024-03-01\n\n### Bug Fixes\n- fix crash ([#2](url))\n`
+    );
+    expect(result).not.toContain('### Changes');
+    expect(result).not.toMatch(/<!-- ac:/);
+  });
+
+  test('released entries are no longer detected as Unreleased', () => {
+    const changelog = `${header}## [Unreleased]\n\n### Features\n- feat ([#3](url)) <!-- ac:abcd1234:3 -->\n`;
+    const result = promoteUnreleased(changelog, '2.0.0', '2024-04-01');
+    expect(detectEntryState(result, 3).state).toBe(ENTRY_STATE.NONE);
+  });
+
+  test('throws when there are no entries to release', () => {
+    const changelog = `${header}## [Unreleased]\n\n### Changes\n\n## [1.0.0]\n`;
+    expect(() => promoteUnreleased(changelog, '1.1.0', '2024-01-01')).toThrow('no entries');
+  });
+
+  test('throws when there is no Unreleased section', () => {
+    expect(() => promoteUnreleased(`${header}## [1.0.0]\n`, '1.1.0', '2024-01-01')).toThrow('Unreleased');
+  });
+
+  test('throws when the version already exists', () => {
+    const changelog = `${header}## [Unreleased]\n\n### Features\n- x ([#4](url))\n\n## [1.0.0] - 2024-01-20\n`;
+    expect(() => promoteUnreleased(changelog, '1.0.0', '2024-01-01')).toThrow('already contains');
+  });
+});
+
+// ─── Target branch commits ──────────────────────────────────────────────────
+describe('release and assemble commits', () => {
+  const tmpDir = path.join(__dirname, '.test-tmp-target');
+  const changelogFile = path.join(tmpDir, 'CHANGELOG.md');
+  const fragmentsDir = path.join(tmpDir, 'fragments');
+  const originalPayload = github.context.payload;
+  const originalRef = github.context.ref;
+  const unreleased = '# Changelog\n\n## [Unreleased]\n\n### Features\n\n- add search ([#4](https://github.com/o/r/pull/4))\n';
+  let remoteFiles;
+  let gitCalls;
+  let octokit;
+  let core;
+
+  beforeEach(() => {
+    fs.mkdirSync(fragmentsDir, { recursive: true });
+    fs.writeFileSync(changelogFile, 'stale local copy\n');
+    remoteFiles = { 'CHANGELOG.md': unreleased };
+    github.context.payload = { repository: { name: 'r', owner: { login: 'o' }, default_branch: 'main' } };
+    github.context.ref = 'refs/tags/v1.2.0';
+    gitCalls = [];
+    jest.spyOn(exec, 'exec').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      return 0;
+    });
+    jest.spyOn(exec, 'getExecOutput').mockImplementation(async (command, args) => {
+      gitCalls.push(args.join(' '));
+      if (args[0] === 'rev-parse' || args[0] === 'ls-remote') return { exitCode: 0, stdout: 'aaa111\n', stderr: '' };
+      return { exitCode: 0, stdout: args[0] === 'status' ? ' M CHANGELOG.md\n' : '', stderr: '' };
+    });
+    core = require('@actions/core');
+    for (const method of ['info', 'error', 'setOutput']) {
+      jest.spyOn(core, method).mockImplementation(() => {});
+    }
+    const remotePath = repoPath => path.relative(tmpDir, path.resolve(repoPath));
+    octokit = {
+      rest: {
+        repos: {
+          getContent: jest.fn(async ({ path: repoPath }) => {
+            const relative = remotePath(repoPath);
+            if (relative === 'fragments') {
+              return { data: Object.keys(remoteFiles).filter(name => name.startsWith('fragments/')).map(name => ({ type: 'file', name: path.basename(name) })) };
+            }
+            if (remoteFiles[relative] === undefined) throw Object.assign(new Error('Not Found'), { status: 404 });
+            return { data: remoteFiles[relative] };
+          })
+        },
+        git: {
+          getRef: jest.fn(async () => ({ data: { object: { sha: 'head1' } } })),
+          getCommit: jest.fn(async () => ({ data: { tree: { sha: 'tree1' } } })),
+          createTree: jest.fn(async () => ({ data: { sha: 'newtree' } })),
+          createCommit: jest.fn(async () => ({ data: { sha: 'newcommit' } })),
+          updateRef: jest.fn(async () => ({}))
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    github.context.payload = originalPayload;
+    github.context.ref = originalRef;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('releases through the API on the branch head', async () => {
+    await runRelease(changelogFile, '', '2024-05-01', '', buildChangelogConfig(), octokit, COMMIT_METHODS.API);
+
+    expect(gitCalls).toEqual([]);
+    expect(octokit.rest.git.getRef).toHaveBeenCalledWith({ owner: 'o', repo: 'r', ref: 'heads/main' });
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+      message: '[AUTO-CHANGELOG] chore: release 1.2.0', parents: ['head1']
+    }));
+    expect(fs.readFileSync(changelogFile, 'utf8')).toContain('## [1.2.0] - 2024-05-01');
+    expect(core.setOutput).toHaveBeenCalledWith('release-version', '1.2.0');
+  });
+
+  test('releases with the git CLI on the fetched branch tip', async () => {
+    fs.writeFileSync(changelogFile, unreleased);
+    await runRelease(changelogFile, '', '2024-05-01', '', buildChangelogConfig(), octokit, COMMIT_METHODS.GIT);
+
+    expect(gitCalls).toEqual(expect.arrayContaining([
+      'fetch origin main',
+      'checkout -B main FETCH_HEAD',
+      'commit -m [AUTO-CHANGELOG] chore: release 1.2.0',
+      'push origin main'
+    ]));
+    expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+  });
+
+  test('assembles the fragments on the branch head through the API', async () => {
+    remoteFiles['fragments/4.md'] = serializeFragment({
+      type: 'fix', section: 'Bug Fixes', description: 'handle empty config', prNumber: 5, prUrl: 'https://github.com/o/r/pull/5', entryIndex: 0
+    });
+    fs.writeFileSync(path.join(fragmentsDir, 'stale.md'), 'merged elsewhere\n');
+    await runAssemble(changelogFile, [changelogFile], fragmentsDir, buildChangelogConfig(), '', octokit, COMMIT_METHODS.API);
+
+    expect(gitCalls).toEqual([]);
+    const tree = octokit.rest.git.createTree.mock.calls[0][0].tree;
+    expect(tree.find(item => item.path.endsWith('CHANGELOG.md')).content).toContain('- handle empty config ([#5](https://github.com/o/r/pull/5))');
+    expect(tree.find(item => item.path.endsWith('4.md'))).toMatchObject({ sha: null });
+    expect(fs.existsSync(path.join(fragmentsDir, 'stale.md'))).toBe(false);
+    expect(core.setOutput).toHaveBeenCalledWith('changes-added', '1');
+  });
+});
+
+// ─── Integration: hash marker round-trip ────────────────────────────────────
+describe('hash marker round-trip', () => {
+  test('buildMarkedEntry then detectEntryState returns AUTO_UNTOUCHED', () => {
+    const entryText = '**auth**: add JWT tokens ([#123](url))';
+    const marked = buildMarkedEntry(entryText, 123);
+    const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${marked}\n`;
+    const state = detectEntryState(changelog, 123);
+    expect(state.state).toBe(ENTRY_STATE.AUTO_UNTOUCHED);
+  });
+
+  test('editing marked entry changes state to AUTO_EDITED', () => {
+    const entryText = '**auth**: add JWT tokens ([#123](url))';
+    const marked = buildMarkedEntry(entryText, 123);
+    // Simulate user editing the entry text but keeping the marker
+    const edited = marked.replace('add JWT tokens', 'add OAuth tokens');
+    const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${edited}\n`;
+    const state = detectEntryState(changelog, 123);
+    expect(state.state).toBe(ENTRY_STATE.AUTO_EDITED);
+  });
+
+  test('removing marker makes entry MANUAL', () => {
+    const entryText = '**auth**: add JWT tokens ([#123](url))';
     // Entry without marker
     const changelog = `# Changelog\n\n## [Unreleased]\n\n### Features\n- ${entryText}\n`;
     const state = detectEntryState(changelog, 123);
@@ -609,6 +3260,11 @@ describe('constants', () => {
     expect(BEHAVIOR_MODES.OPT_IN).toBe('opt-in');
   });
 
+  test('ACTION_MODES has update and release', () => {
+    expect(ACTION_MODES.UPDATE).toBe('update');
+    expect(ACTION_MODES.RELEASE).toBe('release');
+  });
+
   test('HASH_MARKER.PATTERN matches valid markers', () => {
     const marker = '<!-- ac:a1b2c3d4:123 -->';
     const match = marker.match(HASH_MARKER.PATTERN);